@@ -0,0 +1,124 @@
+"use strict";
+
+// Shared by the page and the scan worker, so it must not touch the DOM
+
+const SUPPORTED_FORMATS = {
+    image: [
+        ".jpg", ".jpeg", ".png", ".gif", ".webp", ".bmp", ".avif", ".svg", ".ico",
+        ".heic", ".jxl", ".tif", ".tiff", ".cr2", ".nef", ".arw", ".dng",
+    ],
+    video: [".mp4", ".m4v", ".webm", ".ogg", ".ogv", ".mov", ".mkv"],
+};
+
+// Deleted files are moved here, at the top of their gallery, and never scanned
+const TRASH_FOLDER = ".trash";
+
+// "image", "video", or null when the file isn't a supported media file
+function mediaType(name, formats) {
+    const extension = "." + name.split(".").pop().toLowerCase();
+    if (formats.image.includes(extension)) return "image";
+    if (formats.video.includes(extension)) return "video";
+    return null;
+}
+
+// Walk a directory handle recursively, yielding every supported media file
+async function* walkDirectory(dirHandle, formats, path = "", includeHidden = false) {
+    try {
+        for await (const entry of dirHandle.values()) {
+            const entryPath = path ? `${path}/${entry.name}` : entry.name;
+            if (!includeHidden && entry.name.startsWith(".")) continue;
+
+            if (entry.kind === "file") {
+                const type = mediaType(entry.name, formats);
+                if (type) {
+                    yield {
+                        entry: entry,
+                        path: entryPath,
+                        type: type,
+                    };
+                }
+            } else if (entry.kind === "directory") {
+                if (path === "" && entry.name === TRASH_FOLDER) continue;
+                yield* walkDirectory(entry, formats, entryPath, includeHidden);
+            }
+        }
+    } catch (err) {
+        console.error("Error scanning directory:", err);
+    }
+}
+
+// Read the files behind the walk and hand them over in batches, flushing
+// often enough that the page can show a live count
+async function scanFiles(
+    dirHandle,
+    formats,
+    onBatch,
+    shouldStop = () => false,
+    includeHidden = false,
+) {
+    let batch = [];
+    let lastFlush = Date.now();
+
+    for await (const fileEntry of walkDirectory(dirHandle, formats, "", includeHidden)) {
+        if (shouldStop()) return;
+
+        try {
+            const file = await fileEntry.entry.getFile();
+            batch.push({
+                name: fileEntry.entry.name,
+                path: fileEntry.path,
+                type: fileEntry.type,
+                file: file,
+            });
+        } catch (err) {
+            console.error("Error loading file:", fileEntry.path, err);
+        }
+
+        if (batch.length >= 500 || Date.now() - lastFlush > 200) {
+            await onBatch(batch);
+            batch = [];
+            lastFlush = Date.now();
+        }
+    }
+
+    if (batch.length > 0 && !shouldStop()) {
+        await onBatch(batch);
+    }
+}
+
+// The same selection for files that were picked or dropped without a
+// directory handle, given as {file, path} with paths relative to the folder
+function filterFileList(entries, formats, includeHidden = false) {
+    const found = [];
+    for (const { file, path } of entries) {
+        const parts = path.split("/");
+        if (!includeHidden && parts.some((part) => part.startsWith("."))) continue;
+        if (parts.length > 1 && parts[0] === TRASH_FOLDER) continue;
+
+        const type = mediaType(file.name, formats);
+        if (type) {
+            found.push({ name: file.name, path, type, file });
+        }
+    }
+    return found;
+}
+
+// Worker entry point
+if (
+    typeof WorkerGlobalScope !== "undefined" &&
+    self instanceof WorkerGlobalScope
+) {
+    self.onmessage = async (e) => {
+        const { directoryHandle, formats, includeHidden } = e.data;
+        await scanFiles(
+            directoryHandle,
+            formats,
+            (files) => {
+                self.postMessage({ type: "batch", files });
+            },
+            () => false,
+            includeHidden,
+        );
+        self.postMessage({ type: "done" });
+    };
+}
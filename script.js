@@ -5,6 +5,9 @@ class GalleryDB {
         this.dbName = dbName;
         this.dbVersion = dbVersion;
         this.storeName = storeName;
+        this.thumbnailStoreName = "thumbnails";
+        this.metaStoreName = "mediaMeta";
+        this.settingsStoreName = "settings";
         this.db = null;
     }
 
@@ -16,19 +19,63 @@ class GalleryDB {
 
             request.onsuccess = () => {
                 this.db = request.result;
+                // let a newer version of the app in another tab upgrade the database
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    alert("The gallery viewer was updated in another tab. Please reload this page.");
+                };
                 resolve(this.db);
             };
 
+            request.onblocked = () => {
+                alert("Please close other tabs of the gallery viewer so its database can be updated.");
+            };
+
             request.onupgradeneeded = (event) => {
-                const db = event.target.result;
-                if (!db.objectStoreNames.contains(this.storeName)) {
-                    db.createObjectStore(this.storeName, { keyPath: "id" });
-                }
+                this.upgrade(request.result, request.transaction, event.oldVersion);
             };
         });
     }
 
+    // Bring the schema up from oldVersion one step at a time. Steps that have
+    // shipped must never change; a new schema adds a step and bumps
+    // GalleryDB.version.
+    upgrade(db, transaction, oldVersion) {
+        if (oldVersion < 1) {
+            db.createObjectStore(this.storeName, { keyPath: "id" });
+        }
+        if (oldVersion < 2) {
+            const thumbnailStore = db.createObjectStore(this.thumbnailStoreName, {
+                keyPath: ["galleryId", "path", "lastModified"],
+            });
+            thumbnailStore.createIndex("galleryId", "galleryId");
+        }
+        if (oldVersion < 3) {
+            const metaStore = db.createObjectStore(this.metaStoreName, {
+                keyPath: ["galleryId", "path"],
+            });
+            metaStore.createIndex("galleryId", "galleryId");
+        }
+        if (oldVersion < 4) {
+            // galleries saved before smart galleries existed have no kind
+            const request = transaction.objectStore(this.storeName).openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                if (!cursor.value.kind) {
+                    cursor.update({ ...cursor.value, kind: "folder" });
+                }
+                cursor.continue();
+            };
+        }
+        if (oldVersion < 5) {
+            db.createObjectStore(this.settingsStoreName, { keyPath: "key" });
+        }
+    }
+
     async saveGallery(gallery) {
+        // the gallery of a share link belongs to whoever shared it
+        if (gallery.isShared) return;
         const transaction = this.db.transaction([this.storeName], "readwrite");
         const store = transaction.objectStore(this.storeName);
         const galleryData = {
@@ -36,8 +83,20 @@ class GalleryDB {
             name: gallery.name,
             directoryHandle: gallery.directoryHandle,
             isShuffled: gallery.isShuffled,
+            sortBy: gallery.sortBy,
+            slideshow: gallery.slideshow,
+            settings: gallery.settings,
             order: gallery.order,
+            kind: gallery.kind,
         };
+        if (gallery.kind === "smart") {
+            galleryData.rule = gallery.rule;
+            galleryData.sources = gallery.sources;
+        } else if (gallery.kind === "files") {
+            galleryData.folderName = gallery.folderName;
+        } else if (gallery.kind === "server") {
+            galleryData.serverFolder = gallery.serverFolder;
+        }
         await store.put(galleryData);
     }
 
@@ -57,814 +116,7235 @@ class GalleryDB {
         const store = transaction.objectStore(this.storeName);
         await store.delete(id);
     }
-}
-
-class GalleryManager {
-    constructor(db) {
-        this.db = db;
-        this.galleries = [];
-        this.activeGalleryIndex = -1;
-    }
 
-    async loadFromStorage() {
-        try {
-            const storedGalleries = await this.db.loadGalleries();
+    async loadThumbnails(galleryId) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(
+                [this.thumbnailStoreName],
+                "readonly",
+            );
+            const index = transaction
+                .objectStore(this.thumbnailStoreName)
+                .index("galleryId");
+            const request = index.getAll(galleryId);
 
-            if (storedGalleries.length > 0) {
-                this.showLoading(true);
-            }
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
 
-            // sort stored galleries by saved order (if present)
-            storedGalleries.sort((a, b) => (a.order || 0) - (b.order || 0));
+    async saveThumbnail(galleryId, path, lastModified, blob, size, duration) {
+        const transaction = this.db.transaction(
+            [this.thumbnailStoreName],
+            "readwrite",
+        );
+        const store = transaction.objectStore(this.thumbnailStoreName);
+        await store.put({ galleryId, path, lastModified, blob, size, duration });
+    }
 
-            for (const storedGallery of storedGalleries) {
-                const hasPermission = await this.verifyPermission(
-                    storedGallery.directoryHandle,
-                );
+    // Remove thumbnails of a gallery; entries whose key is in keepKeys are kept
+    async deleteThumbnails(galleryId, keepKeys = null) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(
+                [this.thumbnailStoreName],
+                "readwrite",
+            );
+            const index = transaction
+                .objectStore(this.thumbnailStoreName)
+                .index("galleryId");
+            const request = index.openCursor(IDBKeyRange.only(galleryId));
 
-                if (hasPermission) {
-                    const gallery = new Gallery(
-                        storedGallery.id,
-                        storedGallery.name,
-                        storedGallery.directoryHandle,
-                    );
-                    gallery.isShuffled = storedGallery.isShuffled || false;
-                    gallery.order = storedGallery.order || 0;
-                    await gallery.loadMedia();
-                    this.galleries.push(gallery);
-                    this.addGalleryTab(gallery, this.galleries.length - 1);
-                } else {
-                    console.warn(`Permission denied for gallery: ${storedGallery.name}`);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                const entry = cursor.value;
+                if (!keepKeys || !keepKeys.has(`${entry.path}|${entry.lastModified}`)) {
+                    cursor.delete();
                 }
-            }
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
 
-            if (this.galleries.length > 0) {
-                this.selectGallery(0);
-            }
+    // Favorites, ratings and tags, keyed by gallery id and relative path
+    async loadMediaMeta(galleryId) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.metaStoreName], "readonly");
+            const index = transaction.objectStore(this.metaStoreName).index("galleryId");
+            const request = index.getAll(galleryId);
 
-            this.showLoading(false);
-        } catch (err) {
-            console.error("Error loading galleries from storage:", err);
-            this.showLoading(false);
-        }
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
     }
 
-    async createGallery(name, directoryHandle) {
-        this.showLoading(true);
+    async saveMediaMeta(galleryId, path, meta) {
+        const transaction = this.db.transaction([this.metaStoreName], "readwrite");
+        const store = transaction.objectStore(this.metaStoreName);
+        if (
+            !meta.favorite &&
+            !meta.rating &&
+            meta.tags.length === 0 &&
+            !meta.position &&
+            !meta.originalDate
+        ) {
+            await store.delete([galleryId, path]);
+        } else {
+            await store.put({
+                galleryId,
+                path,
+                favorite: meta.favorite,
+                rating: meta.rating,
+                tags: meta.tags,
+                position: meta.position || 0,
+                originalDate: meta.originalDate || null,
+            });
+        }
+    }
 
-        const gallery = new Gallery(Date.now(), name, directoryHandle);
-        // set order to end of list
-        gallery.order = this.galleries.length;
-        await gallery.loadMedia();
+    // The global settings, or another record of app-wide values such as the
+    // key bindings; galleries store their overrides with themselves
+    async loadSettings(key = "global") {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.settingsStoreName], "readonly");
+            const request = transaction.objectStore(this.settingsStoreName).get(key);
 
-        await this.db.saveGallery(gallery);
+            request.onsuccess = () => resolve(request.result ? request.result.values : {});
+            request.onerror = () => reject(request.error);
+        });
+    }
 
-        this.galleries.push(gallery);
-        this.addGalleryTab(gallery, this.galleries.length - 1);
-        this.selectGallery(this.galleries.length - 1);
+    async saveSettings(values, key = "global") {
+        const transaction = this.db.transaction([this.settingsStoreName], "readwrite");
+        const store = transaction.objectStore(this.settingsStoreName);
+        await store.put({ key, values });
+    }
 
-        this.showLoading(false);
+    // Store many media records at once, as when restoring a backup. Backups
+    // carry favorite, rating and tags; the rest of a stored record, such as
+    // the video position, is kept.
+    async importMediaMeta(galleryId, entries) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.metaStoreName], "readwrite");
+            const store = transaction.objectStore(this.metaStoreName);
+            for (const entry of entries) {
+                const request = store.get([galleryId, entry.path]);
+                request.onsuccess = () => {
+                    store.put({
+                        ...request.result,
+                        galleryId,
+                        path: entry.path,
+                        favorite: !!entry.favorite,
+                        rating: entry.rating || 0,
+                        tags: entry.tags || [],
+                    });
+                };
+            }
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
     }
 
-    async closeGallery(event, index) {
-        event.stopPropagation();
+    async deleteMediaMeta(galleryId) {
+        const transaction = this.db.transaction([this.metaStoreName], "readwrite");
+        const store = transaction.objectStore(this.metaStoreName);
+        await store.delete(IDBKeyRange.bound([galleryId], [galleryId, []]));
+    }
 
-        const gallery = this.galleries[index];
-        gallery.media.forEach((media) => {
-            URL.revokeObjectURL(media.url);
-        });
+    // Ratings of every file below a folder
+    async deleteMediaMetaIn(galleryId, folder) {
+        const transaction = this.db.transaction([this.metaStoreName], "readwrite");
+        const store = transaction.objectStore(this.metaStoreName);
+        await store.delete(
+            IDBKeyRange.bound([galleryId, `${folder}/`], [galleryId, `${folder}/\uffff`]),
+        );
+    }
 
-        await this.db.deleteGallery(gallery.id);
+    async deleteMediaMetaEntry(galleryId, path) {
+        const transaction = this.db.transaction([this.metaStoreName], "readwrite");
+        const store = transaction.objectStore(this.metaStoreName);
+        await store.delete([galleryId, path]);
+    }
+}
 
-        this.galleries.splice(index, 1);
+GalleryDB.version = 5;
 
-        if (this.galleries.length > 0) {
-            if (index < this.activeGalleryIndex) {
-                this.activeGalleryIndex--;
-            } else if (index === this.activeGalleryIndex) {
-                this.activeGalleryIndex = Math.min(index, this.galleries.length - 1);
-            }
+// Viewer behavior. The global values are stored in GalleryDB; a gallery only
+// stores the values it overrides.
+class Settings {
+    static resolve(global, overrides = {}) {
+        return { ...Settings.defaults, ...global, ...overrides };
+    }
 
-            this.rebuildTabs();
-            this.selectGallery(this.activeGalleryIndex);
-        } else {
-            this.activeGalleryIndex = -1;
-            document.querySelectorAll(".tab").forEach((tab) => tab.remove());
-            document.getElementById("emptyState").style.display = "flex";
-            document.getElementById("mediaContainer").style.display = "none";
-            document.getElementById("randomButton").style.display = "none";
-            document.getElementById("thumbnailGrid").innerHTML = "";
+    // Keep only known settings of the right type, e.g. from a backup file
+    static sanitize(values) {
+        const clean = {};
+        // "loop" was a checkbox before videos could advance to the next item
+        if (values && typeof values.loop === "boolean" && !("videoEnd" in values)) {
+            values = { ...values, videoEnd: values.loop ? "loop" : "stop" };
+        }
+        for (const field of Settings.fields) {
+            const value = values ? values[field.key] : undefined;
+            const valid =
+                field.type === "extensions"
+                    ? Array.isArray(value) && value.every((item) => typeof item === "string")
+                    : field.type === "number"
+                        ? Number.isFinite(value) && value >= field.min && value <= field.max
+                        : field.type === "select"
+                            ? field.options.some(([option]) => option === value)
+                            : typeof value === "boolean";
+            if (valid) clean[field.key] = value;
         }
+        return clean;
     }
 
-    selectGallery(index) {
-        if (index < 0 || index >= this.galleries.length) return;
-
-        document.querySelectorAll(".tab").forEach((tab) => {
-            tab.classList.remove("active");
-        });
-        document
-            .querySelector(`.tab[data-index="${index}"]`)
-            .classList.add("active");
+    static formats(settings) {
+        return { image: settings.imageExtensions, video: settings.videoExtensions };
+    }
 
-        this.activeGalleryIndex = index;
-        this.activeMediaIndex = 0;
-        this.isRandomMode = false;
-        this.previousMediaIndex = -1;
+    // ".JPG, png" -> [".jpg", ".png"]
+    static parseExtensions(text) {
+        const extensions = text
+            .split(/[\s,;]+/)
+            .map((extension) => extension.trim().toLowerCase().replace(/^\.*/, "."))
+            .filter((extension) => /^\.[a-z0-9]+$/.test(extension));
+        return [...new Set(extensions)];
+    }
+}
 
-        const gallery = this.galleries[index];
-        if (gallery.media.length > 0) {
-            document.getElementById("emptyState").style.display = "none";
-            document.getElementById("mediaContainer").style.display = "flex";
-            document.getElementById("randomButton").style.display = "flex";
-
-            // Restore shuffle button state
-            const shuffleButton = document.getElementById("shuffleButton");
-            if (gallery.isShuffled) {
-                shuffleButton.classList.add("active");
-                shuffleButton.setAttribute("title", "Unshuffle Gallery");
+Settings.defaults = {
+    imageExtensions: SUPPORTED_FORMATS.image,
+    videoExtensions: SUPPORTED_FORMATS.video,
+    scanHidden: true,
+    throttle: 100,
+    minZoom: 0.5,
+    maxZoom: 5,
+    autoplay: true,
+    videoEnd: "loop",
+    muted: false,
+    thumbnailSize: 81,
+};
+
+// How the settings modal shows each value; settings that change what a scan
+// finds make the gallery rescan
+Settings.fields = [
+    { key: "imageExtensions", label: "Image Extensions", type: "extensions", rescan: true },
+    { key: "videoExtensions", label: "Video Extensions", type: "extensions", rescan: true },
+    {
+        key: "scanHidden",
+        label: "Scan hidden files and folders (names starting with a dot)",
+        type: "checkbox",
+        rescan: true,
+    },
+    {
+        key: "throttle",
+        label: "Wheel Throttle (ms)",
+        type: "number",
+        min: 0,
+        max: 1000,
+        step: 10,
+    },
+    { key: "minZoom", label: "Minimum Zoom", type: "number", min: 0.1, max: 1, step: 0.1 },
+    { key: "maxZoom", label: "Maximum Zoom", type: "number", min: 1, max: 50, step: 0.5 },
+    { key: "autoplay", label: "Play videos when they are shown", type: "checkbox" },
+    {
+        key: "videoEnd",
+        label: "When a Video Ends",
+        type: "select",
+        options: [
+            ["loop", "Play it again"],
+            ["advance", "Go to the next item"],
+            ["stop", "Stop"],
+        ],
+    },
+    { key: "muted", label: "Mute videos", type: "checkbox" },
+    {
+        key: "thumbnailSize",
+        label: "Thumbnail Size (px)",
+        type: "number",
+        min: 60,
+        max: 300,
+        step: 10,
+    },
+];
+
+// Versioned JSON backups of everything in GalleryDB except thumbnails and
+// folder handles, which can't be serialized
+class LibraryBackup {
+    static async create(db) {
+        const galleries = await db.loadGalleries();
+        galleries.sort((a, b) => (a.order || 0) - (b.order || 0));
+
+        const entries = [];
+        for (const stored of galleries) {
+            const entry = {
+                id: stored.id,
+                name: stored.name,
+                // read-only galleries are linked again like any folder
+                kind: stored.kind === "smart" ? "smart" : "folder",
+                order: stored.order || 0,
+                isShuffled: stored.isShuffled || false,
+                sortBy: stored.sortBy,
+                slideshow: stored.slideshow,
+                settings: stored.settings || {},
+            };
+            if (entry.kind === "smart") {
+                entry.rule = stored.rule;
+                entry.sources = stored.sources;
             } else {
-                shuffleButton.classList.remove("active");
-                shuffleButton.setAttribute("title", "Shuffle Gallery");
+                entry.folderName = stored.directoryHandle
+                    ? stored.directoryHandle.name
+                    : stored.folderName || stored.serverFolder || "";
+                entry.media = (await db.loadMediaMeta(stored.id)).map((meta) => ({
+                    path: meta.path,
+                    favorite: meta.favorite,
+                    rating: meta.rating,
+                    tags: meta.tags,
+                }));
             }
-
-            this.displayThumbnails(gallery);
-            this.displayMedia(0);
-        } else {
-            document.getElementById("emptyState").style.display = "flex";
-            document.getElementById("mediaContainer").style.display = "none";
-            document.getElementById("randomButton").style.display = "none";
+            entries.push(entry);
         }
+
+        return {
+            format: LibraryBackup.format,
+            version: LibraryBackup.version,
+            exportedAt: new Date().toISOString(),
+            settings: await db.loadSettings(),
+            keyBindings: await db.loadSettings("keyBindings"),
+            galleries: entries,
+        };
     }
 
-    displayMedia(index, isRandom) {
-        const gallery = this.galleries[this.activeGalleryIndex];
-        if (!gallery || index < 0 || index >= gallery.media.length) return;
+    // Parse a backup file, upgrading it from older versions. Throws an Error
+    // with a message for the user when the file can't be used.
+    static parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (err) {
+            throw new Error("The file is not valid JSON.");
+        }
 
-        this.activeMediaIndex = index;
-        const media = gallery.media[index];
+        if (!data || data.format !== LibraryBackup.format) {
+            throw new Error("The file is not a gallery viewer backup.");
+        }
+        if (!Number.isInteger(data.version) || data.version < 1) {
+            throw new Error("The backup has no valid version.");
+        }
+        if (data.version > LibraryBackup.version) {
+            throw new Error("The backup was made by a newer version of the gallery viewer.");
+        }
+        for (let version = data.version; version < LibraryBackup.version; version++) {
+            data = LibraryBackup.migrations[version - 1](data);
+        }
 
-        document.querySelectorAll(".thumbnail").forEach((thumb, i) => {
-            thumb.classList.toggle("active", i === index);
-        });
+        if (!Array.isArray(data.galleries)) {
+            throw new Error("The backup contains no galleries.");
+        }
+        for (const gallery of data.galleries) {
+            const valid =
+                gallery &&
+                gallery.id !== undefined &&
+                typeof gallery.name === "string" &&
+                (gallery.kind === "smart"
+                    ? typeof gallery.rule === "string" && Array.isArray(gallery.sources)
+                    : gallery.kind === "folder" &&
+                    Array.isArray(gallery.media) &&
+                    gallery.media.every((item) => item && typeof item.path === "string"));
+            if (!valid) {
+                throw new Error(`The backup entry "${gallery && gallery.name}" is damaged.`);
+            }
+        }
+        data.galleries = data.galleries.map(LibraryBackup.sanitizeGallery);
 
-        this.resetTransform();
+        return data;
+    }
 
-        const imgPreview = document.getElementById("mediaPreview");
-        const videoPreview = document.getElementById("videoPreview");
-        const videoControls = document.getElementById("videoControls");
-        const fileInfo = document.getElementById("fileInfo");
+    // Keep only values of the expected type, like Settings.sanitize, so an
+    // edited or damaged file can't store tags that aren't a list and the like
+    static sanitizeGallery(gallery) {
+        const slideshow = {};
+        for (const [key, value] of Object.entries(Slideshow.defaults)) {
+            const stored = gallery.slideshow && gallery.slideshow[key];
+            if (typeof stored === typeof value) slideshow[key] = stored;
+        }
 
-        fileInfo.innerText = media.name;
-        fileInfo.onclick = () => {
-            window.open(media.url, "_blank");
+        const clean = {
+            id: gallery.id,
+            name: gallery.name,
+            kind: gallery.kind,
+            order: Number.isFinite(gallery.order) ? gallery.order : 0,
+            isShuffled: gallery.isShuffled === true,
+            sortBy: typeof gallery.sortBy === "string" ? gallery.sortBy : undefined,
+            slideshow,
+            settings: Settings.sanitize(gallery.settings),
         };
-
-        if (media.type === "image") {
-            imgPreview.src = media.url;
-            imgPreview.style.display = "block";
-            videoPreview.style.display = "none";
-            videoControls.style.display = "none";
-            videoPreview.pause();
+        if (gallery.kind === "smart") {
+            clean.rule = gallery.rule;
+            clean.sources = gallery.sources;
         } else {
-            videoPreview.src = media.url;
-            videoPreview.style.display = "block";
-            imgPreview.style.display = "none";
-            videoControls.style.display = "block";
-            videoPreview.play();
+            clean.folderName = typeof gallery.folderName === "string" ? gallery.folderName : "";
+            clean.media = gallery.media.map(LibraryBackup.sanitizeMedia);
         }
-        if (!isRandom) {
-            const activeThumbnail = document.querySelector(".thumbnail.active");
-            if (activeThumbnail) {
-                activeThumbnail.scrollIntoView({
-                    behavior: "smooth",
-                    block: "center",
-                });
-            }
+        return clean;
+    }
+
+    static sanitizeMedia(item) {
+        const rating = item.rating;
+        return {
+            path: item.path,
+            favorite: item.favorite === true,
+            rating: Number.isInteger(rating) && rating >= 0 && rating <= 5 ? rating : 0,
+            tags: Array.isArray(item.tags)
+                ? [...new Set(item.tags.filter((tag) => typeof tag === "string" && tag.trim() !== ""))]
+                : [],
+        };
+    }
+}
+
+LibraryBackup.format = "gallery-viewer-backup";
+LibraryBackup.version = 2;
+// migrations[n - 1] turns a version n backup into version n + 1
+LibraryBackup.migrations = [
+    // version 2 added the app settings and keyboard shortcuts
+    (data) => ({ ...data, settings: data.settings || null, keyBindings: data.keyBindings || null }),
+];
+
+// What the viewer knows about each extension and how it gets on screen:
+// "native" formats work in every browser, "check" formats are tried with the
+// browser's own decoder, "tiff" falls back to TiffDecoder in a worker
+// and "raw" shows the JPEG preview embedded by the camera. Extensions added
+// in the settings that aren't listed here are checked like "check" formats.
+class MediaFormats {
+    static info(name) {
+        const extension = "." + name.split(".").pop().toLowerCase();
+        return { extension, show: "check", ...MediaFormats.formats[extension] };
+    }
+
+    // canPlayType only says "no" for certain; "maybe" is still tried
+    static canPlay(media) {
+        const format = MediaFormats.info(media.name);
+        if (!MediaFormats.playable.has(format.extension)) {
+            const video = document.createElement("video");
+            const mimes = format.mimes || [];
+            MediaFormats.playable.set(
+                format.extension,
+                mimes.length === 0 || mimes.some((mime) => video.canPlayType(mime) !== ""),
+            );
         }
+        return MediaFormats.playable.get(format.extension);
     }
 
-    displayThumbnails(gallery) {
-        const grid = document.getElementById("thumbnailGrid");
-        grid.innerHTML = "";
+    // Whether the browser decodes a file. One decoded file settles that the
+    // format works; a broken file only counts against its format when
+    // ImageDecoder says the type is unsupported, or, without ImageDecoder,
+    // once a few files of it failed and none worked.
+    static async canDecode(format, blob) {
+        const known = MediaFormats.decodes.get(format.extension) || 0;
+        if (typeof known === "boolean") return known;
 
-        gallery.media.forEach((media, index) => {
-            const thumbnail = document.createElement("div");
-            thumbnail.className = "thumbnail";
-            thumbnail.title = media.path;
-            if (index === 0) thumbnail.classList.add("active");
+        try {
+            (await createImageBitmap(blob)).close();
+            MediaFormats.decodes.set(format.extension, true);
+            return true;
+        } catch (err) {
+            const supported =
+                window.ImageDecoder && format.mime
+                    ? await ImageDecoder.isTypeSupported(format.mime)
+                    : null;
+            const unsupported =
+                supported === false ||
+                (supported === null && known + 1 >= MediaFormats.decodeAttempts);
+            MediaFormats.decodes.set(format.extension, unsupported ? false : known + 1);
+            return false;
+        }
+    }
 
-            if (media.type === "image") {
-                thumbnail.innerHTML = `<img src="${media.url}" alt="${media.name}">`;
-            } else {
-                const videoEl = document.createElement("video");
-                videoEl.src = media.url;
-                videoEl.muted = true;
-                videoEl.preload = "metadata";
+    // A blob of the image that the browser can decode, or null when there is
+    // no way to show it. Read once and kept on the item.
+    static decodable(media) {
+        if (!media.decodable) {
+            media.decodable = MediaFormats.convert(media).catch((err) => {
+                console.warn("Could not decode", media.path, err);
+                return null;
+            });
+        }
+        return media.decodable;
+    }
 
-                const indicator = document.createElement("div");
-                indicator.className = "video-indicator";
-                indicator.textContent = "▶";
+    static async convert(media) {
+        const format = MediaFormats.info(media.name);
+        if (format.show === "raw") return RawPreview.extract(media.file);
 
-                thumbnail.appendChild(videoEl);
-                thumbnail.appendChild(indicator);
-            }
+        // files on the media server are downloaded to be decoded
+        const file = media.file instanceof Blob ? media.file : await media.file.blob();
+        if (format.show === "native") return file;
+        if (await MediaFormats.canDecode(format, file)) return file;
+        if (format.show === "tiff") return TiffWorker.toBlob(await file.arrayBuffer());
+        return null;
+    }
 
-            thumbnail.onclick = () => {
-                this.isRandomMode = false;
-                this.displayMedia(index);
-            };
+    // The URL to show an image with: the file itself, or its converted copy
+    static async displayUrl(media) {
+        const blob = await MediaFormats.decodable(media);
+        if (!blob) return null;
+        if (blob === media.file) return media.url;
+        if (!media.previewUrl) media.previewUrl = URL.createObjectURL(blob);
+        return media.previewUrl;
+    }
 
-            grid.appendChild(thumbnail);
-        });
+    // The file behind the item changed or moved; convert it again when needed
+    static release(media) {
+        if (media.previewUrl) URL.revokeObjectURL(media.previewUrl);
+        media.previewUrl = null;
+        media.decodable = null;
+        media.unsupported = false;
     }
 
-    addGalleryTab(gallery, index) {
-        const tabBar = document.getElementById("tabBar");
-        const addButton = tabBar.querySelector(".add-tab");
+    static extensionForMime(mime) {
+        for (const [extension, format] of Object.entries(MediaFormats.formats)) {
+            if (format.mime === mime) return extension.slice(1);
+        }
+        return null;
+    }
+}
 
-        const tab = document.createElement("div");
-        tab.className = "tab";
-        tab.dataset.index = index;
-        tab.draggable = true;
-        tab.innerHTML = `
-            <span class="tab-name">${gallery.name}</span>
-            <span class="tab-close" onclick="app.galleryManager.closeGallery(event, ${index})">×</span>
-        `;
+MediaFormats.formats = {
+    ".jpg": { mime: "image/jpeg", show: "native" },
+    ".jpeg": { mime: "image/jpeg", show: "native" },
+    ".png": { mime: "image/png", show: "native" },
+    ".gif": { mime: "image/gif", show: "native" },
+    ".webp": { mime: "image/webp", show: "native" },
+    ".bmp": { mime: "image/bmp", show: "native" },
+    ".svg": { mime: "image/svg+xml", show: "native" },
+    ".ico": { mime: "image/x-icon", show: "native" },
+    ".avif": { mime: "image/avif", show: "check" },
+    ".heic": { mime: "image/heic", show: "check" },
+    ".jxl": { mime: "image/jxl", show: "check" },
+    ".tif": { mime: "image/tiff", show: "tiff" },
+    ".tiff": { mime: "image/tiff", show: "tiff" },
+    ".cr2": { mime: "image/x-canon-cr2", show: "raw" },
+    ".nef": { mime: "image/x-nikon-nef", show: "raw" },
+    ".arw": { mime: "image/x-sony-arw", show: "raw" },
+    ".dng": { mime: "image/x-adobe-dng", show: "raw" },
+    ".mp4": { mime: "video/mp4", mimes: ["video/mp4"] },
+    ".m4v": { mime: "video/x-m4v", mimes: ["video/x-m4v", "video/mp4"] },
+    ".webm": { mime: "video/webm", mimes: ["video/webm"] },
+    ".ogg": { mime: "video/ogg", mimes: ["video/ogg"] },
+    ".ogv": { mime: "video/ogg", mimes: ["video/ogg"] },
+    // QuickTime files mostly hold H.264, which plays as MP4 where the
+    // container itself isn't admitted to
+    ".mov": { mime: "video/quicktime", mimes: ["video/quicktime", 'video/mp4; codecs="avc1.42E01E"'] },
+    // WebM is a subset of Matroska; browsers that play it often play MKV too
+    ".mkv": { mime: "video/x-matroska", mimes: ["video/x-matroska", "video/webm"] },
+};
+
+MediaFormats.playable = new Map();
+// per extension: true or false once known, else the number of failed files
+MediaFormats.decodes = new Map();
+MediaFormats.decodeAttempts = 3;
+
+// Decodes TIFF files with TiffDecoder (tiff.js) in a worker, as a large
+// image takes seconds and hundreds of megabytes of pixels. Pages that can't
+// start one decode in the page.
+class TiffWorker {
+    static toBlob(buffer) {
+        const worker = TiffWorker.start();
+        if (!worker) return TiffDecoder.toBlob(buffer);
 
-        tab.onclick = (e) => {
-            if (!e.target.classList.contains("tab-close")) {
-                this.selectGallery(index);
-            }
-        };
+        return new Promise((resolve, reject) => {
+            const id = TiffWorker.nextId++;
+            TiffWorker.pending.set(id, { resolve, reject });
+            worker.postMessage({ id, buffer }, [buffer]);
+        });
+    }
 
-        tab.addEventListener("dragstart", this.handleTabDragStart.bind(this));
-        tab.addEventListener("dragend", this.handleTabDragEnd.bind(this));
-        tab.addEventListener("dragover", this.handleTabDragOver.bind(this));
-        tab.addEventListener("dragenter", this.handleTabDragEnter.bind(this));
-        tab.addEventListener("dragleave", this.handleTabDragLeave.bind(this));
-        tab.addEventListener("drop", this.handleTabDrop.bind(this));
+    static start() {
+        if (TiffWorker.worker !== undefined) return TiffWorker.worker;
+        try {
+            // file:// pages are not allowed to start workers
+            TiffWorker.worker = new Worker("tiff.js");
+        } catch (err) {
+            TiffWorker.worker = null;
+            return null;
+        }
 
-        tabBar.insertBefore(tab, addButton);
+        TiffWorker.worker.onmessage = (e) => TiffWorker.receive(e.data);
+        TiffWorker.worker.onerror = (e) => {
+            e.preventDefault();
+            console.warn("TIFF worker failed:", e.message);
+            TiffWorker.worker.terminate();
+            TiffWorker.worker = null;
+            for (const { reject } of TiffWorker.pending.values()) {
+                reject(new Error("The TIFF worker failed"));
+            }
+            TiffWorker.pending.clear();
+        };
+        return TiffWorker.worker;
     }
 
-    rebuildTabs() {
-        const tabBar = document.getElementById("tabBar");
-        const addButton = tabBar.querySelector(".add-tab");
+    static async receive({ id, blob, image, error }) {
+        const pending = TiffWorker.pending.get(id);
+        if (!pending) return;
+        TiffWorker.pending.delete(id);
 
-        document.querySelectorAll(".tab").forEach((tab) => tab.remove());
+        if (error) {
+            pending.reject(new Error(error));
+        } else {
+            pending.resolve(blob || (await TiffDecoder.encode(image)));
+        }
+    }
+}
 
-        this.galleries.forEach((gallery, index) => {
-            const tab = document.createElement("div");
-            tab.className = "tab";
-            if (index === this.activeGalleryIndex) {
-                tab.classList.add("active");
+TiffWorker.pending = new Map();
+TiffWorker.nextId = 1;
+
+// Camera RAW files (CR2, NEF, ARW, DNG) are TIFF containers that carry JPEG
+// previews next to the sensor data. The largest preview a browser can decode
+// is shown, with the RAW file's orientation.
+class RawPreview {
+    static async extract(file) {
+        const buffer = await file.slice(0, RawPreview.headerSize).arrayBuffer();
+        const view = new DataView(buffer);
+        if (view.byteLength < 8) return null;
+        const little = view.getUint16(0) === 0x4949;
+        if (!little && view.getUint16(0) !== 0x4d4d) return null;
+
+        const candidates = [];
+        const visited = new Set();
+        let orientation;
+        const visit = (offset, depth) => {
+            if (!offset || visited.has(offset) || depth > 3 || visited.size > 32) return;
+            visited.add(offset);
+
+            const { tags, next } = readIfd(view, 0, offset, little);
+            if (orientation === undefined) orientation = tags.get(0x0112) || 1;
+
+            if (tags.get(0x0201) && tags.get(0x0202)) {
+                candidates.push({ offset: tags.get(0x0201), length: tags.get(0x0202) });
+            }
+            // JPEG strips, except lossless sensor data (CFA or linear raw)
+            const photometric = tags.get(0x0106);
+            const offsets = [].concat(tags.get(0x0111) || []);
+            const counts = [].concat(tags.get(0x0117) || []);
+            if (
+                [6, 7].includes(tags.get(0x0103)) &&
+                photometric !== 32803 &&
+                photometric !== 34892 &&
+                offsets.length === 1
+            ) {
+                candidates.push({ offset: offsets[0], length: counts[0] });
             }
-            tab.dataset.index = index;
-            tab.draggable = true;
-            tab.innerHTML = `
-                <span class="tab-name">${gallery.name}</span>
-                <span class="tab-close" onclick="app.galleryManager.closeGallery(event, ${index})">×</span>
-            `;
 
-            tab.onclick = (e) => {
-                if (!e.target.classList.contains("tab-close")) {
-                    this.selectGallery(index);
-                }
-            };
+            for (const subIfd of [].concat(tags.get(0x014a) || [])) visit(subIfd, depth + 1);
+            visit(next, depth);
+        };
+        visit(view.getUint32(4, little), 0);
 
-            tab.addEventListener("dragstart", this.handleTabDragStart.bind(this));
-            tab.addEventListener("dragend", this.handleTabDragEnd.bind(this));
-            tab.addEventListener("dragover", this.handleTabDragOver.bind(this));
-            tab.addEventListener("dragenter", this.handleTabDragEnter.bind(this));
-            tab.addEventListener("dragleave", this.handleTabDragLeave.bind(this));
-            tab.addEventListener("drop", this.handleTabDrop.bind(this));
+        let best = null;
+        for (const candidate of candidates) {
+            if (!candidate.length || candidate.offset + candidate.length > file.size) continue;
+            const head = new DataView(
+                await file.slice(candidate.offset, candidate.offset + Math.min(candidate.length, 65536)).arrayBuffer(),
+            );
+            const frame = RawPreview.readFrame(head);
+            if (frame && (!best || frame.width * frame.height > best.width * best.height)) {
+                best = { ...candidate, ...frame };
+            }
+        }
+        if (!best) return null;
 
-            tabBar.insertBefore(tab, addButton);
-        });
+        let jpeg = file.slice(best.offset, best.offset + best.length);
+        // slices of files on the media server are only read on request
+        if (!(jpeg instanceof Blob)) jpeg = await jpeg.blob();
+        if (best.hasExif || orientation <= 1) {
+            return new Blob([jpeg], { type: "image/jpeg" });
+        }
+        // the preview itself has no EXIF, so give it the orientation of the file
+        return new Blob(
+            [jpeg.slice(0, 2), RawPreview.orientationSegment(orientation), jpeg.slice(2)],
+            { type: "image/jpeg" },
+        );
     }
 
-    handleTabDragStart(e) {
-        const tab = e.target;
-        const index = parseInt(tab.dataset.index);
-
-        tab.classList.add("dragging");
-        e.dataTransfer.effectAllowed = "move";
-        e.dataTransfer.setData("text/html", tab.innerHTML);
+    // Size of a baseline or progressive JPEG; lossless JPEGs (raw sensor
+    // data) and anything else give null
+    static readFrame(view) {
+        if (view.byteLength < 4 || view.getUint16(0) !== 0xffd8) return null;
+        let offset = 2;
+        let hasExif = false;
+        while (offset + 9 <= view.byteLength) {
+            const marker = view.getUint16(offset);
+            if ((marker & 0xff00) !== 0xff00 || marker === 0xffda) return null;
+            if (marker === 0xffe1 && readAscii(view, offset + 4, 4) === "Exif") {
+                hasExif = true;
+            }
+            if (marker >= 0xffc0 && marker <= 0xffc2) {
+                return {
+                    height: view.getUint16(offset + 5),
+                    width: view.getUint16(offset + 7),
+                    hasExif,
+                };
+            }
+            if (marker >= 0xffc3 && marker <= 0xffcf && marker !== 0xffc4 && marker !== 0xffc8 && marker !== 0xffcc) {
+                return null;
+            }
+            offset += 2 + view.getUint16(offset + 2);
+        }
+        return null;
+    }
 
-        this.draggedTabElement = tab;
-        this.draggedTabIndex = index;
+    // An APP1 segment holding just an EXIF orientation tag
+    static orientationSegment(orientation) {
+        const segment = new Uint8Array(36);
+        const view = new DataView(segment.buffer);
+        view.setUint16(0, 0xffe1);
+        view.setUint16(2, 34);
+        segment.set([0x45, 0x78, 0x69, 0x66, 0, 0], 4); // "Exif\0\0"
+        segment.set([0x4d, 0x4d, 0, 42, 0, 0, 0, 8], 10); // big endian TIFF header
+        view.setUint16(18, 1); // one entry
+        view.setUint16(20, 0x0112);
+        view.setUint16(22, 3); // SHORT
+        view.setUint32(24, 1);
+        view.setUint16(28, orientation);
+        view.setUint32(32, 0); // no next IFD
+        return segment;
     }
+}
 
-    handleTabDragEnd(e) {
-        e.target.classList.remove("dragging");
+// The IFDs are at the start of the RAW formats supported
+RawPreview.headerSize = 1024 * 1024;
 
-        document.querySelectorAll(".tab").forEach((tab) => {
-            tab.classList.remove("drag-over");
-        });
+class ThumbnailCache {
+    constructor(db, size = 160) {
+        this.db = db;
+        this.size = size;
+        this.queue = [];
+        this.isProcessing = false;
+        this.onReady = null;
+        this.stored = new Map();
+    }
 
-        this.draggedTabElement = null;
-        this.draggedTabIndex = -1;
+    static key(media) {
+        return `${media.path}|${media.lastModified}`;
     }
 
-    handleTabDragOver(e) {
-        if (e.preventDefault) {
-            e.preventDefault();
+    // Stored thumbnails of a gallery, read from the database once
+    async storedFor(galleryId) {
+        if (!this.stored.has(galleryId)) {
+            let entries = [];
+            try {
+                entries = await this.db.loadThumbnails(galleryId);
+            } catch (err) {
+                console.error("Error loading thumbnails:", err);
+            }
+
+            // thumbnails drawn for a smaller size than the current one are drawn again
+            const sized = entries
+                .map((entry) => ({ ...entry, size: entry.size || 160 }))
+                .filter((entry) => entry.size >= this.size);
+            this.stored.set(
+                galleryId,
+                new Map(sized.map((entry) => [`${entry.path}|${entry.lastModified}`, entry])),
+            );
         }
-        e.dataTransfer.dropEffect = "move";
-        return false;
+        return this.stored.get(galleryId);
     }
 
-    handleTabDragEnter(e) {
-        if (
-            e.target !== this.draggedTabElement &&
-            e.target.classList.contains("tab")
-        ) {
-            e.target.classList.add("drag-over");
+    // Attach cached thumbnails to the gallery media and queue the missing ones.
+    // Thumbnails belong to the gallery a file was scanned in, which for smart
+    // galleries is not the gallery being shown.
+    async load(gallery) {
+        const galleryIds = new Set(gallery.view.map((media) => media.galleryId));
+        for (const galleryId of galleryIds) {
+            await this.storedFor(galleryId);
+        }
+
+        const missing = [];
+        for (const media of gallery.view) {
+            if (this.hasThumbnail(media)) continue;
+            const stored = this.stored.get(media.galleryId);
+            const entry = stored && stored.get(ThumbnailCache.key(media));
+            // video thumbnails from before posters and durations are drawn again
+            if (entry && (media.type !== "video" || entry.duration !== undefined)) {
+                this.setThumbnail(media, entry.blob, entry.size, entry.duration);
+            } else {
+                missing.push(media);
+            }
+        }
+
+        // Drop thumbnails of files that were changed or removed since last visit
+        if (gallery.isLoaded && !gallery.isSmart) {
+            const stored = await this.storedFor(gallery.id);
+            const currentKeys = new Set(gallery.media.map(ThumbnailCache.key));
+            const stale = [...stored.keys()].filter((key) => !currentKeys.has(key));
+            if (stale.length > 0) {
+                stale.forEach((key) => stored.delete(key));
+                this.db.deleteThumbnails(gallery.id, currentKeys).catch((err) => {
+                    console.error("Error pruning thumbnails:", err);
+                });
+            }
         }
+
+        // Only the gallery being viewed gets generation time
+        this.queue = missing.map((media) => ({ galleryId: media.galleryId, media }));
+        this.process();
     }
 
-    handleTabDragLeave(e) {
-        e.target.classList.remove("drag-over");
+    // Keep the thumbnail of a file that was renamed or moved
+    async moveThumbnail(media, from) {
+        const source = this.stored.get(from.galleryId);
+        const entry = source && source.get(`${from.path}|${from.lastModified}`);
+        if (!entry) return;
+
+        const target = this.stored.get(media.galleryId);
+        if (target) target.set(ThumbnailCache.key(media), entry);
+        await this.db.saveThumbnail(
+            media.galleryId,
+            media.path,
+            media.lastModified,
+            entry.blob,
+            entry.size,
+            entry.duration,
+        );
     }
 
-    async handleTabDrop(e) {
-        if (e.stopPropagation) {
-            e.stopPropagation();
-        }
+    // Thumbnails are drawn at twice their display size to stay sharp on
+    // high density screens
+    setSize(displaySize) {
+        const size = Math.max(160, displaySize * 2);
+        if (size === this.size) return;
+        // read the stored thumbnails again, without the ones that are now too small
+        if (size > this.size) this.stored.clear();
+        this.size = size;
+    }
 
-        const targetTab = e.target;
-        const targetIndex = parseInt(targetTab.dataset.index);
+    hasThumbnail(media) {
+        return !!media.thumbnailUrl && media.thumbnailSize >= this.size;
+    }
 
-        if (
-            this.draggedTabElement !== targetTab &&
-            this.draggedTabIndex !== targetIndex
-        ) {
-            const movedGallery = this.galleries[this.draggedTabIndex];
-            this.galleries.splice(this.draggedTabIndex, 1);
-            this.galleries.splice(targetIndex, 0, movedGallery);
+    setThumbnail(media, blob, size, duration) {
+        if (media.thumbnailUrl) URL.revokeObjectURL(media.thumbnailUrl);
+        media.thumbnailUrl = URL.createObjectURL(blob);
+        media.thumbnailSize = size;
+        if (media.type === "video") media.duration = duration;
+        if (this.onReady) this.onReady(media);
+    }
 
-            if (this.activeGalleryIndex === this.draggedTabIndex) {
-                this.activeGalleryIndex = targetIndex;
-            } else if (
-                this.draggedTabIndex < this.activeGalleryIndex &&
-                targetIndex >= this.activeGalleryIndex
-            ) {
-                this.activeGalleryIndex--;
-            } else if (
-                this.draggedTabIndex > this.activeGalleryIndex &&
-                targetIndex <= this.activeGalleryIndex
-            ) {
-                this.activeGalleryIndex++;
-            }
+    // Shown as a labelled placeholder instead of a thumbnail
+    setUnsupported(media) {
+        media.unsupported = true;
+        if (this.onReady) this.onReady(media);
+    }
 
-            // update order values and persist to DB
-            this.galleries.forEach((g, idx) => {
-                g.order = idx;
-            });
+    cancel(galleryId) {
+        this.queue = this.queue.filter((job) => job.galleryId !== galleryId);
+        this.stored.delete(galleryId);
+    }
+
+    async process() {
+        if (this.isProcessing) return;
+        this.isProcessing = true;
+
+        while (this.queue.length > 0) {
+            const { galleryId, media } = this.queue.shift();
+            if (this.hasThumbnail(media)) continue;
 
             try {
-                // save all galleries order to DB
-                for (const g of this.galleries) {
-                    await this.db.saveGallery(g);
+                if (media.type === "video" && !MediaFormats.canPlay(media)) {
+                    this.setUnsupported(media);
+                    continue;
+                }
+                const { blob, duration } =
+                    media.type === "image"
+                        ? { blob: await this.createImageThumbnail(media) }
+                        : await this.createVideoThumbnail(media.url);
+                if (!blob) {
+                    this.setUnsupported(media);
+                    continue;
                 }
+
+                const size = this.size;
+                this.setThumbnail(media, blob, size, duration);
+                const stored = this.stored.get(galleryId);
+                if (stored) stored.set(ThumbnailCache.key(media), { blob, size, duration });
+                await this.db.saveThumbnail(
+                    galleryId,
+                    media.path,
+                    media.lastModified,
+                    blob,
+                    size,
+                    duration,
+                );
             } catch (err) {
-                console.error("Error saving gallery order:", err);
+                console.warn("Could not create thumbnail for", media.path, err);
+                this.setUnsupported(media);
             }
 
-            this.rebuildTabs();
+            // let the UI breathe between thumbnails
+            await this.idle();
         }
 
-        return false;
+        this.isProcessing = false;
     }
 
-    async verifyPermission(directoryHandle, withWrite = true) {
-        const opts = {};
-        if (withWrite) {
-            opts.mode = "readwrite";
+    idle() {
+        return new Promise((resolve) => {
+            if (window.requestIdleCallback) {
+                requestIdleCallback(() => resolve(), { timeout: 200 });
+            } else {
+                setTimeout(resolve, 0);
+            }
+        });
+    }
+
+    async createImageThumbnail(media) {
+        const blob = await MediaFormats.decodable(media);
+        if (!blob) return null;
+
+        let bitmap;
+        try {
+            bitmap = await createImageBitmap(blob, { imageOrientation: "from-image" });
+        } catch (err) {
+            // SVG can't be made into a bitmap directly, only through an <img>
+            return this.createElementThumbnail(blob);
+        }
+        try {
+            return await this.drawThumbnail(bitmap, bitmap.width, bitmap.height);
+        } finally {
+            bitmap.close();
         }
+    }
 
-        if ((await directoryHandle.queryPermission(opts)) === "granted") {
-            return true;
+    async createElementThumbnail(blob) {
+        const url = URL.createObjectURL(blob);
+        try {
+            const img = new Image();
+            img.src = url;
+            await img.decode();
+            // drawings without a size of their own are drawn square
+            return await this.drawThumbnail(
+                img,
+                img.naturalWidth || this.size,
+                img.naturalHeight || this.size,
+            );
+        } finally {
+            URL.revokeObjectURL(url);
         }
+    }
 
-        if ((await directoryHandle.requestPermission(opts)) === "granted") {
-            return true;
+    // The first frame is often black or a fade-in, so the poster is taken
+    // from further in: the first candidate point that shows something, or
+    // else the one with the most contrast
+    async createVideoThumbnail(url) {
+        const video = document.createElement("video");
+        video.muted = true;
+        video.preload = "auto";
+        video.src = url;
+
+        try {
+            await ThumbnailCache.waitFor(video, "loadeddata");
+            const duration = Number.isFinite(video.duration) ? video.duration : null;
+
+            let best = null;
+            for (const point of ThumbnailCache.posterPoints) {
+                if (duration) {
+                    video.currentTime = duration * point;
+                    await ThumbnailCache.waitFor(video, "seeked");
+                }
+                const frame = { time: video.currentTime, ...ThumbnailCache.measureFrame(video) };
+                if (!best || frame.contrast > best.contrast) best = frame;
+                if (!duration || (frame.brightness > 30 && frame.contrast > 12)) {
+                    best = frame;
+                    break;
+                }
+            }
+            if (video.currentTime !== best.time) {
+                video.currentTime = best.time;
+                await ThumbnailCache.waitFor(video, "seeked");
+            }
+
+            const blob = await this.drawThumbnail(video, video.videoWidth, video.videoHeight);
+            return { blob, duration };
+        } finally {
+            video.removeAttribute("src");
+            video.load();
         }
+    }
 
-        return false;
+    // Average brightness and its spread over a tiny copy of the frame
+    static measureFrame(video) {
+        const canvas = document.createElement("canvas");
+        canvas.width = 16;
+        canvas.height = 16;
+        const ctx = canvas.getContext("2d", { willReadFrequently: true });
+        ctx.drawImage(video, 0, 0, 16, 16);
+        const { data } = ctx.getImageData(0, 0, 16, 16);
+
+        const values = [];
+        for (let i = 0; i < data.length; i += 4) {
+            values.push(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]);
+        }
+        const brightness = values.reduce((sum, value) => sum + value, 0) / values.length;
+        const variance =
+            values.reduce((sum, value) => sum + (value - brightness) ** 2, 0) / values.length;
+        return { brightness, contrast: Math.sqrt(variance) };
     }
 
-    showLoading(show = true) {
-        document.getElementById("loadingIndicator").style.display = show
-            ? "block"
-            : "none";
+    static waitFor(video, event) {
+        return new Promise((resolve, reject) => {
+            const finish = (callback) => {
+                clearTimeout(timeout);
+                video.removeEventListener(event, onEvent);
+                video.removeEventListener("error", onError);
+                callback();
+            };
+            const onEvent = () => finish(resolve);
+            const onError = () => finish(() => reject(video.error));
+            const timeout = setTimeout(
+                () => finish(() => reject(new Error(`Timed out waiting for ${event}`))),
+                10000,
+            );
+            video.addEventListener(event, onEvent);
+            video.addEventListener("error", onError);
+        });
     }
 
-    resetTransform() {
-        this.scale = 1;
-        this.translateX = 0;
-        this.translateY = 0;
-        this.applyTransform();
+    // Scale the source so its short side matches the thumbnail size
+    async drawThumbnail(source, width, height) {
+        if (!width || !height) return null;
+
+        const scale = Math.min(1, this.size / Math.min(width, height));
+        const w = Math.max(1, Math.round(width * scale));
+        const h = Math.max(1, Math.round(height * scale));
+
+        if (window.OffscreenCanvas) {
+            const canvas = new OffscreenCanvas(w, h);
+            const ctx = canvas.getContext("2d");
+            ctx.fillStyle = "#1a1a1a";
+            ctx.fillRect(0, 0, w, h);
+            ctx.drawImage(source, 0, 0, w, h);
+            return canvas.convertToBlob({ type: "image/jpeg", quality: 0.8 });
+        }
+
+        const canvas = document.createElement("canvas");
+        canvas.width = w;
+        canvas.height = h;
+        const ctx = canvas.getContext("2d");
+        ctx.fillStyle = "#1a1a1a";
+        ctx.fillRect(0, 0, w, h);
+        ctx.drawImage(source, 0, 0, w, h);
+        return new Promise((resolve) => canvas.toBlob(resolve, "image/jpeg", 0.8));
     }
+}
 
-    applyTransform() {
-        const videoPreview = document.getElementById("videoPreview");
-        const mediaPreview = document.getElementById("mediaPreview");
-        let element = 0;
-        if (videoPreview.style.display !== "none") {
-            element = videoPreview;
+// Fractions of a video's duration tried for its poster, in order
+ThumbnailCache.posterPoints = [0.1, 0.25, 0.5, 0.75];
+
+// Renders only the rows of the thumbnail grid that are in view (plus a buffer)
+class VirtualGrid {
+    constructor(scrollContainer, grid, options = {}) {
+        this.scrollContainer = scrollContainer;
+        this.grid = grid;
+        this.renderItem = options.renderItem;
+        this.releaseItem = options.releaseItem || null;
+        this.minItemSize = options.minItemSize || 81;
+        this.gap = options.gap || 10;
+        this.buffer = options.buffer || 3;
+
+        this.count = 0;
+        this.activeIndex = -1;
+        this.columns = 1;
+        this.rowHeight = this.minItemSize + this.gap;
+        this.elements = new Map();
+        this.renderPending = false;
+
+        this.window = document.createElement("div");
+        this.window.className = "thumbnail-window";
+        this.grid.appendChild(this.window);
+
+        this.scrollContainer.addEventListener("scroll", () => this.scheduleRender());
+        if (window.ResizeObserver) {
+            new ResizeObserver(() => {
+                this.measure();
+                this.scheduleRender();
+            }).observe(this.scrollContainer);
         } else {
-            element = mediaPreview;
+            window.addEventListener("resize", () => {
+                this.measure();
+                this.scheduleRender();
+            });
         }
-        element.style.transform = `translate(${this.translateX}px, ${this.translateY}px) scale(${this.scale})`;
     }
-}
 
-class Gallery {
-    constructor(id, name, directoryHandle) {
-        this.id = id;
-        this.name = name;
-        this.directoryHandle = directoryHandle;
-        this.media = [];
-        this.isShuffled = false;
+    setItems(count, activeIndex = 0) {
+        this.clear();
+        this.count = count;
+        this.activeIndex = activeIndex;
+        this.scrollContainer.scrollTop = 0;
+        this.measure();
+        this.render();
     }
 
-    async loadMedia() {
-        this.media = [];
+    // Grow or shrink the grid without resetting the scroll position
+    setCount(count) {
+        this.count = count;
+        this.measure();
+        this.scheduleRender();
+    }
 
-        try {
-            const hasPermission = await this.verifyPermission(this.directoryHandle);
-            if (!hasPermission) {
-                console.warn("Permission denied for", this.name);
-                alert(`Permission denied for "${this.name}".`);
-                return;
-            }
+    clear() {
+        this.elements.forEach((element, index) => this.release(index, element));
+        this.elements.clear();
+        this.window.innerHTML = "";
+    }
 
-            const fileEntries = await this.scanDirectoryRecursive(
-                this.directoryHandle,
-            );
+    setItemSize(size) {
+        if (size === this.minItemSize) return;
+        this.minItemSize = size;
+        this.refresh();
+    }
 
-            for (const fileEntry of fileEntries) {
-                try {
-                    const file = await fileEntry.entry.getFile();
-                    const url = URL.createObjectURL(file);
-                    this.media.push({
-                        name: fileEntry.entry.name,
-                        path: fileEntry.path,
-                        url: url,
-                        type: fileEntry.type,
-                        file: file,
-                        lastModified: file.lastModified,
-                    });
-                } catch (err) {
-                    console.error("Error loading file:", fileEntry.path, err);
-                }
-            }
+    // Re-create every rendered item, e.g. after the underlying data changed
+    refresh(count = this.count) {
+        this.count = count;
+        this.clear();
+        this.measure();
+        this.render();
+    }
 
-            this.media.sort((a, b) => b.lastModified - a.lastModified);
+    release(index, element) {
+        if (this.releaseItem) this.releaseItem(index, element);
+    }
 
-            // If gallery is in shuffle mode, shuffle the media after loading
-            if (this.isShuffled) {
-                for (let i = this.media.length - 1; i > 0; i--) {
-                    const j = Math.floor(Math.random() * (i + 1));
-                    [this.media[i], this.media[j]] = [this.media[j], this.media[i]];
-                }
-            }
+    measure() {
+        const style = getComputedStyle(this.scrollContainer);
+        const width =
+            this.scrollContainer.clientWidth -
+            parseFloat(style.paddingLeft) -
+            parseFloat(style.paddingRight);
 
-            console.log(
-                `Loaded ${this.media.length} media files from "${this.name}" (including subdirectories)`,
-            );
-        } catch (err) {
-            console.error("Error loading media:", err);
-            alert(
-                `Could not load media from "${this.name}". Permission may have been revoked.`,
-            );
-        }
+        this.columns = Math.max(
+            1,
+            Math.floor((width + this.gap) / (this.minItemSize + this.gap)),
+        );
+        const itemSize = (width - (this.columns - 1) * this.gap) / this.columns;
+        this.itemSize = Math.max(1, itemSize);
+        this.rowHeight = this.itemSize + this.gap;
+
+        const rows = Math.ceil(this.count / this.columns);
+        this.grid.style.height = `${Math.max(0, rows * this.rowHeight - this.gap)}px`;
+        this.window.style.gridTemplateColumns = `repeat(${this.columns}, 1fr)`;
     }
 
-    async scanDirectoryRecursive(dirHandle, path = "") {
-        const files = [];
-        const supportedFormats = {
-            image: [".jpg", ".jpeg", ".png", ".gif", ".webp", ".bmp"],
-            video: [".mp4", ".webm", ".ogg"],
+    scheduleRender() {
+        if (this.renderPending) return;
+        this.renderPending = true;
+        requestAnimationFrame(() => {
+            this.renderPending = false;
+            this.render();
+        });
+    }
+
+    visibleRange() {
+        const scrollTop = this.scrollContainer.scrollTop - this.grid.offsetTop;
+        const viewHeight = this.scrollContainer.clientHeight;
+
+        const firstRow = Math.max(
+            0,
+            Math.floor(scrollTop / this.rowHeight) - this.buffer,
+        );
+        const lastRow = Math.ceil((scrollTop + viewHeight) / this.rowHeight) + this.buffer;
+
+        return {
+            firstRow,
+            start: firstRow * this.columns,
+            end: Math.min(this.count, lastRow * this.columns),
         };
+    }
 
-        try {
-            for await (const entry of dirHandle.values()) {
-                const entryPath = path ? `${path}/${entry.name}` : entry.name;
+    // The rendered items are always one run of indexes. Items that stay in
+    // range stay in the document, so their images and videos carry on; only
+    // the rows that scrolled in or out are added or removed.
+    render() {
+        const { firstRow, start, end } = this.visibleRange();
+
+        this.elements.forEach((element, index) => {
+            if (index < start || index >= end) {
+                element.remove();
+                this.release(index, element);
+                this.elements.delete(index);
+            }
+        });
 
-                if (entry.kind === "file") {
-                    const extension = "." + entry.name.split(".").pop().toLowerCase();
-                    const isImage = supportedFormats.image.includes(extension);
-                    const isVideo = supportedFormats.video.includes(extension);
-
-                    if (isImage || isVideo) {
-                        files.push({
-                            entry: entry,
-                            path: entryPath,
-                            type: isImage ? "image" : "video",
-                        });
-                    }
-                } else if (entry.kind === "directory") {
-                    const subFiles = await this.scanDirectoryRecursive(entry, entryPath);
-                    files.push(...subFiles);
-                }
+        const indexes = [...this.elements.keys()];
+        const mountedStart = indexes.length > 0 ? Math.min(...indexes) : end;
+        const mountedEnd = indexes.length > 0 ? Math.max(...indexes) + 1 : end;
+
+        const create = (from, to) => {
+            const fragment = document.createDocumentFragment();
+            for (let index = from; index < to; index++) {
+                const element = this.renderItem(index);
+                this.elements.set(index, element);
+                fragment.appendChild(element);
             }
-        } catch (err) {
-            console.error("Error scanning directory:", err);
+            return fragment;
+        };
+        if (start < mountedStart) {
+            this.window.insertBefore(create(start, mountedStart), this.window.firstChild);
+        }
+        if (mountedEnd < end) {
+            this.window.appendChild(create(mountedEnd, end));
         }
 
-        return files;
+        this.elements.forEach((element, index) => {
+            element.classList.toggle("active", index === this.activeIndex);
+        });
+        this.window.style.transform = `translateY(${firstRow * this.rowHeight}px)`;
     }
 
-    async verifyPermission(directoryHandle, withWrite = true) {
-        const opts = {};
-        if (withWrite) {
-            opts.mode = "readwrite";
+    getElement(index) {
+        return this.elements.get(index) || null;
+    }
+
+    setActive(index) {
+        const previous = this.getElement(this.activeIndex);
+        if (previous) previous.classList.remove("active");
+
+        this.activeIndex = index;
+        const current = this.getElement(index);
+        if (current) current.classList.add("active");
+    }
+
+    scrollToIndex(index, behavior = "smooth") {
+        if (index < 0 || index >= this.count) return;
+
+        const row = Math.floor(index / this.columns);
+        const top =
+            this.grid.offsetTop +
+            row * this.rowHeight -
+            (this.scrollContainer.clientHeight - this.itemSize) / 2;
+
+        this.scrollContainer.scrollTo({ top: Math.max(0, top), behavior });
+    }
+
+    // Indexes of the items a rectangle in grid coordinates touches, rendered
+    // or not; the gaps between items don't count
+    indexesIn(left, top, right, bottom) {
+        const columnWidth = this.itemSize + this.gap;
+        const first = (start, step) => Math.floor(start / step) + (start % step > this.itemSize ? 1 : 0);
+        const firstColumn = Math.max(0, first(left, columnWidth));
+        const lastColumn = Math.min(this.columns - 1, Math.floor(right / columnWidth));
+        const firstRow = Math.max(0, first(top, this.rowHeight));
+        const lastRow = Math.floor(bottom / this.rowHeight);
+
+        const indexes = [];
+        for (let row = firstRow; row <= lastRow; row++) {
+            for (let column = firstColumn; column <= lastColumn; column++) {
+                const index = row * this.columns + column;
+                if (index >= this.count) return indexes;
+                indexes.push(index);
+            }
         }
+        return indexes;
+    }
+}
 
-        if ((await directoryHandle.queryPermission(opts)) === "granted") {
-            return true;
+// Drag a rectangle over the grid with the mouse to select the items under
+// it, scrolling when the pointer nears the top or bottom edge. A press that
+// doesn't move is left to be a click.
+class RubberBand {
+    constructor(grid, handlers) {
+        this.grid = grid;
+        this.handlers = handlers;
+        this.container = grid.scrollContainer;
+        this.drag = null;
+        this.suppressClick = false;
+
+        this.band = document.createElement("div");
+        this.band.className = "selection-band";
+
+        this.container.addEventListener("pointerdown", (e) => this.start(e));
+        this.container.addEventListener("pointermove", (e) => this.move(e));
+        this.container.addEventListener("pointerup", (e) => this.end(e));
+        this.container.addEventListener("pointercancel", (e) => this.end(e));
+        this.container.addEventListener("scroll", () => {
+            if (this.drag && this.drag.active) this.update();
+        });
+        // the click that ends a drag isn't a click on a thumbnail
+        this.container.addEventListener(
+            "click",
+            (e) => {
+                if (!this.suppressClick) return;
+                e.stopPropagation();
+                e.preventDefault();
+            },
+            true,
+        );
+    }
+
+    // The pointer position in grid coordinates
+    point(clientX, clientY) {
+        const rect = this.grid.grid.getBoundingClientRect();
+        return { x: clientX - rect.left, y: clientY - rect.top };
+    }
+
+    start(e) {
+        if (e.pointerType !== "mouse" || e.button !== 0) return;
+        // not on the scrollbar
+        if (e.clientX - this.container.getBoundingClientRect().left >= this.container.clientWidth) return;
+
+        this.drag = {
+            pointerId: e.pointerId,
+            origin: this.point(e.clientX, e.clientY),
+            clientX: e.clientX,
+            clientY: e.clientY,
+            add: e.ctrlKey || e.metaKey || e.shiftKey,
+            active: false,
+        };
+    }
+
+    move(e) {
+        const drag = this.drag;
+        if (!drag || e.pointerId !== drag.pointerId) return;
+        drag.clientX = e.clientX;
+        drag.clientY = e.clientY;
+
+        if (!drag.active) {
+            const { x, y } = this.point(e.clientX, e.clientY);
+            if (Math.hypot(x - drag.origin.x, y - drag.origin.y) < 6) return;
+            drag.active = true;
+            this.container.setPointerCapture(e.pointerId);
+            this.grid.grid.appendChild(this.band);
+            this.handlers.onStart(drag.add);
+            this.autoScroll();
         }
+        this.update();
+    }
 
-        if ((await directoryHandle.requestPermission(opts)) === "granted") {
-            return true;
+    update() {
+        const { origin, clientX, clientY } = this.drag;
+        const { x, y } = this.point(clientX, clientY);
+        const left = Math.max(0, Math.min(origin.x, x));
+        const top = Math.max(0, Math.min(origin.y, y));
+        const right = Math.max(origin.x, x);
+        const bottom = Math.max(origin.y, y);
+
+        Object.assign(this.band.style, {
+            left: `${left}px`,
+            top: `${top}px`,
+            width: `${right - left}px`,
+            height: `${bottom - top}px`,
+        });
+        this.handlers.onSelect(this.grid.indexesIn(left, top, right, bottom));
+    }
+
+    autoScroll() {
+        if (!this.drag || !this.drag.active) return;
+        const rect = this.container.getBoundingClientRect();
+        const edge = 32;
+        const { clientY } = this.drag;
+        if (clientY < rect.top + edge) {
+            this.container.scrollTop -= Math.min(edge, rect.top + edge - clientY);
+        } else if (clientY > rect.bottom - edge) {
+            this.container.scrollTop += Math.min(edge, clientY - (rect.bottom - edge));
         }
+        requestAnimationFrame(() => this.autoScroll());
+    }
 
-        return false;
+    end(e) {
+        const drag = this.drag;
+        if (!drag || e.pointerId !== drag.pointerId) return;
+        this.drag = null;
+        if (!drag.active) return;
+
+        this.band.remove();
+        this.suppressClick = true;
+        setTimeout(() => {
+            this.suppressClick = false;
+        });
     }
 }
 
-class App {
-    constructor() {
-        this.db = new GalleryDB("GalleryViewerDB", 1, "galleries");
-        this.galleryManager = new GalleryManager(this.db);
-        this.setupEventListeners();
+// Sidebar listing the folders of the active gallery, built from the scanned paths
+class FolderTree {
+    constructor(container, onSelect) {
+        this.container = container;
+        this.onSelect = onSelect;
+        this.isVisible = false;
+        this.gallery = null;
     }
 
-    async init() {
-        await this.db.init();
-        await this.galleryManager.loadFromStorage();
+    static build(media) {
+        const root = { name: "", path: "", children: new Map(), count: 0 };
+
+        for (const item of media) {
+            const parts = item.path.split("/").slice(0, -1);
+            let node = root;
+            node.count++;
+            for (const part of parts) {
+                let child = node.children.get(part);
+                if (!child) {
+                    child = {
+                        name: part,
+                        path: node.path ? `${node.path}/${part}` : part,
+                        children: new Map(),
+                        count: 0,
+                    };
+                    node.children.set(part, child);
+                }
+                child.count++;
+                node = child;
+            }
+        }
+
+        return root;
     }
 
-    setupEventListeners() {
-        const previewSection = document.getElementById("previewSection");
-        const mediaPreview = document.getElementById("mediaPreview");
-        const videoPreview = document.getElementById("videoPreview");
-        const progressBar = document.getElementById("progressBar");
+    setVisible(visible) {
+        this.isVisible = visible;
+        if (visible && this.gallery) this.render(this.gallery);
+    }
+
+    clear() {
+        this.gallery = null;
+        this.container.innerHTML = "";
+    }
+
+    render(gallery) {
+        this.gallery = gallery;
+        if (!this.isVisible) return;
+
+        const root = FolderTree.build(gallery.media);
+        root.name = gallery.name;
+
+        // keep the selected folder reachable
+        const selected = gallery.folder.path;
+        const parts = selected ? selected.split("/") : [];
+        parts.forEach((part, i) => {
+            gallery.expandedFolders.add(parts.slice(0, i).join("/"));
+        });
+
+        const scrollTop = this.container.scrollTop;
+        this.container.innerHTML = "";
+        this.container.appendChild(this.renderNode(root, 0));
+        this.container.scrollTop = scrollTop;
+    }
+
+    renderNode(node, depth) {
+        const gallery = this.gallery;
+        const wrapper = document.createElement("div");
+
+        const row = document.createElement("div");
+        row.className = "folder-node";
+        row.style.paddingLeft = `${depth * 12 + 4}px`;
+        row.title = node.path || node.name;
+        if (node.path === gallery.folder.path) row.classList.add("active");
+
+        const isExpanded = gallery.expandedFolders.has(node.path);
+        const toggle = document.createElement("span");
+        toggle.className = "folder-toggle";
+        if (node.children.size > 0) {
+            toggle.textContent = isExpanded ? "▾" : "▸";
+            toggle.onclick = (e) => {
+                e.stopPropagation();
+                if (isExpanded) {
+                    gallery.expandedFolders.delete(node.path);
+                } else {
+                    gallery.expandedFolders.add(node.path);
+                }
+                this.render(gallery);
+            };
+        }
+
+        const name = document.createElement("span");
+        name.className = "folder-name";
+        name.textContent = node.name;
+
+        const count = document.createElement("span");
+        count.className = "folder-count";
+        count.textContent = node.count;
+
+        row.append(toggle, name, count);
+        row.onclick = () => this.onSelect(node.path);
+        wrapper.appendChild(row);
+
+        if (isExpanded) {
+            const children = [...node.children.values()].sort((a, b) =>
+                Gallery.collator.compare(a.name, b.name),
+            );
+            for (const child of children) {
+                wrapper.appendChild(this.renderNode(child, depth + 1));
+            }
+        }
+
+        return wrapper;
+    }
+}
+
+// Zoom and pan of the previewed image or video. The element is laid out to
+// fit the container, so a scale of 1 is "fit"; the other modes and the
+// bounds are derived from the element's layout and natural sizes.
+class Viewport {
+    constructor(container, indicator) {
+        this.container = container;
+        this.indicator = indicator;
+        this.element = null;
+        this.orientation = "";
+        this.mode = "fit";
+        this.scale = 1;
+        this.x = 0;
+        this.y = 0;
+        this.minScale = 0.5;
+        this.maxScale = 5;
+        this.animate = false;
+        this.renderPending = false;
+        this.showIndicator = false;
+        this.indicatorTimeout = null;
+
+        // Load events don't bubble, so catch them on the way down; fill and
+        // 1:1 can only be worked out once the size of the media is known
+        const refit = () => this.refit();
+        container.addEventListener("load", refit, true);
+        container.addEventListener("loadedmetadata", refit, true);
+        window.addEventListener("resize", refit);
+    }
+
+    setElement(element) {
+        if (this.element && this.element !== element) {
+            this.element.style.transform = "";
+        }
+        this.element = element;
+        this.orientation = "";
+        this.reset();
+    }
+
+    setLimits(minScale, maxScale) {
+        this.minScale = minScale;
+        this.maxScale = maxScale;
+        this.refit();
+    }
+
+    setOrientation(transform) {
+        this.orientation = transform;
+        this.refit();
+    }
+
+    // New media starts at fit, without announcing it in the indicator
+    reset() {
+        this.setMode("fit");
+        this.showIndicator = false;
+    }
+
+    // Quarter turns swap the on-screen width and height
+    get size() {
+        if (!this.element) return { width: 0, height: 0 };
+        const turned = /rotate\((90|270)deg\)/.test(this.orientation);
+        const width = this.element.offsetWidth;
+        const height = this.element.offsetHeight;
+        return turned ? { width: height, height: width } : { width, height };
+    }
+
+    get naturalWidth() {
+        if (!this.element) return 0;
+        const width = this.element.naturalWidth || this.element.videoWidth || 0;
+        if (!/rotate\((90|270)deg\)/.test(this.orientation)) return width;
+        return this.element.naturalHeight || this.element.videoHeight || 0;
+    }
+
+    modeScale(mode) {
+        const { width, height } = this.size;
+        if (!width || !height) return 1;
+
+        if (mode === "fill") {
+            return Math.max(
+                this.container.clientWidth / width,
+                this.container.clientHeight / height,
+            );
+        }
+        if (mode === "actual") {
+            return this.naturalWidth ? this.naturalWidth / width : 1;
+        }
+        return 1;
+    }
+
+    // The displayed size relative to the file's own pixels
+    get pixelScale() {
+        const { width } = this.size;
+        return width && this.naturalWidth ? (this.scale * width) / this.naturalWidth : this.scale;
+    }
+
+    setMode(mode, clientX, clientY) {
+        this.zoomTo(this.modeScale(mode), clientX, clientY, true);
+        this.mode = mode;
+        if (mode === "fit") {
+            this.x = 0;
+            this.y = 0;
+        }
+        this.render();
+    }
+
+    // Double click switches between fit and the file's own pixels, or fill
+    // for files that already fit at full size
+    toggle(clientX, clientY) {
+        if (this.mode !== "fit") {
+            this.setMode("fit");
+        } else if (this.modeScale("actual") > 1.01) {
+            this.setMode("actual", clientX, clientY);
+        } else {
+            this.setMode("fill", clientX, clientY);
+        }
+    }
+
+    zoomBy(factor, clientX, clientY) {
+        this.zoomTo(this.scale * factor, clientX, clientY);
+    }
+
+    // Zoom keys take animated steps around the center
+    step(factor) {
+        this.zoomTo(this.scale * factor, undefined, undefined, true);
+    }
+
+    // Zoom keeping the point under the cursor (or the center) in place
+    zoomTo(scale, clientX, clientY, animate = false) {
+        const min = Math.min(this.minScale, this.modeScale("fit"));
+        const max = Math.max(this.maxScale, this.modeScale("fill"), this.modeScale("actual"));
+        scale = Math.min(Math.max(scale, min), max);
+
+        const rect = this.container.getBoundingClientRect();
+        const centerX = rect.left + rect.width / 2;
+        const centerY = rect.top + rect.height / 2;
+        const anchorX = clientX === undefined ? centerX : clientX;
+        const anchorY = clientY === undefined ? centerY : clientY;
+
+        const ratio = scale / this.scale;
+        this.x = anchorX - centerX - (anchorX - centerX - this.x) * ratio;
+        this.y = anchorY - centerY - (anchorY - centerY - this.y) * ratio;
+        this.scale = scale;
+        this.mode = "custom";
+        this.animate = animate;
+        this.showIndicator = true;
+        this.render();
+    }
+
+    startPan(clientX, clientY) {
+        this.panStartX = clientX - this.x;
+        this.panStartY = clientY - this.y;
+    }
+
+    // Dragging past an edge moves the start point along, so the media
+    // follows again as soon as the drag turns back
+    panTo(clientX, clientY) {
+        this.x = clientX - this.panStartX;
+        this.y = clientY - this.panStartY;
+        this.clamp();
+        this.startPan(clientX, clientY);
+        this.animate = false;
+        this.render();
+    }
+
+    panBy(dx, dy) {
+        this.x += dx;
+        this.y += dy;
+        this.animate = false;
+        this.render();
+    }
+
+    get fits() {
+        return this.scale <= this.modeScale("fit") + 0.001;
+    }
+
+    // Keep the edges of the media at or beyond the container's; media
+    // smaller than the container stays centered
+    clamp() {
+        const { width, height } = this.size;
+        const maxX = Math.max(0, (width * this.scale - this.container.clientWidth) / 2);
+        const maxY = Math.max(0, (height * this.scale - this.container.clientHeight) / 2);
+        this.x = Math.min(Math.max(this.x, -maxX), maxX);
+        this.y = Math.min(Math.max(this.y, -maxY), maxY);
+    }
+
+    refit() {
+        const showIndicator = this.showIndicator;
+        if (this.mode === "custom") {
+            this.zoomTo(this.scale);
+        } else {
+            this.setMode(this.mode);
+        }
+        this.showIndicator = showIndicator;
+    }
+
+    render() {
+        if (this.renderPending) return;
+        this.renderPending = true;
+        requestAnimationFrame(() => {
+            this.renderPending = false;
+            if (!this.element) return;
+
+            this.clamp();
+            this.element.style.transition = this.animate ? "" : "none";
+            this.element.style.transform = `translate(${this.x}px, ${this.y}px) scale(${this.scale}) ${this.orientation}`;
+            this.updateIndicator();
+        });
+    }
+
+    updateIndicator() {
+        if (!this.showIndicator) {
+            this.indicator.classList.remove("visible");
+            return;
+        }
+        const labels = { fit: "Fit", fill: "Fill", actual: "1:1" };
+        const percent = `${Math.round(this.pixelScale * 100)}%`;
+        this.indicator.textContent = labels[this.mode] ? `${labels[this.mode]} · ${percent}` : percent;
+
+        // Stays up while zoomed, and fades out again back at fit
+        this.indicator.classList.add("visible");
+        clearTimeout(this.indicatorTimeout);
+        if (this.mode === "fit") {
+            this.indicatorTimeout = setTimeout(
+                () => this.indicator.classList.remove("visible"),
+                1500,
+            );
+        }
+    }
+}
+
+// Mouse, touch and pen input on the preview, all through pointer events:
+// drag to pan, swipe to navigate, pinch or right-drag to zoom, double tap
+// to switch the zoom mode and long press or right click for a menu
+class PreviewGestures {
+    constructor(element, viewport, handlers) {
+        this.element = element;
+        this.viewport = viewport;
+        this.onSwipe = handlers.onSwipe;
+        this.onTap = handlers.onTap;
+        this.onContextMenu = handlers.onContextMenu;
+        this.pointers = new Map();
+        this.gesture = null;
+        this.lastTap = null;
+        this.longPressTimeout = null;
+
+        element.addEventListener("pointerdown", (e) => this.handleDown(e));
+        element.addEventListener("pointermove", (e) => this.handleMove(e));
+        element.addEventListener("pointerup", (e) => this.handleUp(e));
+        element.addEventListener("pointercancel", (e) => this.handleUp(e, true));
+        element.addEventListener("contextmenu", (e) => e.preventDefault());
+    }
+
+    handleDown(e) {
+        if (e.target.closest("button, .video-controls, .metadata-panel, .empty-state")) return;
+        if (e.button !== 0 && e.button !== 2) return;
+
+        this.element.setPointerCapture(e.pointerId);
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        this.cancelLongPress();
+
+        if (this.pointers.size === 2) {
+            this.gesture = { type: "pinch", ...this.pinchState() };
+            return;
+        }
+        if (this.pointers.size > 2) return;
+
+        this.gesture = {
+            type: e.button === 2 ? "zoom" : "pan",
+            startX: e.clientX,
+            startY: e.clientY,
+            lastY: e.clientY,
+            startTime: Date.now(),
+            target: e.target.closest(".media-item"),
+            moved: false,
+            // At fit there is nothing to pan, so a drag swipes instead
+            swipe: this.viewport.fits,
+        };
+        this.viewport.startPan(e.clientX, e.clientY);
+        this.element.classList.toggle("panning", e.button === 0);
+
+        if (e.pointerType !== "mouse") {
+            const gesture = this.gesture;
+            this.longPressTimeout = setTimeout(() => {
+                gesture.moved = true;
+                this.onContextMenu(e.clientX, e.clientY);
+            }, 500);
+        }
+    }
+
+    handleMove(e) {
+        const pointer = this.pointers.get(e.pointerId);
+        const gesture = this.gesture;
+        if (!pointer || !gesture) return;
+        pointer.x = e.clientX;
+        pointer.y = e.clientY;
+
+        // Two fingers zoom around their midpoint and pan as it moves
+        if (gesture.type === "pinch") {
+            const { distance, x, y } = this.pinchState();
+            this.viewport.zoomBy(distance / gesture.distance, gesture.x, gesture.y);
+            this.viewport.panBy(x - gesture.x, y - gesture.y);
+            Object.assign(gesture, { distance, x, y });
+            return;
+        }
+        if (this.pointers.size > 1) return;
+
+        if (Math.hypot(e.clientX - gesture.startX, e.clientY - gesture.startY) > 10) {
+            gesture.moved = true;
+            this.cancelLongPress();
+        }
+        if (gesture.type === "zoom") {
+            const deltaY = e.clientY - gesture.lastY;
+            this.viewport.zoomTo(this.viewport.scale - deltaY / 100, gesture.startX, gesture.startY);
+            gesture.lastY = e.clientY;
+        } else if (!gesture.swipe) {
+            this.viewport.panTo(e.clientX, e.clientY);
+        }
+    }
+
+    handleUp(e, cancelled = false) {
+        if (!this.pointers.delete(e.pointerId)) return;
+        this.cancelLongPress();
+
+        // Lifting one finger of a pinch carries on as a pan with the other
+        if (this.pointers.size === 1) {
+            const [pointer] = this.pointers.values();
+            this.gesture = { type: "pan", startX: pointer.x, startY: pointer.y, moved: true, swipe: false };
+            this.viewport.startPan(pointer.x, pointer.y);
+            return;
+        }
+        if (this.pointers.size > 0) return;
+
+        const gesture = this.gesture;
+        this.gesture = null;
+        this.element.classList.remove("panning");
+        if (!gesture || cancelled || gesture.type === "pinch") return;
+
+        if (gesture.type === "zoom") {
+            if (!gesture.moved) this.onContextMenu(e.clientX, e.clientY);
+            return;
+        }
+
+        const dx = e.clientX - gesture.startX;
+        const dy = e.clientY - gesture.startY;
+        if (
+            gesture.swipe &&
+            Math.abs(dx) > 50 &&
+            Math.abs(dx) > Math.abs(dy) * 1.5 &&
+            Date.now() - gesture.startTime < 800
+        ) {
+            this.onSwipe(dx < 0 ? 1 : -1);
+        } else if (!gesture.moved && gesture.target) {
+            this.handleTap(e, gesture.target);
+        }
+    }
+
+    // A tap or click is passed on, and a second one close to the first
+    // toggles the zoom mode
+    handleTap(e, target) {
+        this.onTap(target);
+        const now = Date.now();
+        const last = this.lastTap;
+        if (last && now - last.time < 300 && Math.hypot(e.clientX - last.x, e.clientY - last.y) < 30) {
+            this.lastTap = null;
+            this.viewport.toggle(e.clientX, e.clientY);
+        } else {
+            this.lastTap = { time: now, x: e.clientX, y: e.clientY };
+        }
+    }
+
+    pinchState() {
+        const [a, b] = this.pointers.values();
+        return {
+            distance: Math.max(1, Math.hypot(a.x - b.x, a.y - b.y)),
+            x: (a.x + b.x) / 2,
+            y: (a.y + b.y) / 2,
+        };
+    }
+
+    cancelLongPress() {
+        clearTimeout(this.longPressTimeout);
+        this.longPressTimeout = null;
+    }
+}
+
+class GalleryManager {
+    constructor(db) {
+        this.db = db;
+        this.galleries = [];
+        this.activeGalleryIndex = -1;
+        this.thumbnails = new ThumbnailCache(db);
+        this.thumbnails.onReady = this.updateThumbnail.bind(this);
+        this.thumbnailElements = new Map();
+        this.thumbnailGrid = new VirtualGrid(
+            document.querySelector(".thumbnails-section"),
+            document.getElementById("thumbnailGrid"),
+            {
+                renderItem: this.createThumbnail.bind(this),
+                releaseItem: (index, element) => {
+                    this.stopScrubbing(element);
+                    this.thumbnailElements.delete(element.media);
+                },
+            },
+        );
+        this.selection = new Set();
+        this.selectionAnchor = null;
+        this.rubberBand = new RubberBand(this.thumbnailGrid, {
+            onStart: (add) => {
+                this.bandBase = add ? new Set(this.selection) : new Set();
+            },
+            onSelect: (indexes) => {
+                this.selection = new Set(this.bandBase);
+                for (const index of indexes) this.selection.add(this.gridGallery.view[index]);
+                this.renderSelection();
+            },
+        });
+        this.watcher = new FolderWatcher((gallery) => this.refreshGallery(gallery));
+        this.folderTree = new FolderTree(
+            document.getElementById("folderTree"),
+            (path) => this.setFolderFilter(path),
+        );
+        this.duplicateFinder = null;
+        this.scrubbing = null;
+        this.undoStack = [];
+        this.operation = null;
+        this.settings = Settings.resolve({});
+        this.viewport = new Viewport(
+            document.getElementById("mediaContainer"),
+            document.getElementById("zoomIndicator"),
+        );
+        this.player = new VideoPlayer(document.getElementById("videoPreview"), {
+            onSavePosition: (media, position) => this.updateMediaMeta(media, { position }),
+            onEnded: () => {
+                if (this.onVideoEnded) this.onVideoEnded();
+            },
+        });
+
+        // the browser turned out not to decode the file after all
+        document.getElementById("mediaPreview").addEventListener("error", (e) => {
+            const media = this.activeMedia;
+            if (media && media.type === "image" && e.target.hasAttribute("src")) {
+                this.showUnsupported(media);
+            }
+        });
+        document.getElementById("videoPreview").addEventListener("error", (e) => {
+            const media = this.activeMedia;
+            const { error } = e.target;
+            if (media && media.type === "video" && error && error.code >= MediaError.MEDIA_ERR_DECODE) {
+                this.showUnsupported(media);
+            }
+        });
+    }
+
+    settingsFor(gallery) {
+        return Settings.resolve(this.settings, gallery ? gallery.settings : {});
+    }
+
+    get activeSettings() {
+        return this.settingsFor(this.galleries[this.activeGalleryIndex]);
+    }
+
+    async saveSettings(values) {
+        const before = new Map(this.galleries.map((gallery) => [gallery, this.settingsFor(gallery)]));
+        this.settings = Settings.resolve(values);
+        await this.db.saveSettings(values);
+        this.settingsChanged(before);
+    }
+
+    async saveGallerySettings(gallery, overrides) {
+        const before = new Map([[gallery, this.settingsFor(gallery)]]);
+        gallery.settings = overrides;
+        await this.db.saveGallery(gallery);
+        this.settingsChanged(before);
+    }
+
+    // Look for files again where the scan settings changed, and redraw
+    settingsChanged(before) {
+        for (const [gallery, old] of before) {
+            const current = this.settingsFor(gallery);
+            const rescan = Settings.fields.some(
+                (field) =>
+                    field.rescan &&
+                    JSON.stringify(old[field.key]) !== JSON.stringify(current[field.key]),
+            );
+            if (rescan && !gallery.isSmart && gallery.isLoaded) {
+                this.refreshGallery(gallery);
+            }
+        }
+
+        const active = this.galleries[this.activeGalleryIndex];
+        if (active) this.applySettings(active);
+    }
+
+    // The settings that shape the viewer rather than the scan
+    applySettings(gallery) {
+        const settings = this.settingsFor(gallery);
+        document.getElementById("videoPreview").muted = settings.muted;
+        this.viewport.setLimits(settings.minZoom, settings.maxZoom);
+        this.thumbnails.setSize(settings.thumbnailSize);
+        this.thumbnailGrid.setItemSize(settings.thumbnailSize);
+        if (gallery === this.gridGallery) this.thumbnails.load(gallery);
+    }
+
+    async loadFromStorage() {
+        try {
+            const storedGalleries = await this.db.loadGalleries();
+
+            // sort stored galleries by saved order (if present)
+            storedGalleries.sort((a, b) => (a.order || 0) - (b.order || 0));
+
+            // Galleries are only scanned once they are selected
+            for (const storedGallery of storedGalleries) {
+                let gallery;
+                if (storedGallery.kind === "smart") {
+                    gallery = new SmartGallery(
+                        storedGallery.id,
+                        storedGallery.name,
+                        storedGallery.rule,
+                        storedGallery.sources,
+                    );
+                } else if (storedGallery.kind === "server") {
+                    gallery = new ServerGallery(
+                        storedGallery.id,
+                        storedGallery.name,
+                        storedGallery.serverFolder,
+                    );
+                } else if (storedGallery.kind === "files") {
+                    // its files are gone with the page and are picked again when opened
+                    gallery = new FileListGallery(
+                        storedGallery.id,
+                        storedGallery.name,
+                        storedGallery.folderName || "",
+                    );
+                } else {
+                    const hasPermission = await this.verifyPermission(
+                        storedGallery.directoryHandle,
+                    );
+                    if (!hasPermission) {
+                        console.warn(`Permission denied for gallery: ${storedGallery.name}`);
+                        continue;
+                    }
+                    gallery = new Gallery(
+                        storedGallery.id,
+                        storedGallery.name,
+                        storedGallery.directoryHandle,
+                    );
+                }
+
+                gallery.restoreSettings(storedGallery);
+                gallery.order = storedGallery.order || 0;
+                this.galleries.push(gallery);
+                this.addGalleryTab(gallery, this.galleries.length - 1);
+            }
+
+            if (this.galleries.length > 0) {
+                this.selectGallery(0);
+            }
+        } catch (err) {
+            console.error("Error loading galleries from storage:", err);
+        }
+    }
+
+    async createGallery(name, directoryHandle) {
+        const gallery = new Gallery(Date.now(), name, directoryHandle);
+        // set order to end of list
+        gallery.order = this.galleries.length;
+
+        await this.db.saveGallery(gallery);
+
+        this.galleries.push(gallery);
+        this.addGalleryTab(gallery, this.galleries.length - 1);
+        this.selectGallery(this.galleries.length - 1);
+    }
+
+    async createFileListGallery(name, folder) {
+        const gallery = new FileListGallery(Date.now(), name, folder.name, folder.files);
+        gallery.order = this.galleries.length;
+
+        await this.db.saveGallery(gallery);
+
+        this.galleries.push(gallery);
+        this.addGalleryTab(gallery, this.galleries.length - 1);
+        this.selectGallery(this.galleries.length - 1);
+    }
+
+    async createServerGallery(name, serverFolder) {
+        const gallery = new ServerGallery(Date.now(), name, serverFolder);
+        gallery.order = this.galleries.length;
+
+        await this.db.saveGallery(gallery);
+
+        this.galleries.push(gallery);
+        this.addGalleryTab(gallery, this.galleries.length - 1);
+        this.selectGallery(this.galleries.length - 1);
+    }
+
+    // The one gallery of a share link, kept out of the database along with
+    // the favorites, ratings and tags given to its files
+    openShare(share) {
+        const gallery = new ServerGallery(`share:${share.folder}`, share.folder, share.folder, true);
+        this.galleries.push(gallery);
+        this.addGalleryTab(gallery, this.galleries.length - 1);
+        this.selectGallery(this.galleries.length - 1);
+    }
+
+    // Give a read-only gallery its files again after a reload
+    async setGalleryFiles(gallery, folder) {
+        gallery.setFiles(folder.name, folder.files);
+        await this.db.saveGallery(gallery);
+
+        this.rebuildTabs();
+        const index = this.galleries.indexOf(gallery);
+        if (index === this.activeGalleryIndex) this.selectGallery(index);
+    }
+
+    async createSmartGallery(name, rule, sources) {
+        const gallery = new SmartGallery(Date.now(), name, rule, sources);
+        gallery.order = this.galleries.length;
+
+        await this.db.saveGallery(gallery);
+
+        this.galleries.push(gallery);
+        this.addGalleryTab(gallery, this.galleries.length - 1);
+        this.selectGallery(this.galleries.length - 1);
+    }
+
+    // Add the galleries of a backup. Each folder gallery comes with the folder
+    // picked for it and is skipped without one; a folder that is already open
+    // gets the backed up settings and ratings instead of a second tab.
+    async importGalleries(entries) {
+        const ids = new Map();
+        const added = [];
+        let nextId = Date.now();
+
+        for (const { data, directoryHandle } of entries) {
+            if (data.kind === "smart" || !directoryHandle) continue;
+
+            let gallery = null;
+            for (const existing of this.galleries) {
+                if (
+                    existing.directoryHandle &&
+                    (await existing.directoryHandle.isSameEntry(directoryHandle))
+                ) {
+                    gallery = existing;
+                    break;
+                }
+            }
+            if (!gallery) {
+                gallery = new Gallery(nextId++, data.name, directoryHandle);
+                gallery.order = this.galleries.length + added.length;
+                added.push(gallery);
+            }
+
+            gallery.restoreSettings(data);
+            ids.set(data.id, gallery.id);
+            await this.db.saveGallery(gallery);
+            await this.db.importMediaMeta(gallery.id, data.media);
+
+            // an open gallery shows the restored ratings right away, and
+            // files it finds later get theirs too
+            const restored = new Map();
+            for (const item of data.media) {
+                const meta = {
+                    favorite: !!item.favorite,
+                    rating: item.rating || 0,
+                    tags: item.tags || [],
+                };
+                restored.set(item.path, meta);
+                gallery.metadata.set(item.path, { ...gallery.metadata.get(item.path), path: item.path, ...meta });
+            }
+            for (const media of gallery.media) {
+                if (restored.has(media.path)) Object.assign(media.meta, restored.get(media.path));
+            }
+            if (gallery.isLoaded) gallery.sortMedia();
+        }
+
+        // smart galleries keep the sources that were imported
+        for (const { data } of entries) {
+            if (data.kind !== "smart") continue;
+
+            const sources = data.sources.filter((id) => ids.has(id)).map((id) => ids.get(id));
+            const gallery = new SmartGallery(nextId++, data.name, data.rule, sources);
+            gallery.restoreSettings(data);
+            gallery.order = this.galleries.length + added.length;
+            added.push(gallery);
+            await this.db.saveGallery(gallery);
+        }
+
+        this.galleries.push(...added);
+        this.rebuildTabs();
+        if (added.length > 0) {
+            this.selectGallery(this.galleries.length - added.length);
+        } else if (this.activeGalleryIndex !== -1) {
+            this.selectGallery(this.activeGalleryIndex);
+        }
+        return ids.size + added.filter((gallery) => gallery.isSmart).length;
+    }
+
+    async updateSmartGallery(gallery, name, rule, sources) {
+        gallery.name = name;
+        gallery.rule = rule;
+        gallery.sources = sources;
+
+        await this.db.saveGallery(gallery);
+
+        this.rebuildTabs();
+        if (gallery === this.galleries[this.activeGalleryIndex]) {
+            this.selectGallery(this.activeGalleryIndex);
+        }
+    }
+
+    async closeGallery(event, index) {
+        event.stopPropagation();
+
+        const gallery = this.galleries[index];
+        await this.db.deleteGallery(gallery.id);
+
+        // a smart gallery only borrows the media of other galleries
+        if (!gallery.isSmart) {
+            gallery.cancelScan();
+            this.thumbnails.cancel(gallery.id);
+            gallery.media.forEach((media) => {
+                URL.revokeObjectURL(media.url);
+                if (media.thumbnailUrl) URL.revokeObjectURL(media.thumbnailUrl);
+            });
+
+            await this.db.deleteThumbnails(gallery.id);
+            await this.db.deleteMediaMeta(gallery.id);
+        }
+
+        this.galleries.splice(index, 1);
+
+        if (this.galleries.length > 0) {
+            if (index < this.activeGalleryIndex) {
+                this.activeGalleryIndex--;
+            } else if (index === this.activeGalleryIndex) {
+                this.activeGalleryIndex = Math.min(index, this.galleries.length - 1);
+            }
+
+            this.rebuildTabs();
+            this.selectGallery(this.activeGalleryIndex);
+        } else {
+            this.activeGalleryIndex = -1;
+            this.watcher.stop();
+            this.folderTree.clear();
+            document.querySelectorAll(".tab").forEach((tab) => tab.remove());
+            this.setPreviewState("empty");
+            this.thumbnailGrid.setItems(0);
+            this.clearSelection();
+        }
+    }
+
+    selectGallery(index) {
+        if (index < 0 || index >= this.galleries.length) return;
+
+        document.querySelectorAll(".tab").forEach((tab) => {
+            tab.classList.remove("active");
+        });
+        document
+            .querySelector(`.tab[data-index="${index}"]`)
+            .classList.add("active");
+
+        if (this.onGallerySelected) this.onGallerySelected(this.galleries[index]);
+
+        this.activeGalleryIndex = index;
+        this.activeMediaIndex = 0;
+        this.activeMedia = null;
+        this.isRandomMode = false;
+        this.previousMediaIndex = -1;
+
+        const gallery = this.galleries[index];
+        if (gallery !== this.gridGallery) this.clearSelection();
+        if (gallery.isSmart) {
+            gallery.collect(this.galleries);
+            // its sources are scanned on demand like any other tab
+            for (const source of gallery.sourceGalleries(this.galleries)) {
+                if (!source.isLoaded) this.scanGallery(source);
+            }
+            if (Gallery.sortOrders[gallery.sortBy].needsDateTaken) {
+                this.loadDatesTaken(gallery).then(() => {
+                    if (gallery !== this.galleries[this.activeGalleryIndex]) return;
+                    gallery.collect(this.galleries);
+                    this.syncActiveMedia(gallery);
+                });
+            }
+        } else if (!gallery.isLoaded) {
+            this.scanGallery(gallery);
+        }
+
+        this.showGallery(gallery);
+        this.updateScanProgress();
+        this.watcher.watch(gallery);
+    }
+
+    showGallery(gallery) {
+        this.updateSearchInput(gallery);
+        document.getElementById("sortSelect").value = gallery.sortBy;
+        document.getElementById("folderRecursive").checked = gallery.folder.recursive;
+        this.folderTree.render(gallery);
+
+        this.updateShuffleButton(gallery);
+        this.applySettings(gallery);
+        this.displayThumbnails(gallery);
+
+        if (gallery.view.length > 0) {
+            this.setPreviewState("media");
+            this.displayMedia(0);
+        } else if (gallery.media.length > 0) {
+            this.activeMedia = null;
+            this.setPreviewState("noMatches");
+        } else if (gallery.needsFiles) {
+            this.activeMedia = null;
+            document.getElementById("repickText").textContent =
+                `"${gallery.name}" was opened read-only from the folder "${gallery.folderName}". ` +
+                "This browser forgets such folders on reload, so please pick it again or drop it here.";
+            this.setPreviewState("repick");
+        } else {
+            this.activeMedia = null;
+            this.setPreviewState("empty");
+        }
+    }
+
+    // Restore shuffle button state
+    updateShuffleButton(gallery) {
+        const shuffleButton = document.getElementById("shuffleButton");
+        if (gallery.isShuffled) {
+            shuffleButton.classList.add("active");
+            shuffleButton.setAttribute("title", "Unshuffle Gallery");
+        } else {
+            shuffleButton.classList.remove("active");
+            shuffleButton.setAttribute("title", "Shuffle Gallery");
+        }
+    }
+
+    setPreviewState(state) {
+        document.getElementById("emptyState").style.display =
+            state === "empty" ? "flex" : "none";
+        document.getElementById("noMatchesState").style.display =
+            state === "noMatches" ? "flex" : "none";
+        document.getElementById("repickState").style.display =
+            state === "repick" ? "flex" : "none";
+        document.getElementById("mediaContainer").style.display =
+            state === "media" ? "flex" : "none";
+        document.getElementById("randomButton").style.display =
+            state === "media" ? "flex" : "none";
+        document.getElementById("slideshowButton").style.display =
+            state === "media" ? "flex" : "none";
+        if (state !== "media") {
+            this.player.unload();
+            document.getElementById("videoPreview").pause();
+            document.getElementById("fileInfo").innerText = "";
+        }
+    }
+
+    setSearchQuery(text) {
+        const gallery = this.galleries[this.activeGalleryIndex];
+        if (!gallery) return;
+
+        gallery.setQuery(text);
+        this.updateSearchInput(gallery);
+        this.showActiveMedia(gallery);
+    }
+
+    // Limit the grid and navigation to one folder of the active gallery
+    setFolderFilter(path, recursive) {
+        const gallery = this.galleries[this.activeGalleryIndex];
+        if (!gallery) return;
+
+        gallery.setFolder(path, recursive);
+        this.updateSearchInput(gallery);
+        this.folderTree.render(gallery);
+        this.showActiveMedia(gallery);
+    }
+
+    // Redraw the grid after the view was filtered or reordered, staying on
+    // the current item if it is still part of it
+    showActiveMedia(gallery) {
+        const index = gallery.view.indexOf(this.activeMedia);
+        if (index === -1) {
+            this.showGallery(gallery);
+            return;
+        }
+
+        this.previousMediaIndex = -1;
+        this.displayThumbnails(gallery);
+        this.activeMediaIndex = index;
+        this.thumbnailGrid.setActive(index);
+        this.thumbnailGrid.scrollToIndex(index, "auto");
+    }
+
+    updateSearchInput(gallery) {
+        const input = document.getElementById("searchInput");
+        if (input.value.trim() !== gallery.query.text) {
+            input.value = gallery.query.text;
+        }
+        input.classList.toggle("invalid", gallery.query.errors.length > 0);
+        input.title = gallery.query.errors.length > 0
+            ? gallery.query.errors.join("\n")
+            : `${gallery.view.length} of ${gallery.media.length} files`;
+    }
+
+    // Scan in the background; the gallery can be viewed while files stream in
+    scanGallery(gallery) {
+        if (!gallery.scanTask) {
+            gallery.scanTask = this.runScan(gallery).finally(() => {
+                gallery.scanTask = null;
+            });
+        }
+        return gallery.scanTask;
+    }
+
+    async runScan(gallery) {
+        try {
+            const entries = await this.db.loadMediaMeta(gallery.id);
+            gallery.metadata = new Map(entries.map((entry) => [entry.path, entry]));
+        } catch (err) {
+            console.error("Error loading favorites, ratings and tags:", err);
+        }
+
+        await gallery.loadMedia(() => {
+            this.updateScanProgress();
+            this.updateSmartGalleries(gallery);
+            if (gallery !== this.galleries[this.activeGalleryIndex]) return;
+
+            if (this.thumbnailGrid.count === 0) {
+                this.showGallery(gallery);
+            } else {
+                this.thumbnailGrid.setCount(gallery.view.length);
+                this.thumbnails.load(gallery);
+                this.folderTree.render(gallery);
+            }
+        }, this.settingsFor(gallery));
+
+        if (Gallery.sortOrders[gallery.sortBy].needsDateTaken) {
+            await this.loadDatesTaken(gallery);
+            gallery.sortMedia();
+        }
+
+        this.updateScanProgress();
+        this.updateSmartGalleries(gallery);
+        if (gallery !== this.galleries[this.activeGalleryIndex]) return;
+
+        // The media was sorted once complete, so find the current item again
+        this.syncActiveMedia(gallery);
+        this.thumbnailGrid.scrollToIndex(this.activeMediaIndex, "auto");
+    }
+
+    // Pick up files added, changed or removed since the gallery was scanned
+    async refreshGallery(gallery) {
+        // our own file operations show up as changes too, let them finish first
+        if (this.operation) await this.operation;
+        if (gallery.isSmart || !gallery.isLoaded || gallery.isScanning) return;
+        if (gallery.isRefreshing) {
+            gallery.refreshQueued = true;
+            return;
+        }
+
+        let changes = null;
+        try {
+            changes = await gallery.refresh(this.settingsFor(gallery));
+        } catch (err) {
+            // a server that went away, or a folder that was removed
+            console.warn("Could not refresh", gallery.name, err);
+        }
+        if (changes && Gallery.sortOrders[gallery.sortBy].needsDateTaken && !gallery.isShuffled) {
+            await this.loadDatesTaken(gallery);
+            gallery.sortMedia();
+        }
+        if (
+            changes &&
+            changes.added.length + changes.changed.length + changes.removed.length > 0
+        ) {
+            if (gallery === this.galleries[this.activeGalleryIndex]) {
+                this.syncActiveMedia(gallery, changes.changed.includes(this.activeMedia));
+            } else {
+                this.updateSmartGalleries(gallery, changes.changed.includes(this.activeMedia));
+            }
+        }
+
+        if (gallery.refreshQueued) {
+            gallery.refreshQueued = false;
+            await this.refreshGallery(gallery);
+        }
+    }
+
+    // Re-collect the active smart gallery when one of its sources changed
+    updateSmartGalleries(source, reload = false) {
+        const active = this.galleries[this.activeGalleryIndex];
+        if (!active || !active.isSmart || !active.usesSource(source)) return;
+
+        active.collect(this.galleries);
+        this.syncActiveMedia(active, reload);
+    }
+
+    // Redraw the grid after the media list changed, keeping the current item
+    syncActiveMedia(gallery, reload = false) {
+        this.previousMediaIndex = -1;
+        this.pruneSelection(gallery);
+
+        this.updateSearchInput(gallery);
+
+        if (gallery.view.length === 0 || this.thumbnailGrid.count === 0) {
+            this.showGallery(gallery);
+            return;
+        }
+
+        let index = gallery.view.indexOf(this.activeMedia);
+        if (index === -1) {
+            // the current item is gone, stay at the same position
+            index = Math.min(this.activeMediaIndex, gallery.view.length - 1);
+            reload = true;
+        }
+
+        this.gridGallery = gallery;
+        this.thumbnailGrid.refresh(gallery.view.length);
+        this.thumbnails.load(gallery);
+        this.folderTree.render(gallery);
+
+        if (reload) {
+            this.displayMedia(index, true);
+        } else {
+            this.activeMediaIndex = index;
+            this.thumbnailGrid.setActive(index);
+        }
+    }
+
+    cancelScan() {
+        if (this.duplicateFinder) {
+            this.duplicateFinder.cancel();
+        } else if (this.scanningGallery) {
+            this.scanningGallery.cancelScan();
+        }
+    }
+
+    // Look for duplicates in a gallery, showing progress in the loading banner
+    async findDuplicates(gallery) {
+        this.duplicateFinder = new DuplicateFinder(gallery.media);
+        this.duplicateFinder.onProgress = (text) => this.showLoading(true, text, true);
+        this.showLoading(true, "Looking for duplicates...", true);
+
+        const groups = await this.duplicateFinder.find();
+        this.duplicateFinder = null;
+        this.updateScanProgress();
+        return groups;
+    }
+
+    galleryById(id) {
+        return this.galleries.find((gallery) => gallery.id === id);
+    }
+
+    // Move a media file on disk and carry its url, thumbnail and ratings
+    // along. The gallery lists are left to the caller.
+    async transferMedia(media, target, path) {
+        const source = this.galleryById(media.galleryId);
+        const from = { galleryId: media.galleryId, path: media.path, lastModified: media.lastModified };
+        const file = await source.moveFile(media.path, target, path);
+
+        URL.revokeObjectURL(media.url);
+        MediaFormats.release(media);
+        media.galleryId = target.id;
+        media.path = path;
+        media.name = Gallery.splitPath(path)[1];
+        media.file = file;
+        media.url = URL.createObjectURL(file);
+        // a file that had to be copied has a new modification time; the
+        // gallery keeps the old one so date sorting doesn't change
+        if (media.meta.originalDate || file.lastModified !== from.lastModified) {
+            media.meta.originalDate = { lastModified: from.lastModified, copy: file.lastModified };
+        }
+
+        try {
+            await this.db.deleteMediaMetaEntry(from.galleryId, from.path);
+            await this.db.saveMediaMeta(media.galleryId, media.path, media.meta);
+            await this.thumbnails.moveThumbnail(media, from);
+        } catch (err) {
+            console.error("Error updating stored data of moved file:", err);
+        }
+    }
+
+    // Run a file operation on each item, then redraw the galleries it touched.
+    // Returns the items it failed on.
+    async runFileOperation(items, operation) {
+        const failed = [];
+        const changed = new Set();
+
+        this.operation = (async () => {
+            for (const media of items) {
+                const source = this.galleryById(media.galleryId);
+                if (!source || !source.isWritable) {
+                    failed.push(media);
+                    continue;
+                }
+                try {
+                    const target = await operation(media, source);
+                    changed.add(source);
+                    if (target) changed.add(target);
+                } catch (err) {
+                    console.error("File operation failed:", media.path, err);
+                    failed.push(media);
+                }
+            }
+        })();
+        await this.operation;
+        this.operation = null;
+
+        this.showChanges([...changed], items.includes(this.activeMedia));
+        return failed;
+    }
+
+    showChanges(galleries, reload = false) {
+        const active = this.galleries[this.activeGalleryIndex];
+        for (const gallery of galleries) {
+            if (gallery === active) {
+                this.syncActiveMedia(gallery, reload);
+            } else {
+                this.updateSmartGalleries(gallery, reload);
+            }
+        }
+    }
+
+    // trashOf lists the galleries whose trash the undo restores from
+    pushUndo(label, undo, trashOf = []) {
+        this.undoStack.push({ label, undo, trashOf });
+        if (this.undoStack.length > 50) this.undoStack.shift();
+    }
+
+    // Undo the last file operation. Returns its label, or null if there was none.
+    async undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) return null;
+        await entry.undo();
+        return entry.label;
+    }
+
+    // Deleted files go to the trash folder of their gallery
+    async deleteMedia(items) {
+        const deleted = [];
+        const failed = await this.runFileOperation(items, async (media, source) => {
+            const path = media.path;
+            const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+            // the flattened path keeps names unique within the trash
+            const name = `${stamp} ${media.path.replaceAll("/", "_")}`;
+            await this.transferMedia(media, source, `${TRASH_FOLDER}/${name}`);
+            source.removeMedia([media]);
+            deleted.push({ media, path });
+        });
+
+        if (deleted.length > 0) {
+            this.pushUndo(`Delete ${deleted.length} files`, async () => {
+                const failedRestores = await this.runFileOperation(
+                    deleted.map(({ media }) => media),
+                    async (media, source) => {
+                        const { path } = deleted.find((entry) => entry.media === media);
+                        await this.transferMedia(media, source, path);
+                        source.addMedia([media]);
+                    },
+                );
+                if (failedRestores.length > 0) {
+                    throw new Error(`${failedRestores.length} files could not be restored`);
+                }
+            }, [...new Set(deleted.map(({ media }) => media.galleryId))]);
+        }
+        return failed;
+    }
+
+    async renameMedia(media, name) {
+        const oldName = media.name;
+        const rename = async (media, source, name) => {
+            const folder = Gallery.splitPath(media.path)[0];
+            await this.transferMedia(media, source, folder ? `${folder}/${name}` : name);
+            source.resort();
+        };
+
+        const failed = await this.runFileOperation([media], (media, source) =>
+            rename(media, source, name),
+        );
+        if (failed.length > 0) return false;
+
+        this.pushUndo(`Rename to "${name}"`, async () => {
+            const failedRenames = await this.runFileOperation([media], (media, source) =>
+                rename(media, source, oldName),
+            );
+            if (failedRenames.length > 0) {
+                throw new Error(`"${name}" could not be renamed back`);
+            }
+        });
+        return true;
+    }
+
+    // Move files into a folder of a gallery, which may be the one they are in
+    async moveMedia(items, target, folder) {
+        const moved = [];
+        const failed = await this.runFileOperation(items, async (media, source) => {
+            const path = folder ? `${folder}/${media.name}` : media.name;
+            if (source === target && path === media.path) return null;
+
+            const from = { media, source, path: media.path };
+            await this.transferMedia(media, target, path);
+            if (source !== target) {
+                source.removeMedia([media]);
+                target.addMedia([media]);
+            } else {
+                source.resort();
+            }
+            moved.push(from);
+            return target;
+        });
+
+        if (moved.length > 0) {
+            this.pushUndo(`Move ${moved.length} files`, async () => {
+                const failedMoves = await this.runFileOperation(
+                    moved.map(({ media }) => media),
+                    async (media, current) => {
+                        const { source, path } = moved.find((entry) => entry.media === media);
+                        await this.transferMedia(media, source, path);
+                        if (current !== source) {
+                            current.removeMedia([media]);
+                            source.addMedia([media]);
+                        } else {
+                            source.resort();
+                        }
+                        return source;
+                    },
+                );
+                if (failedMoves.length > 0) {
+                    throw new Error(`${failedMoves.length} files could not be moved back`);
+                }
+            });
+        }
+        return failed;
+    }
+
+    // Files in the trash can't be restored once it is emptied
+    async emptyTrash(gallery) {
+        await gallery.emptyTrash();
+        await this.db.deleteMediaMetaIn(gallery.id, TRASH_FOLDER);
+        this.undoStack = this.undoStack.filter((entry) => !entry.trashOf.includes(gallery.id));
+    }
+
+    // Jump to an item of the active gallery, if the current filter shows it
+    showMedia(media) {
+        const gallery = this.galleries[this.activeGalleryIndex];
+        const index = gallery ? gallery.view.indexOf(media) : -1;
+        if (index === -1) return false;
+
+        this.displayMedia(index);
+        return true;
+    }
+
+    updateScanProgress() {
+        const active = this.galleries[this.activeGalleryIndex];
+        const scanning =
+            active && active.isScanning
+                ? active
+                : this.galleries.find((gallery) => gallery.isScanning);
+
+        this.scanningGallery = scanning || null;
+        if (!scanning) {
+            this.showLoading(false);
+            return;
+        }
+
+        this.showLoading(
+            true,
+            `Scanning "${scanning.name}": ${scanning.media.length} files found`,
+            true,
+        );
+    }
+
+    displayMedia(index, isRandom) {
+        const gallery = this.galleries[this.activeGalleryIndex];
+        if (!gallery || index < 0 || index >= gallery.view.length) return;
+
+        this.activeMediaIndex = index;
+        const media = gallery.view[index];
+        this.activeMedia = media;
+
+        this.thumbnailGrid.setActive(index);
+
+        const imgPreview = document.getElementById("mediaPreview");
+        const videoPreview = document.getElementById("videoPreview");
+        const videoControls = document.getElementById("videoControls");
+        const fileInfo = document.getElementById("fileInfo");
+
+        this.updateFileInfo(media);
+        fileInfo.onclick = () => {
+            window.open(media.url, "_blank");
+        };
+
+        this.viewport.setElement(media.type === "image" ? imgPreview : videoPreview);
+        document.getElementById("unsupportedPreview").style.display = "none";
+
+        if (media.type === "image") {
+            this.loadPreviewImage(media);
+            imgPreview.style.display = "block";
+            if (!GalleryManager.supportsImageOrientation) {
+                this.applyOrientation(media);
+            }
+            this.player.unload();
+            videoPreview.style.display = "none";
+            videoControls.style.display = "none";
+            videoPreview.pause();
+        } else {
+            const settings = this.settingsFor(gallery);
+            this.player.load(media, settings);
+            videoPreview.src = media.url;
+            videoPreview.style.display = "block";
+            imgPreview.style.display = "none";
+            videoControls.style.display = "block";
+            if (settings.autoplay) videoPreview.play();
+            if (!MediaFormats.canPlay(media)) this.showUnsupported(media);
+        }
+        if (!isRandom) {
+            this.thumbnailGrid.scrollToIndex(index);
+        }
+
+        if (this.onMediaDisplayed) this.onMediaDisplayed(media);
+    }
+
+    // Formats the browser may not decode are converted first, which takes a
+    // moment, so the preview is filled in when that's done
+    async loadPreviewImage(media) {
+        const imgPreview = document.getElementById("mediaPreview");
+        if (MediaFormats.info(media.name).show === "native") {
+            imgPreview.src = media.url;
+            return;
+        }
+
+        imgPreview.removeAttribute("src");
+        const url = await MediaFormats.displayUrl(media);
+        if (media !== this.activeMedia) return;
+        if (url) {
+            imgPreview.src = url;
+        } else {
+            this.showUnsupported(media);
+        }
+    }
+
+    showUnsupported(media) {
+        document.getElementById("mediaPreview").style.display = "none";
+        document.getElementById("videoPreview").style.display = "none";
+        document.getElementById("videoControls").style.display = "none";
+
+        const extension = MediaFormats.info(media.name).extension.slice(1).toUpperCase();
+        document.getElementById("unsupportedType").textContent = extension;
+        document.getElementById("unsupportedPreview").style.display = "flex";
+
+        if (!media.unsupported) {
+            media.unsupported = true;
+            if (!media.thumbnailUrl) this.updateThumbnail(media);
+        }
+    }
+
+    displayThumbnails(gallery) {
+        this.gridGallery = gallery;
+        this.thumbnailGrid.setItems(gallery.view.length);
+        this.thumbnails.load(gallery);
+        this.renderSelection();
+    }
+
+    // The selection is kept as media items rather than grid indexes, so it
+    // outlives filtering, sorting and scrolling
+    get selectedMedia() {
+        return [...this.selection];
+    }
+
+    toggleSelected(media) {
+        if (!this.selection.delete(media)) this.selection.add(media);
+        this.selectionAnchor = media;
+        this.renderSelection();
+    }
+
+    // Select from the last Ctrl-clicked item, or the shown one, to an index
+    // of the grid
+    selectRange(index, add) {
+        const view = this.gridGallery.view;
+        let from = view.indexOf(this.selectionAnchor);
+        if (from === -1) from = Math.max(0, view.indexOf(this.activeMedia));
+
+        if (!add) this.selection.clear();
+        for (let i = Math.min(from, index); i <= Math.max(from, index); i++) {
+            this.selection.add(view[i]);
+        }
+        this.selectionAnchor = view[from];
+        this.renderSelection();
+    }
+
+    selectAll() {
+        const gallery = this.galleries[this.activeGalleryIndex];
+        if (!gallery) return;
+        gallery.view.forEach((media) => this.selection.add(media));
+        this.renderSelection();
+    }
+
+    clearSelection() {
+        this.selectionAnchor = null;
+        if (this.selection.size === 0) return;
+        this.selection.clear();
+        this.renderSelection();
+    }
+
+    // Items deleted or moved out of the gallery leave the selection
+    pruneSelection(gallery) {
+        const remaining = new Set(gallery.media);
+        for (const media of this.selection) {
+            if (!remaining.has(media)) this.selection.delete(media);
+        }
+        this.renderSelection();
+    }
+
+    renderSelection() {
+        this.thumbnailElements.forEach((thumbnail, media) => {
+            thumbnail.classList.toggle("selected", this.selection.has(media));
+        });
+        if (this.onSelectionChanged) this.onSelectionChanged(this.selectedMedia);
+    }
+
+    createThumbnail(index) {
+        const media = this.gridGallery.view[index];
+
+        const thumbnail = document.createElement("div");
+        thumbnail.className = "thumbnail";
+        thumbnail.title = media.path;
+        thumbnail.media = media;
+        if (this.selection.has(media)) thumbnail.classList.add("selected");
+
+        const img = document.createElement("img");
+        img.alt = media.name;
+        img.draggable = false;
+        if (media.thumbnailUrl) {
+            img.src = media.thumbnailUrl;
+        } else if (media.unsupported) {
+            this.markUnsupported(thumbnail, media);
+        } else {
+            thumbnail.classList.add("pending");
+        }
+        thumbnail.appendChild(img);
+
+        if (media.type === "video") {
+            const indicator = document.createElement("div");
+            indicator.className = "video-indicator";
+            thumbnail.appendChild(indicator);
+            this.renderDuration(thumbnail, media);
+
+            thumbnail.addEventListener("pointermove", (e) => {
+                if (e.pointerType === "mouse") this.scrubThumbnail(thumbnail, media, e);
+            });
+            thumbnail.addEventListener("pointerleave", () => this.stopScrubbing(thumbnail));
+        }
+
+        const badges = document.createElement("div");
+        badges.className = "thumbnail-badges";
+        thumbnail.appendChild(badges);
+        this.renderBadges(thumbnail, media);
+
+        thumbnail.onclick = (e) => {
+            if (e.shiftKey) {
+                this.selectRange(index, e.ctrlKey || e.metaKey);
+                return;
+            }
+            if (e.ctrlKey || e.metaKey) {
+                this.toggleSelected(media);
+                return;
+            }
+            this.clearSelection();
+            this.isRandomMode = false;
+            this.displayMedia(index);
+        };
+
+        this.thumbnailElements.set(media, thumbnail);
+        return thumbnail;
+    }
+
+    renderBadges(thumbnail, media) {
+        const badges = thumbnail.querySelector(".thumbnail-badges");
+        badges.innerHTML = "";
+
+        if (media.meta.favorite) {
+            const favorite = document.createElement("span");
+            favorite.className = "badge favorite";
+            favorite.textContent = "♥";
+            badges.appendChild(favorite);
+        }
+        if (media.meta.rating) {
+            const rating = document.createElement("span");
+            rating.className = "badge";
+            rating.textContent = `★${media.meta.rating}`;
+            badges.appendChild(rating);
+        }
+        if (media.meta.tags.length > 0) {
+            const tags = document.createElement("span");
+            tags.className = "badge";
+            tags.textContent = `#${media.meta.tags.length}`;
+            badges.appendChild(tags);
+            thumbnail.title = `${media.path}\n${media.meta.tags.map((tag) => `#${tag}`).join(" ")}`;
+        } else {
+            thumbnail.title = media.path;
+        }
+    }
+
+    updateFileInfo(media) {
+        const fileInfo = document.getElementById("fileInfo");
+        fileInfo.innerHTML = "";
+
+        const name = document.createElement("span");
+        name.textContent = media.name;
+        fileInfo.appendChild(name);
+
+        const { favorite, rating, tags } = media.meta;
+        if (favorite || rating || tags.length > 0) {
+            const meta = document.createElement("span");
+            meta.className = "file-meta";
+            meta.textContent = [
+                favorite ? "♥" : "",
+                rating ? "★".repeat(rating) + "☆".repeat(5 - rating) : "",
+                tags.map((tag) => `#${tag}`).join(" "),
+            ]
+                .filter(Boolean)
+                .join("  ");
+            fileInfo.appendChild(meta);
+        }
+    }
+
+    // Update favorite, rating or tags of a media item and persist them. Those
+    // of a share link's gallery only last until the page is closed.
+    async updateMediaMeta(media, changes) {
+        const gallery = this.galleries.find((g) => g.id === media.galleryId);
+        if (!gallery) return;
+
+        Object.assign(media.meta, changes);
+        gallery.metadata.set(media.path, media.meta);
+
+        const thumbnail = this.thumbnailElements.get(media);
+        if (thumbnail) this.renderBadges(thumbnail, media);
+        if (media === this.activeMedia) this.updateFileInfo(media);
+        if (gallery.isShared) return;
+
+        try {
+            await this.db.saveMediaMeta(gallery.id, media.path, media.meta);
+        } catch (err) {
+            console.error("Error saving media info:", err);
+        }
+    }
+
+    updateThumbnail(media) {
+        const thumbnail = this.thumbnailElements.get(media);
+        if (!thumbnail) return;
+        thumbnail.classList.remove("pending");
+        if (!media.thumbnailUrl) {
+            this.markUnsupported(thumbnail, media);
+            return;
+        }
+        thumbnail.querySelector("img").src = media.thumbnailUrl;
+        if (media.type === "video") this.renderDuration(thumbnail, media);
+    }
+
+    // Files the browser can't show stay in the grid, labelled with their type
+    markUnsupported(thumbnail, media) {
+        thumbnail.classList.add("unsupported");
+        thumbnail.dataset.label = MediaFormats.info(media.name).extension.slice(1).toUpperCase();
+    }
+
+    renderDuration(thumbnail, media) {
+        thumbnail.querySelector(".video-indicator").textContent = media.duration
+            ? `▶ ${VideoPlayer.formatTime(media.duration)}`
+            : "▶";
+    }
+
+    // Moving the mouse across a video thumbnail previews the clip from
+    // start to end; one thumbnail at a time gets a video element for it
+    scrubThumbnail(thumbnail, media, e) {
+        if (this.scrubbing && this.scrubbing.thumbnail !== thumbnail) {
+            this.stopScrubbing(this.scrubbing.thumbnail);
+        }
+        if (!this.scrubbing) {
+            const video = document.createElement("video");
+            video.className = "thumbnail-scrub";
+            video.muted = true;
+            video.preload = "auto";
+            video.src = media.url;
+            const bar = document.createElement("div");
+            bar.className = "scrub-bar";
+            thumbnail.append(video, bar);
+
+            this.scrubbing = { thumbnail, video, bar, time: null };
+            // seeks are applied one after another, always to the latest point
+            const seek = () => {
+                const scrubbing = this.scrubbing;
+                if (!scrubbing || scrubbing.video !== video || scrubbing.time === null) return;
+                if (video.seeking || !video.duration) return;
+                video.currentTime = scrubbing.time;
+                scrubbing.time = null;
+            };
+            video.addEventListener("loadedmetadata", seek);
+            video.addEventListener("seeked", seek);
+            this.scrubbing.seek = seek;
+        }
+
+        const rect = thumbnail.getBoundingClientRect();
+        const fraction = Math.max(0, Math.min((e.clientX - rect.left) / rect.width, 1));
+        const duration = this.scrubbing.video.duration || media.duration || 0;
+        this.scrubbing.bar.style.width = `${fraction * 100}%`;
+        this.scrubbing.time = Math.min(fraction * duration, Math.max(0, duration - 0.1));
+        this.scrubbing.seek();
+    }
+
+    stopScrubbing(thumbnail) {
+        if (!this.scrubbing || this.scrubbing.thumbnail !== thumbnail) return;
+        const { video, bar } = this.scrubbing;
+        this.scrubbing = null;
+        video.removeAttribute("src");
+        video.load();
+        video.remove();
+        bar.remove();
+    }
+
+    addGalleryTab(gallery, index) {
+        const tabBar = document.getElementById("tabBar");
+        const addButton = tabBar.querySelector(".add-tab");
+
+        tabBar.insertBefore(this.createTab(gallery, index), addButton);
+    }
+
+    rebuildTabs() {
+        const tabBar = document.getElementById("tabBar");
+        const addButton = tabBar.querySelector(".add-tab");
+
+        document.querySelectorAll(".tab").forEach((tab) => tab.remove());
+
+        this.galleries.forEach((gallery, index) => {
+            const tab = this.createTab(gallery, index);
+            if (index === this.activeGalleryIndex) {
+                tab.classList.add("active");
+            }
+            tabBar.insertBefore(tab, addButton);
+        });
+    }
+
+    createTab(gallery, index) {
+        const tab = document.createElement("div");
+        tab.className = "tab";
+        if (gallery.isSmart) {
+            tab.classList.add("smart");
+            tab.title = `Smart gallery: ${gallery.rule || "everything"} (double-click to edit)`;
+        } else if (gallery.kind === "server") {
+            tab.classList.add("server");
+            tab.title = `"${gallery.serverFolder}" on the media server (read-only)`;
+        } else if (gallery.isReadOnly) {
+            tab.classList.add("read-only");
+            tab.title = "Read-only: files can't be deleted, renamed, moved or added, " +
+                "and the folder has to be picked again after a reload";
+        }
+        tab.dataset.index = index;
+        tab.draggable = true;
+        tab.innerHTML = `
+            <span class="tab-name">${gallery.name}</span>
+            <span class="tab-close" onclick="app.galleryManager.closeGallery(event, ${index})">×</span>
+        `;
+
+        tab.onclick = (e) => {
+            if (!e.target.classList.contains("tab-close")) {
+                this.selectGallery(index);
+            }
+        };
+        tab.ondblclick = () => {
+            if (gallery.isSmart && this.onEditGallery) {
+                this.onEditGallery(gallery);
+            }
+        };
+
+        tab.addEventListener("dragstart", this.handleTabDragStart.bind(this));
+        tab.addEventListener("dragend", this.handleTabDragEnd.bind(this));
+        tab.addEventListener("dragover", this.handleTabDragOver.bind(this));
+        tab.addEventListener("dragenter", this.handleTabDragEnter.bind(this));
+        tab.addEventListener("dragleave", this.handleTabDragLeave.bind(this));
+        tab.addEventListener("drop", this.handleTabDrop.bind(this));
+
+        return tab;
+    }
+
+    handleTabDragStart(e) {
+        const tab = e.target;
+        const index = parseInt(tab.dataset.index);
+
+        tab.classList.add("dragging");
+        e.dataTransfer.effectAllowed = "move";
+        e.dataTransfer.setData("text/html", tab.innerHTML);
+
+        this.draggedTabElement = tab;
+        this.draggedTabIndex = index;
+    }
+
+    handleTabDragEnd(e) {
+        e.target.classList.remove("dragging");
+
+        document.querySelectorAll(".tab").forEach((tab) => {
+            tab.classList.remove("drag-over");
+        });
+
+        this.draggedTabElement = null;
+        this.draggedTabIndex = -1;
+    }
+
+    handleTabDragOver(e) {
+        if (e.preventDefault) {
+            e.preventDefault();
+        }
+        e.dataTransfer.dropEffect = "move";
+        return false;
+    }
+
+    handleTabDragEnter(e) {
+        if (
+            e.target !== this.draggedTabElement &&
+            e.target.classList.contains("tab")
+        ) {
+            e.target.classList.add("drag-over");
+        }
+    }
+
+    handleTabDragLeave(e) {
+        e.target.classList.remove("drag-over");
+    }
+
+    async handleTabDrop(e) {
+        if (e.stopPropagation) {
+            e.stopPropagation();
+        }
+
+        const targetTab = e.target;
+        const targetIndex = parseInt(targetTab.dataset.index);
+
+        if (
+            this.draggedTabElement !== targetTab &&
+            this.draggedTabIndex !== targetIndex
+        ) {
+            const movedGallery = this.galleries[this.draggedTabIndex];
+            this.galleries.splice(this.draggedTabIndex, 1);
+            this.galleries.splice(targetIndex, 0, movedGallery);
+
+            if (this.activeGalleryIndex === this.draggedTabIndex) {
+                this.activeGalleryIndex = targetIndex;
+            } else if (
+                this.draggedTabIndex < this.activeGalleryIndex &&
+                targetIndex >= this.activeGalleryIndex
+            ) {
+                this.activeGalleryIndex--;
+            } else if (
+                this.draggedTabIndex > this.activeGalleryIndex &&
+                targetIndex <= this.activeGalleryIndex
+            ) {
+                this.activeGalleryIndex++;
+            }
+
+            // update order values and persist to DB
+            this.galleries.forEach((g, idx) => {
+                g.order = idx;
+            });
+
+            try {
+                // save all galleries order to DB
+                for (const g of this.galleries) {
+                    await this.db.saveGallery(g);
+                }
+            } catch (err) {
+                console.error("Error saving gallery order:", err);
+            }
+
+            this.rebuildTabs();
+        }
+
+        return false;
+    }
+
+    async verifyPermission(directoryHandle, withWrite = true) {
+        const opts = {};
+        if (withWrite) {
+            opts.mode = "readwrite";
+        }
+
+        if ((await directoryHandle.queryPermission(opts)) === "granted") {
+            return true;
+        }
+
+        if ((await directoryHandle.requestPermission(opts)) === "granted") {
+            return true;
+        }
+
+        return false;
+    }
+
+    showLoading(show = true, text = "Loading media files...", cancellable = false) {
+        document.getElementById("loadingIndicator").style.display = show
+            ? "flex"
+            : "none";
+        document.getElementById("loadingText").textContent = text;
+        document.getElementById("cancelScanButton").style.display = cancellable
+            ? "block"
+            : "none";
+    }
+
+    // Browsers without image-orientation support show the raw pixels
+    async applyOrientation(media) {
+        const metadata = await MetadataReader.forMedia(media);
+        if (media !== this.activeMedia) return;
+        this.viewport.setOrientation(MetadataReader.orientationTransform(metadata.orientation));
+    }
+
+    // Read the dates taken of every image, for sorting by them
+    async loadDatesTaken(gallery) {
+        const pending = gallery.media.filter(
+            (media) => media.type === "image" && media.dateTaken === undefined,
+        );
+
+        for (let i = 0; i < pending.length; i++) {
+            try {
+                await MetadataReader.readDateTaken(pending[i]);
+            } catch (err) {
+                pending[i].dateTaken = null;
+            }
+            if (i % 50 === 0) {
+                this.showLoading(true, `Reading dates taken: ${i} of ${pending.length}`);
+            }
+        }
+
+        this.updateScanProgress();
+    }
+}
+
+GalleryManager.supportsImageOrientation =
+    window.CSS && CSS.supports("image-orientation", "from-image");
+
+// Streams media files out of a directory, in a worker when the page allows it
+class MediaScanner {
+    constructor(directoryHandle, settings = Settings.defaults) {
+        this.directoryHandle = directoryHandle;
+        this.formats = Settings.formats(settings);
+        this.includeHidden = settings.scanHidden;
+        this.onBatch = null;
+        this.worker = null;
+        this.isCancelled = false;
+        this.resolve = null;
+    }
+
+    start() {
+        return new Promise((resolve) => {
+            this.resolve = resolve;
+            if (!this.startWorker()) {
+                this.scanInThread();
+            }
+        });
+    }
+
+    startWorker() {
+        if (!window.Worker) return false;
+
+        try {
+            // file:// pages are not allowed to start workers
+            this.worker = new Worker("scanner.js");
+        } catch (err) {
+            return false;
+        }
+
+        let received = false;
+        this.worker.onmessage = (e) => {
+            received = true;
+            if (this.isCancelled) return;
+            if (e.data.type === "batch") {
+                this.onBatch(e.data.files);
+            } else if (e.data.type === "done") {
+                this.finish();
+            }
+        };
+        this.worker.onerror = (e) => {
+            e.preventDefault();
+            console.warn("Scan worker failed:", e.message);
+            this.stopWorker();
+            if (!received && !this.isCancelled) {
+                this.scanInThread();
+            } else {
+                this.finish();
+            }
+        };
+
+        try {
+            this.worker.postMessage({
+                directoryHandle: this.directoryHandle,
+                formats: this.formats,
+                includeHidden: this.includeHidden,
+            });
+        } catch (err) {
+            // directory handles can't be sent to workers in every browser
+            this.stopWorker();
+            return false;
+        }
+        return true;
+    }
+
+    async scanInThread() {
+        await scanFiles(
+            this.directoryHandle,
+            this.formats,
+            async (files) => {
+                this.onBatch(files);
+                // yield so the page stays responsive between batches
+                await new Promise((resolve) => setTimeout(resolve, 0));
+            },
+            () => this.isCancelled,
+            this.includeHidden,
+        );
+        this.finish();
+    }
+
+    cancel() {
+        this.isCancelled = true;
+        this.finish();
+    }
+
+    stopWorker() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+
+    finish() {
+        this.stopWorker();
+        if (this.resolve) {
+            const resolve = this.resolve;
+            this.resolve = null;
+            resolve({ cancelled: this.isCancelled });
+        }
+    }
+}
+
+// Hands out picked or dropped files the way MediaScanner hands out a folder
+class FileListScanner {
+    constructor(files, settings = Settings.defaults) {
+        this.files = files;
+        this.formats = Settings.formats(settings);
+        this.includeHidden = settings.scanHidden;
+        this.onBatch = null;
+        this.isCancelled = false;
+    }
+
+    async start() {
+        const found = filterFileList(this.files, this.formats, this.includeHidden);
+        for (let i = 0; i < found.length && !this.isCancelled; i += 500) {
+            this.onBatch(found.slice(i, i + 500));
+            // yield so the page stays responsive between batches
+            await new Promise((resolve) => setTimeout(resolve, 0));
+        }
+        return { cancelled: this.isCancelled };
+    }
+
+    cancel() {
+        this.isCancelled = true;
+    }
+}
+
+// A file on the media server (server.js). It stands in for a File where
+// only its size and parts of its content are needed: slices are fetched
+// with Range requests, so reading metadata doesn't download a whole video.
+class RemoteFile {
+    constructor(url, name, total, lastModified, start = 0, end = total) {
+        this.url = url;
+        this.name = name;
+        this.total = total;
+        this.lastModified = lastModified;
+        this.start = start;
+        this.end = end;
+        this.type = "";
+    }
+
+    get size() {
+        return this.end - this.start;
+    }
+
+    // Offsets as in Blob.slice, relative to this slice
+    slice(start = 0, end = this.size) {
+        const clamp = (value) =>
+            Math.min(Math.max(value < 0 ? this.size + value : value, 0), this.size);
+        return new RemoteFile(
+            this.url,
+            this.name,
+            this.total,
+            this.lastModified,
+            this.start + clamp(start),
+            this.start + Math.max(clamp(start), clamp(end)),
+        );
+    }
+
+    async fetch() {
+        const whole = this.start === 0 && this.end === this.total;
+        const response = await fetch(this.url, {
+            headers: whole ? {} : { Range: `bytes=${this.start}-${this.end - 1}` },
+        });
+        if (!response.ok) throw new Error(`${this.url}: ${response.status}`);
+        return response;
+    }
+
+    async arrayBuffer() {
+        if (this.size === 0) return new ArrayBuffer(0);
+        return (await this.fetch()).arrayBuffer();
+    }
+
+    async blob() {
+        if (this.size === 0) return new Blob([]);
+        return (await this.fetch()).blob();
+    }
+
+    async text() {
+        return new TextDecoder().decode(await this.arrayBuffer());
+    }
+}
+
+// Lists a folder of the media server the way MediaScanner walks a folder
+class ServerScanner {
+    constructor(serverFolder, settings = Settings.defaults) {
+        this.serverFolder = serverFolder;
+        this.formats = Settings.formats(settings);
+        this.includeHidden = settings.scanHidden;
+        this.onBatch = null;
+        this.isCancelled = false;
+    }
+
+    async start() {
+        const listing = await ServerGallery.request(
+            `${ServerGallery.folderUrl(this.serverFolder)}${this.includeHidden ? "?hidden=1" : ""}`,
+        );
+        const files = listing.files.map((file) => {
+            // the server only hands out hidden files when asked
+            const url =
+                ServerGallery.fileUrl(this.serverFolder, file.path) +
+                (this.includeHidden ? "?hidden=1" : "");
+            return {
+                path: file.path,
+                file: new RemoteFile(url, Gallery.splitPath(file.path)[1], file.size, file.lastModified),
+            };
+        });
+
+        const found = filterFileList(files, this.formats, this.includeHidden);
+        for (let i = 0; i < found.length && !this.isCancelled; i += 500) {
+            this.onBatch(found.slice(i, i + 500));
+            // yield so the page stays responsive between batches
+            await new Promise((resolve) => setTimeout(resolve, 0));
+        }
+        return { cancelled: this.isCancelled };
+    }
+
+    cancel() {
+        this.isCancelled = true;
+    }
+}
+
+// Notices changes made to the active gallery folder outside the app, through
+// FileSystemObserver where available and by polling while the tab is visible.
+// Polling rescans the whole folder, so the pause between polls grows with
+// the time the last rescan took.
+class FolderWatcher {
+    constructor(onChange, interval = 10000) {
+        this.onChange = onChange;
+        this.interval = interval;
+        this.gallery = null;
+        this.observer = null;
+        this.isPolling = false;
+        this.lastDuration = 0;
+        this.timer = null;
+        this.debounce = null;
+
+        document.addEventListener("visibilitychange", () => {
+            if (this.isPolling && document.visibilityState === "visible") {
+                this.notify();
+            }
+        });
+    }
+
+    async watch(gallery) {
+        if (this.gallery === gallery) return;
+        this.stop();
+        // folders on the media server are polled
+        if (!gallery.directoryHandle && gallery.kind !== "server") return;
+        this.gallery = gallery;
+
+        if (window.FileSystemObserver && gallery.directoryHandle) {
+            try {
+                this.observer = new FileSystemObserver(() => this.notify());
+                await this.observer.observe(gallery.directoryHandle, {
+                    recursive: true,
+                });
+                return;
+            } catch (err) {
+                console.warn("FileSystemObserver unavailable, polling instead:", err);
+                this.observer = null;
+            }
+        }
+
+        // the gallery may have changed while the observer was starting up
+        if (this.gallery !== gallery) return;
+        this.isPolling = true;
+        this.lastDuration = 0;
+        this.schedule();
+    }
+
+    schedule() {
+        clearTimeout(this.timer);
+        const delay = Math.min(
+            FolderWatcher.maxInterval,
+            Math.max(this.interval, this.lastDuration * FolderWatcher.backoff),
+        );
+        this.timer = setTimeout(() => {
+            if (document.visibilityState === "visible") {
+                this.notify();
+            } else {
+                this.schedule();
+            }
+        }, delay);
+    }
+
+    notify() {
+        clearTimeout(this.debounce);
+        this.debounce = setTimeout(async () => {
+            const gallery = this.gallery;
+            if (!gallery) return;
+            clearTimeout(this.timer);
+
+            const started = Date.now();
+            await this.onChange(gallery);
+            if (this.isPolling && this.gallery === gallery) {
+                this.lastDuration = Date.now() - started;
+                this.schedule();
+            }
+        }, 500);
+    }
+
+    stop() {
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+        clearTimeout(this.timer);
+        clearTimeout(this.debounce);
+        this.timer = null;
+        this.isPolling = false;
+        this.gallery = null;
+    }
+}
+
+// A rescan that took 3 s waits a minute before the next one, at most 5
+FolderWatcher.backoff = 20;
+FolderWatcher.maxInterval = 5 * 60 * 1000;
+
+// Parses search text such as `beach type:video size:>5mb -ext:gif` into a
+// predicate over media items. Plain words match the file name or path.
+class MediaQuery {
+    constructor(text = "") {
+        this.text = text.trim();
+        this.errors = [];
+        this.terms = this.parse(this.text);
+    }
+
+    get isEmpty() {
+        return this.terms.length === 0;
+    }
+
+    static tokenize(text) {
+        const tokens = [];
+        const pattern = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            tokens.push({
+                negate: match[1] === "-",
+                key: match[2] ? match[2].toLowerCase() : null,
+                value: match[3] !== undefined ? match[3] : match[4],
+                raw: match[0],
+            });
+        }
+        return tokens;
+    }
+
+    parse(text) {
+        const terms = [];
+
+        for (const token of MediaQuery.tokenize(text)) {
+            let test = null;
+            const qualifier = token.key && MediaQuery.qualifiers[token.key];
+
+            if (qualifier) {
+                test = qualifier(token.value);
+                if (!test) {
+                    this.errors.push(`Invalid value for "${token.key}:": ${token.value}`);
+                    continue;
+                }
+            } else {
+                // unknown qualifiers are searched for as plain text
+                const needle = (token.key ? `${token.key}:${token.value}` : token.value).toLowerCase();
+                if (!needle) continue;
+                test = (media) => media.path.toLowerCase().includes(needle);
+            }
+
+            terms.push({ negate: token.negate, test });
+        }
+
+        return terms;
+    }
+
+    matches(media) {
+        return this.terms.every((term) => term.test(media) !== term.negate);
+    }
+
+    // Accepts 2024, 2024-03, 2024-03-15 or a named period such as this-month,
+    // and returns the covered time span
+    static parseDate(value) {
+        const now = new Date();
+        const year = now.getFullYear();
+        const month = now.getMonth();
+        const today = new Date(year, month, now.getDate());
+        const monday = new Date(year, month, now.getDate() - ((now.getDay() + 6) % 7));
+
+        switch (value.toLowerCase()) {
+            case "today":
+                return { start: today, end: new Date(year, month, now.getDate() + 1) };
+            case "yesterday":
+                return { start: new Date(year, month, now.getDate() - 1), end: today };
+            case "this-week":
+                return {
+                    start: monday,
+                    end: new Date(monday.getFullYear(), monday.getMonth(), monday.getDate() + 7),
+                };
+            case "last-week":
+                return {
+                    start: new Date(monday.getFullYear(), monday.getMonth(), monday.getDate() - 7),
+                    end: monday,
+                };
+            case "this-month":
+                return { start: new Date(year, month, 1), end: new Date(year, month + 1, 1) };
+            case "last-month":
+                return { start: new Date(year, month - 1, 1), end: new Date(year, month, 1) };
+            case "this-year":
+                return { start: new Date(year, 0, 1), end: new Date(year + 1, 0, 1) };
+            case "last-year":
+                return { start: new Date(year - 1, 0, 1), end: new Date(year, 0, 1) };
+        }
+
+        const match = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/.exec(value);
+        if (!match) return null;
+
+        const y = Number(match[1]);
+        const m = match[2] ? Number(match[2]) - 1 : null;
+        const d = match[3] ? Number(match[3]) : null;
+
+        if (m === null) {
+            return { start: new Date(y, 0, 1), end: new Date(y + 1, 0, 1) };
+        }
+        if (d === null) {
+            return { start: new Date(y, m, 1), end: new Date(y, m + 1, 1) };
+        }
+        return { start: new Date(y, m, d), end: new Date(y, m, d + 1) };
+    }
+
+    static parseSize(value) {
+        const match = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i.exec(value);
+        if (!match) return null;
+        const units = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+        return Number(match[1]) * units[(match[2] || "b").toLowerCase()];
+    }
+
+    // Parse comparisons like >5, <=2 or 3 (which means >=3)
+    static parseComparison(value, parseNumber) {
+        const match = /^(>=|<=|>|<|=)?(.+)$/.exec(value);
+        if (!match) return null;
+        const number = parseNumber(match[2]);
+        if (number === null || isNaN(number)) return null;
+
+        switch (match[1] || ">=") {
+            case ">":
+                return (x) => x > number;
+            case "<":
+                return (x) => x < number;
+            case "<=":
+                return (x) => x <= number;
+            case "=":
+                return (x) => x === number;
+            default:
+                return (x) => x >= number;
+        }
+    }
+}
+
+// Each qualifier turns its value into a test, or returns null if the value is invalid
+MediaQuery.qualifiers = {
+    type: (value) => {
+        const type = value.toLowerCase();
+        if (type !== "image" && type !== "video") return null;
+        return (media) => media.type === type;
+    },
+    ext: (value) => {
+        const extensions = value.toLowerCase().split(",").map((ext) => ext.replace(/^\./, ""));
+        return (media) =>
+            extensions.includes(media.name.split(".").pop().toLowerCase());
+    },
+    in: (value) => {
+        const folder = value.toLowerCase().replace(/^\/+|\/+$/g, "");
+        if (!folder) return null;
+        return (media) => {
+            const dir = media.path.toLowerCase().split("/").slice(0, -1).join("/");
+            return `/${dir}/`.includes(`/${folder}/`);
+        };
+    },
+    before: (value) => {
+        const date = MediaQuery.parseDate(value);
+        if (!date) return null;
+        return (media) => media.lastModified < date.start.getTime();
+    },
+    after: (value) => {
+        const date = MediaQuery.parseDate(value);
+        if (!date) return null;
+        return (media) => media.lastModified >= date.end.getTime();
+    },
+    on: (value) => {
+        const date = MediaQuery.parseDate(value);
+        if (!date) return null;
+        return (media) =>
+            media.lastModified >= date.start.getTime() &&
+            media.lastModified < date.end.getTime();
+    },
+    within: (value) => {
+        const match = /^(\d+)([dwmy])$/i.exec(value);
+        if (!match) return null;
+        const amount = Number(match[1]);
+        const cutoff = new Date();
+        switch (match[2].toLowerCase()) {
+            case "d":
+                cutoff.setDate(cutoff.getDate() - amount);
+                break;
+            case "w":
+                cutoff.setDate(cutoff.getDate() - amount * 7);
+                break;
+            case "m":
+                cutoff.setMonth(cutoff.getMonth() - amount);
+                break;
+            case "y":
+                cutoff.setFullYear(cutoff.getFullYear() - amount);
+                break;
+        }
+        return (media) => media.lastModified >= cutoff.getTime();
+    },
+    size: (value) => {
+        const compare = MediaQuery.parseComparison(value, MediaQuery.parseSize);
+        if (!compare) return null;
+        return (media) => compare(media.file.size);
+    },
+    is: (value) => {
+        switch (value.toLowerCase()) {
+            case "fav":
+            case "favorite":
+                return (media) => media.meta.favorite;
+            case "rated":
+                return (media) => media.meta.rating > 0;
+            case "tagged":
+                return (media) => media.meta.tags.length > 0;
+            case "image":
+            case "video":
+                return (media) => media.type === value.toLowerCase();
+            default:
+                return null;
+        }
+    },
+    rating: (value) => {
+        const compare = MediaQuery.parseComparison(value, (number) =>
+            /^[0-5]$/.test(number) ? Number(number) : null,
+        );
+        if (!compare) return null;
+        return (media) => compare(media.meta.rating);
+    },
+    tag: (value) => {
+        const tag = value.toLowerCase();
+        if (!tag) return null;
+        return (media) => media.meta.tags.some((t) => t.toLowerCase() === tag);
+    },
+};
+
+class Gallery {
+    constructor(id, name, directoryHandle) {
+        this.id = id;
+        this.name = name;
+        this.directoryHandle = directoryHandle;
+        this.media = [];
+        this.view = [];
+        this.query = new MediaQuery();
+        this.folder = { path: "", recursive: true };
+        this.expandedFolders = new Set([""]);
+        this.metadata = new Map();
+        this.sortBy = "modified-desc";
+        this.slideshow = { ...Slideshow.defaults };
+        // overrides of the global settings
+        this.settings = {};
+        this.isShuffled = false;
+        this.isLoaded = false;
+        this.scanner = null;
+        this.refreshScanner = null;
+        this.refreshQueued = false;
+    }
+
+    get isSmart() {
+        return false;
+    }
+
+    // Whether files can be written into the gallery folder
+    get isWritable() {
+        return this.directoryHandle !== null;
+    }
+
+    // How the gallery is stored: "folder", "files", "server" or "smart"
+    get kind() {
+        return "folder";
+    }
+
+    // Folders opened without a directory handle can only be viewed
+    get isReadOnly() {
+        return false;
+    }
+
+    // Whether the folder has to be picked again before it can be shown
+    get needsFiles() {
+        return false;
+    }
+
+    get isScanning() {
+        return this.scanner !== null;
+    }
+
+    get isRefreshing() {
+        return this.refreshScanner !== null;
+    }
+
+    createScanner(settings) {
+        return new MediaScanner(this.directoryHandle, settings);
+    }
+
+    createUrl(file) {
+        return URL.createObjectURL(file);
+    }
+
+    // Whether the folder can be read without asking the user
+    async isReadable() {
+        return (await this.directoryHandle.queryPermission({ mode: "read" })) === "granted";
+    }
+
+    createMediaItem(scanned) {
+        const stored = this.metadata.get(scanned.path);
+        // the date from before the file was copied, while it is that copy
+        const original =
+            stored && stored.originalDate && stored.originalDate.copy === scanned.file.lastModified
+                ? stored.originalDate
+                : null;
+        return {
+            galleryId: this.id,
+            name: scanned.name,
+            path: scanned.path,
+            url: this.createUrl(scanned.file),
+            type: scanned.type,
+            file: scanned.file,
+            lastModified: original ? original.lastModified : scanned.file.lastModified,
+            meta: {
+                favorite: stored ? !!stored.favorite : false,
+                rating: stored ? stored.rating || 0 : 0,
+                tags: stored ? stored.tags || [] : [],
+                position: stored ? stored.position || 0 : 0,
+                originalDate: original,
+            },
+        };
+    }
+
+    revokeUrls(media) {
+        URL.revokeObjectURL(media.url);
+        MediaFormats.release(media);
+        if (media.thumbnailUrl) {
+            URL.revokeObjectURL(media.thumbnailUrl);
+            media.thumbnailUrl = null;
+        }
+    }
+
+    async loadMedia(onProgress, settings) {
+        this.media.forEach((media) => this.revokeUrls(media));
+        this.media = [];
+        this.view = [];
+        this.isLoaded = false;
+
+        try {
+            const hasPermission = await this.verifyPermission(this.directoryHandle);
+            if (!hasPermission) {
+                console.warn("Permission denied for", this.name);
+                alert(`Permission denied for "${this.name}".`);
+                return;
+            }
+
+            this.scanner = this.createScanner(settings);
+            this.scanner.onBatch = (files) => {
+                for (const file of files) {
+                    const media = this.createMediaItem(file);
+                    this.media.push(media);
+                    if (this.isInView(media)) this.view.push(media);
+                }
+                if (onProgress) onProgress(this.media.length);
+            };
+
+            const { cancelled } = await this.scanner.start();
+            this.scanner = null;
+
+            this.sortMedia();
+            // a cancelled scan found only part of the folder, so it isn't
+            // treated as complete and is scanned again when next opened
+            this.isLoaded = !cancelled;
+
+            console.log(
+                `Loaded ${this.media.length} media files from "${this.name}" (including subdirectories)` +
+                (cancelled ? ", scan cancelled" : ""),
+            );
+        } catch (err) {
+            this.scanner = null;
+            console.error("Error loading media:", err);
+            alert(
+                `Could not load media from "${this.name}". Permission may have been revoked.`,
+            );
+        }
+    }
+
+    // Compare the folder against the known media by path and lastModified,
+    // and update only what changed
+    async refresh(settings) {
+        if (this.isScanning || this.isRefreshing) return null;
+
+        // an unreadable folder would look empty and wipe the list
+        if (!(await this.isReadable())) return null;
+
+        const found = [];
+        this.refreshScanner = this.createScanner(settings);
+        this.refreshScanner.onBatch = (files) => found.push(...files);
+        let cancelled;
+        try {
+            ({ cancelled } = await this.refreshScanner.start());
+        } finally {
+            this.refreshScanner = null;
+        }
+        if (cancelled) return null;
+
+        const known = new Map(this.media.map((media) => [media.path, media]));
+        const added = [];
+        const changed = [];
+
+        for (const scanned of found) {
+            const media = known.get(scanned.path);
+            if (!media) {
+                added.push(this.createMediaItem(scanned));
+                continue;
+            }
+
+            known.delete(scanned.path);
+            if (media.file.lastModified !== scanned.file.lastModified) {
+                this.revokeUrls(media);
+                media.file = scanned.file;
+                media.url = this.createUrl(scanned.file);
+                media.lastModified = scanned.file.lastModified;
+                media.metadata = null;
+                media.dateTaken = undefined;
+                media.contentHash = undefined;
+                media.visualHash = undefined;
+                changed.push(media);
+            }
+        }
+
+        const removed = [...known.values()];
+        removed.forEach((media) => this.revokeUrls(media));
+
+        if (added.length + changed.length + removed.length > 0) {
+            if (removed.length > 0) {
+                const removedSet = new Set(removed);
+                this.media = this.media.filter((media) => !removedSet.has(media));
+            }
+            this.media.push(...added);
+            // a shuffled gallery keeps its order, new files go to the end
+            if (!this.isShuffled) {
+                this.sortMedia();
+            } else {
+                this.updateView();
+            }
+        }
+
+        return { added, changed, removed };
+    }
+
+    cancelScan() {
+        if (this.scanner) {
+            this.scanner.cancel();
+        }
+        if (this.refreshScanner) {
+            this.refreshScanner.cancel();
+        }
+    }
+
+    sortMedia() {
+        const compare = (Gallery.sortOrders[this.sortBy] || Gallery.sortOrders["modified-desc"]).compare;
+        this.media.sort((a, b) => compare(a, b) || Gallery.collator.compare(a.path, b.path));
+
+        // If gallery is in shuffle mode, shuffle the media after loading
+        if (this.isShuffled) {
+            Gallery.shuffle(this.media);
+        }
+
+        this.updateView();
+    }
+
+    static shuffle(items) {
+        for (let i = items.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [items[i], items[j]] = [items[j], items[i]];
+        }
+        return items;
+    }
+
+    setQuery(text) {
+        this.query = new MediaQuery(text);
+        this.updateView();
+    }
+
+    setFolder(path, recursive = this.folder.recursive) {
+        this.folder = { path, recursive };
+        this.updateView();
+    }
+
+    isInFolder(media) {
+        const { path, recursive } = this.folder;
+        const slash = media.path.lastIndexOf("/");
+        const dir = slash === -1 ? "" : media.path.slice(0, slash);
+
+        if (dir === path) return true;
+        if (!recursive) return false;
+        return path === "" || dir.startsWith(path + "/");
+    }
+
+    isInView(media) {
+        return this.isInFolder(media) && this.query.matches(media);
+    }
+
+    // The filtered media, in order; navigation and the grid work on this list
+    updateView() {
+        this.view =
+            this.query.isEmpty && this.folder.path === "" && this.folder.recursive
+                ? this.media.slice()
+                : this.media.filter((media) => this.isInView(media));
+    }
+
+    removeMedia(items) {
+        const removed = new Set(items);
+        this.media = this.media.filter((media) => !removed.has(media));
+        this.updateView();
+    }
+
+    // Settings saved by GalleryDB.saveGallery or found in a backup
+    restoreSettings(stored) {
+        this.isShuffled = stored.isShuffled || false;
+        this.sortBy = Gallery.sortOrders[stored.sortBy] ? stored.sortBy : "modified-desc";
+        this.slideshow = {
+            ...Slideshow.defaults,
+            ...stored.slideshow,
+        };
+        this.settings = Settings.sanitize(stored.settings);
+    }
+
+    // Files the app itself put into this gallery; a gallery that was never
+    // scanned picks them up when it is
+    addMedia(items) {
+        if (!this.isLoaded) return;
+
+        this.media.push(...items);
+        this.resort();
+    }
+
+    // Put renamed or added files in place; a shuffled gallery keeps its order
+    resort() {
+        if (!this.isShuffled) {
+            this.sortMedia();
+        } else {
+            this.updateView();
+        }
+    }
+
+    // Folder handle for a path inside the gallery
+    async getDirectory(path, create = false) {
+        let directory = this.directoryHandle;
+        for (const folder of path.split("/").filter(Boolean)) {
+            directory = await directory.getDirectoryHandle(folder, { create });
+        }
+        return directory;
+    }
+
+    static splitPath(path) {
+        const slash = path.lastIndexOf("/");
+        return slash === -1 ? ["", path] : [path.slice(0, slash), path.slice(slash + 1)];
+    }
+
+    // Move one of this gallery's files to a path in the target gallery, which
+    // may be this one. Returns the file at its new place.
+    async moveFile(fromPath, target, toPath) {
+        for (const gallery of new Set([this, target])) {
+            if (!(await gallery.verifyPermission(gallery.directoryHandle, true))) {
+                throw new Error(`Write permission denied for "${gallery.name}"`);
+            }
+        }
+
+        const [fromFolder, fromName] = Gallery.splitPath(fromPath);
+        const [toFolder, toName] = Gallery.splitPath(toPath);
+        const source = await this.getDirectory(fromFolder);
+        const destination = await target.getDirectory(toFolder, true);
+
+        try {
+            await destination.getFileHandle(toName);
+            throw new Error(`"${toPath}" already exists`);
+        } catch (err) {
+            if (err.name !== "NotFoundError") throw err;
+        }
+
+        const handle = await source.getFileHandle(fromName);
+        if (handle.move) {
+            try {
+                await handle.move(destination, toName);
+                return handle.getFile();
+            } catch (err) {
+                console.warn("Could not move file, copying it instead:", fromPath, err);
+            }
+        }
+
+        const copy = await destination.getFileHandle(toName, { create: true });
+        const writable = await copy.createWritable();
+        await writable.write(await handle.getFile());
+        await writable.close();
+        await source.removeEntry(fromName);
+        return copy.getFile();
+    }
+
+    async countTrash() {
+        let count = 0;
+        try {
+            const trash = await this.directoryHandle.getDirectoryHandle(TRASH_FOLDER);
+            for await (const entry of trash.values()) {
+                if (entry.kind === "file") count++;
+            }
+        } catch (err) {
+            if (err.name !== "NotFoundError") throw err;
+        }
+        return count;
+    }
+
+    async emptyTrash() {
+        if (!(await this.verifyPermission(this.directoryHandle, true))) {
+            throw new Error(`Write permission denied for "${this.name}"`);
+        }
+        try {
+            await this.directoryHandle.removeEntry(TRASH_FOLDER, { recursive: true });
+        } catch (err) {
+            if (err.name !== "NotFoundError") throw err;
+        }
+    }
+
+    async verifyPermission(directoryHandle, withWrite = true) {
+        const opts = {};
+        if (withWrite) {
+            opts.mode = "readwrite";
+        }
+
+        if ((await directoryHandle.queryPermission(opts)) === "granted") {
+            return true;
+        }
+
+        if ((await directoryHandle.requestPermission(opts)) === "granted") {
+            return true;
+        }
+
+        return false;
+    }
+}
+
+// Natural order, so "img2" sorts before "img10"
+Gallery.collator = new Intl.Collator(undefined, {
+    numeric: true,
+    sensitivity: "base",
+});
+
+Gallery.sortOrders = {
+    "modified-desc": {
+        label: "Newest first",
+        compare: (a, b) => b.lastModified - a.lastModified,
+    },
+    "modified-asc": {
+        label: "Oldest first",
+        compare: (a, b) => a.lastModified - b.lastModified,
+    },
+    taken: {
+        label: "Date taken",
+        // files without EXIF dates fall back to their modification date
+        compare: (a, b) =>
+            (b.dateTaken || b.lastModified) - (a.dateTaken || a.lastModified),
+        needsDateTaken: true,
+    },
+    name: {
+        label: "Name",
+        compare: (a, b) => Gallery.collator.compare(a.name, b.name),
+    },
+    path: {
+        label: "Path",
+        compare: (a, b) => Gallery.collator.compare(a.path, b.path),
+    },
+    "size-desc": {
+        label: "Largest first",
+        compare: (a, b) => b.file.size - a.file.size,
+    },
+    "size-asc": {
+        label: "Smallest first",
+        compare: (a, b) => a.file.size - b.file.size,
+    },
+    type: {
+        label: "Type",
+        compare: (a, b) =>
+            a.type.localeCompare(b.type) ||
+            Gallery.collator.compare(
+                a.name.split(".").pop(),
+                b.name.split(".").pop(),
+            ) ||
+            Gallery.collator.compare(a.name, b.name),
+    },
+};
+
+// A folder opened through <input webkitdirectory> or dropped on the page, in
+// browsers without showDirectoryPicker. Its files can be viewed, rated and
+// tagged but not changed, and as only the files themselves are kept, the
+// folder has to be picked again after a reload.
+class FileListGallery extends Gallery {
+    constructor(id, name, folderName, files = null) {
+        super(id, name, null);
+        this.folderName = folderName;
+        this.files = files;
+    }
+
+    get kind() {
+        return "files";
+    }
+
+    get isReadOnly() {
+        return true;
+    }
+
+    get needsFiles() {
+        return this.files === null;
+    }
+
+    setFiles(folderName, files) {
+        this.folderName = folderName;
+        this.files = files;
+        this.isLoaded = false;
+    }
+
+    createScanner(settings) {
+        return new FileListScanner(this.files, settings);
+    }
+
+    async isReadable() {
+        return !this.needsFiles;
+    }
+
+    // Picked files need no permission; writes are refused through isWritable
+    async verifyPermission() {
+        return !this.needsFiles;
+    }
+
+    async loadMedia(onProgress, settings) {
+        if (this.needsFiles) return;
+        await super.loadMedia(onProgress, settings);
+    }
+
+    // {name, files} of a folder picked through <input webkitdirectory>
+    static fromInput(fileList) {
+        const files = Array.from(fileList);
+        if (files.length === 0) return null;
+        return {
+            name: files[0].webkitRelativePath.split("/")[0],
+            files: files.map((file) => ({
+                file,
+                path: file.webkitRelativePath.split("/").slice(1).join("/"),
+            })),
+        };
+    }
+
+    // {name, files} of a folder dropped on the page, read through its entry
+    static async fromEntry(directory) {
+        return { name: directory.name, files: await FileListGallery.readEntry(directory) };
+    }
+
+    static async readEntry(directory, path = "") {
+        const files = [];
+        const reader = directory.createReader();
+        // entries come in batches until an empty one
+        for (;;) {
+            const entries = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+            if (entries.length === 0) break;
+
+            for (const entry of entries) {
+                const entryPath = path ? `${path}/${entry.name}` : entry.name;
+                if (entry.isDirectory) {
+                    files.push(...(await FileListGallery.readEntry(entry, entryPath)));
+                } else {
+                    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+                    files.push({ file, path: entryPath });
+                }
+            }
+        }
+        return files;
+    }
+}
+
+// A folder shared by server.js, listed and streamed over HTTP, so a NAS or
+// a headless machine can be browsed from any browser. The server has no
+// write API, so its files can be viewed, rated and tagged but not changed.
+class ServerGallery extends Gallery {
+    constructor(id, name, serverFolder, isShared = false) {
+        super(id, name, null);
+        this.serverFolder = serverFolder;
+        // opened through a share link rather than one of the viewer's own
+        this.isShared = isShared;
+    }
+
+    get kind() {
+        return "server";
+    }
+
+    get isReadOnly() {
+        return true;
+    }
+
+    createScanner(settings) {
+        return new ServerScanner(this.serverFolder, settings);
+    }
+
+    createUrl(file) {
+        return file.url;
+    }
+
+    async isReadable() {
+        return true;
+    }
+
+    // The server decides what can be read; writes are refused through isWritable
+    async verifyPermission() {
+        return true;
+    }
+
+    // JSON from the server; errors carry the server's message and status
+    static async request(url, options) {
+        const response = await fetch(url, options);
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const err = new Error(body.error || `${url}: ${response.status}`);
+            err.status = response.status;
+            err.needsPassword = !!body.password;
+            throw err;
+        }
+        return body;
+    }
+
+    static post(url, data) {
+        return ServerGallery.request(url, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify(data),
+        });
+    }
+
+    // The folders the server shares, or null when the app isn't served by it
+    static async folders() {
+        try {
+            return (await ServerGallery.request(ServerGallery.apiUrl)).map((folder) => folder.name);
+        } catch (err) {
+            return null;
+        }
+    }
+
+    static folderUrl(serverFolder) {
+        return `${ServerGallery.apiUrl}/${encodeURIComponent(serverFolder)}`;
+    }
+
+    static fileUrl(serverFolder, path) {
+        const parts = path.split("/").map(encodeURIComponent).join("/");
+        return `${ServerGallery.folderUrl(serverFolder)}/files/${parts}`;
+    }
+}
+
+// Relative, so the gallery works wherever server.js serves the app
+ServerGallery.apiUrl = "api/folders";
+
+// A tab that holds a saved search instead of a folder. Its media is drawn
+// live from the other galleries (all of them, or the listed sources).
+class SmartGallery extends Gallery {
+    constructor(id, name, rule = "", sources = []) {
+        super(id, name, null);
+        this.rule = rule;
+        this.sources = sources;
+    }
+
+    get isSmart() {
+        return true;
+    }
+
+    get kind() {
+        return "smart";
+    }
+
+    usesSource(gallery) {
+        return (
+            !gallery.isSmart &&
+            (this.sources.length === 0 || this.sources.includes(gallery.id))
+        );
+    }
+
+    sourceGalleries(galleries) {
+        return galleries.filter((gallery) => this.usesSource(gallery));
+    }
+
+    collect(galleries) {
+        const rule = new MediaQuery(this.rule);
+        const sources = this.sourceGalleries(galleries);
+        const media = [];
+        for (const source of sources) {
+            for (const item of source.media) {
+                if (rule.matches(item)) media.push(item);
+            }
+        }
+
+        this.isLoaded = sources.every((source) => source.isLoaded);
+
+        if (this.isShuffled && this.media.length > 0) {
+            // keep the shuffled order of items that are still included
+            const included = new Set(media);
+            const known = new Set(this.media);
+            const added = media.filter((item) => !known.has(item));
+            this.media = this.media
+                .filter((item) => included.has(item))
+                .concat(Gallery.shuffle(added));
+            this.updateView();
+        } else {
+            this.media = media;
+            this.sortMedia();
+        }
+    }
+}
+
+// Reads EXIF, IPTC and XMP metadata straight from JPEG, TIFF, PNG and WebP files
+class MetadataReader {
+    static async read(file, length = 256 * 1024) {
+        const buffer = await file.slice(0, length).arrayBuffer();
+        const view = new DataView(buffer);
+        const result = { iptc: {}, xmp: {} };
+
+        try {
+            if (view.byteLength < 12) return result;
+            if (view.getUint16(0) === 0xffd8) {
+                MetadataReader.readJpeg(view, result);
+            } else if (view.getUint32(0) === 0x89504e47) {
+                MetadataReader.readPng(view, result);
+            } else if (
+                readAscii(view, 0, 4) === "RIFF" &&
+                readAscii(view, 8, 4) === "WEBP"
+            ) {
+                MetadataReader.readWebp(view, result);
+            } else if (view.getUint16(0) === 0x4949 || view.getUint16(0) === 0x4d4d) {
+                MetadataReader.readTiff(view, 0, result);
+            }
+        } catch (err) {
+            console.warn("Could not read metadata of", file.name, err);
+        }
+
+        return result;
+    }
+
+    // Metadata of a media item, read once and kept on the item
+    static forMedia(media) {
+        if (!media.metadata) {
+            media.metadata = MetadataReader.read(media.file).then((metadata) => {
+                media.dateTaken = metadata.dateTaken ? metadata.dateTaken.getTime() : null;
+                return metadata;
+            });
+        }
+        return media.metadata;
+    }
+
+    // Dates taken are needed for every image when sorting, so read as little as possible
+    static async readDateTaken(media) {
+        if (media.dateTaken !== undefined) return media.dateTaken;
+        if (media.metadata) {
+            await media.metadata;
+            return media.dateTaken;
+        }
+
+        const metadata = await MetadataReader.read(media.file, 128 * 1024);
+        media.dateTaken = metadata.dateTaken ? metadata.dateTaken.getTime() : null;
+        return media.dateTaken;
+    }
+
+    static utf8(view, start, length) {
+        const bytes = new Uint8Array(view.buffer, view.byteOffset + start, length);
+        return new TextDecoder("utf-8").decode(bytes).replace(/\0+$/, "");
+    }
+
+    static readJpeg(view, result) {
+        let offset = 2;
+        while (offset + 4 <= view.byteLength) {
+            const marker = view.getUint16(offset);
+            if ((marker & 0xff00) !== 0xff00 || marker === 0xffda) break;
+
+            const size = view.getUint16(offset + 2);
+            const start = offset + 4;
+            const length = size - 2;
+            if (start + length > view.byteLength) break;
+
+            if (marker === 0xffe1) {
+                if (readAscii(view, start, 6) === "Exif\0\0") {
+                    MetadataReader.readTiff(view, start + 6, result);
+                } else {
+                    const header = "http://ns.adobe.com/xap/1.0/\0";
+                    if (readAscii(view, start, header.length) === header) {
+                        MetadataReader.readXmp(
+                            MetadataReader.utf8(view, start + header.length, length - header.length),
+                            result,
+                        );
+                    }
+                }
+            } else if (marker === 0xffed) {
+                const header = "Photoshop 3.0\0";
+                if (readAscii(view, start, header.length) === header) {
+                    MetadataReader.readPhotoshop(view, start + header.length, start + length, result);
+                }
+            } else if (
+                marker >= 0xffc0 &&
+                marker <= 0xffcf &&
+                marker !== 0xffc4 &&
+                marker !== 0xffc8 &&
+                marker !== 0xffcc
+            ) {
+                // start of frame
+                result.height = result.height || view.getUint16(start + 1);
+                result.width = result.width || view.getUint16(start + 3);
+            }
+
+            offset = start + length;
+        }
+    }
+
+    static readPng(view, result) {
+        let offset = 8;
+        while (offset + 8 <= view.byteLength) {
+            const length = view.getUint32(offset);
+            const type = readAscii(view, offset + 4, 4);
+            const start = offset + 8;
+            if (start + length > view.byteLength) break;
+
+            if (type === "IHDR") {
+                result.width = view.getUint32(start);
+                result.height = view.getUint32(start + 4);
+            } else if (type === "eXIf") {
+                MetadataReader.readTiff(view, start, result);
+            } else if (type === "iTXt") {
+                const text = MetadataReader.utf8(view, start, length);
+                // keyword, compression flag and method, language and translated keyword
+                if (text.startsWith("XML:com.adobe.xmp\0") && text.charCodeAt(18) === 0) {
+                    const parts = text.split("\0");
+                    MetadataReader.readXmp(parts.slice(5).join("\0"), result);
+                }
+            } else if (type === "IDAT" || type === "IEND") {
+                break;
+            }
+
+            offset = start + length + 4;
+        }
+    }
+
+    static readWebp(view, result) {
+        let offset = 12;
+        while (offset + 8 <= view.byteLength) {
+            const type = readAscii(view, offset, 4);
+            const length = view.getUint32(offset + 4, true);
+            const start = offset + 8;
+            if (start + length > view.byteLength) break;
+
+            if (type === "VP8X") {
+                result.width = 1 + (view.getUint32(start + 4, true) & 0xffffff);
+                result.height = 1 + (view.getUint32(start + 7, true) & 0xffffff);
+            } else if (type === "EXIF") {
+                const skip = readAscii(view, start, 6) === "Exif\0\0" ? 6 : 0;
+                MetadataReader.readTiff(view, start + skip, result);
+            } else if (type === "XMP ") {
+                MetadataReader.readXmp(MetadataReader.utf8(view, start, length), result);
+            }
+
+            offset = start + length + (length % 2);
+        }
+    }
+
+    // Parse a TIFF structure (the body of an EXIF block, or a whole TIFF file)
+    static readTiff(view, start, result) {
+        const little = view.getUint16(start) === 0x4949;
+        if (view.getUint16(start + 2, little) !== 42) return;
+
+        const ifd0 = readIfd(view, start, start + view.getUint32(start + 4, little), little);
+        const tags = ifd0.tags;
+
+        const exifPointer = tags.get(0x8769);
+        const exif = exifPointer
+            ? readIfd(view, start, start + exifPointer, little).tags
+            : new Map();
+        const gpsPointer = tags.get(0x8825);
+        const gps = gpsPointer
+            ? readIfd(view, start, start + gpsPointer, little).tags
+            : null;
+
+        result.make = tags.get(0x010f);
+        result.model = tags.get(0x0110);
+        result.orientation = tags.get(0x0112);
+        result.software = tags.get(0x0131);
+        result.artist = tags.get(0x013b);
+        result.copyright = tags.get(0x8298);
+        result.width = exif.get(0xa002) || tags.get(0x0100) || result.width;
+        result.height = exif.get(0xa003) || tags.get(0x0101) || result.height;
+
+        result.exposureTime = exif.get(0x829a);
+        result.fNumber = exif.get(0x829d);
+        result.iso = Array.isArray(exif.get(0x8827)) ? exif.get(0x8827)[0] : exif.get(0x8827);
+        result.focalLength = exif.get(0x920a);
+        result.focalLength35 = exif.get(0xa405);
+        result.flash = exif.get(0x9209);
+        result.lensMake = exif.get(0xa433);
+        result.lens = exif.get(0xa434);
+        result.dateTaken =
+            MetadataReader.parseExifDate(exif.get(0x9003)) ||
+            MetadataReader.parseExifDate(exif.get(0x9004)) ||
+            MetadataReader.parseExifDate(tags.get(0x0132));
+
+        if (gps && gps.get(2) && gps.get(4)) {
+            const toDegrees = (dms) =>
+                Array.isArray(dms) ? dms[0] + (dms[1] || 0) / 60 + (dms[2] || 0) / 3600 : dms;
+            const latitude = toDegrees(gps.get(2)) * (gps.get(1) === "S" ? -1 : 1);
+            const longitude = toDegrees(gps.get(4)) * (gps.get(3) === "W" ? -1 : 1);
+            if (isFinite(latitude) && isFinite(longitude)) {
+                result.gps = { latitude, longitude };
+                if (gps.get(6) !== undefined) {
+                    result.gps.altitude = gps.get(6) * (gps.get(5) === 1 ? -1 : 1);
+                }
+            }
+        }
+
+        // IPTC and XMP can also be embedded as TIFF tags
+        const iptc = tags.get(0x83bb);
+        if (iptc instanceof Uint8Array) {
+            MetadataReader.readIptc(new DataView(iptc.buffer, iptc.byteOffset, iptc.byteLength), 0, iptc.byteLength, result);
+        }
+        const xmp = tags.get(0x02bc);
+        if (xmp instanceof Uint8Array) {
+            MetadataReader.readXmp(new TextDecoder("utf-8").decode(xmp), result);
+        }
+
+        return ifd0;
+    }
+
+    static parseExifDate(value) {
+        const match = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(value || "");
+        if (!match || match[1] === "0000") return null;
+        const [, y, m, d, h, mi, s] = match.map(Number);
+        return new Date(y, m - 1, d, h, mi, s);
+    }
+
+    // Photoshop image resource blocks; 0x0404 holds the IPTC data
+    static readPhotoshop(view, offset, end, result) {
+        while (offset + 12 <= end) {
+            if (readAscii(view, offset, 4) !== "8BIM") break;
+            const id = view.getUint16(offset + 4);
+            const nameLength = view.getUint8(offset + 6);
+            const nameSize = (nameLength + 2) & ~1;
+            const size = view.getUint32(offset + 6 + nameSize);
+            const start = offset + 10 + nameSize;
+            if (start + size > end) break;
+
+            if (id === 0x0404) {
+                MetadataReader.readIptc(view, start, start + size, result);
+            }
+            offset = start + size + (size % 2);
+        }
+    }
+
+    static readIptc(view, offset, end, result) {
+        const fields = {
+            5: "title",
+            25: "keywords",
+            80: "byline",
+            90: "city",
+            95: "state",
+            101: "country",
+            105: "headline",
+            116: "copyright",
+            120: "caption",
+        };
+
+        while (offset + 5 <= end) {
+            if (view.getUint8(offset) !== 0x1c) {
+                offset++;
+                continue;
+            }
+            const record = view.getUint8(offset + 1);
+            const dataset = view.getUint8(offset + 2);
+            const length = view.getUint16(offset + 3);
+            const start = offset + 5;
+            if (start + length > end) break;
+
+            const field = record === 2 && fields[dataset];
+            if (field) {
+                const value = MetadataReader.utf8(view, start, length);
+                if (field === "keywords") {
+                    (result.iptc.keywords = result.iptc.keywords || []).push(value);
+                } else {
+                    result.iptc[field] = value;
+                }
+            }
+            offset = start + length;
+        }
+    }
+
+    static readXmp(xml, result) {
+        const doc = new DOMParser().parseFromString(xml.trim(), "application/xml");
+        if (doc.getElementsByTagName("parsererror").length > 0) return;
+
+        const value = (name) => {
+            const element = doc.getElementsByTagName(name)[0];
+            if (element) {
+                const items = element.getElementsByTagName("rdf:li");
+                if (items.length > 0) {
+                    return Array.from(items).map((item) => item.textContent.trim());
+                }
+                return element.textContent.trim();
+            }
+            for (const description of doc.getElementsByTagName("rdf:Description")) {
+                if (description.hasAttribute(name)) return description.getAttribute(name);
+            }
+            return undefined;
+        };
+        const first = (name) => {
+            const found = value(name);
+            return Array.isArray(found) ? found[0] : found;
+        };
+
+        result.xmp = {
+            title: first("dc:title"),
+            description: first("dc:description"),
+            creator: first("dc:creator"),
+            rights: first("dc:rights"),
+            subject: value("dc:subject"),
+            rating: first("xmp:Rating"),
+            creatorTool: first("xmp:CreatorTool"),
+            dateCreated: first("photoshop:DateCreated") || first("exif:DateTimeOriginal"),
+            lens: first("aux:Lens") || first("exifEX:LensModel"),
+        };
+
+        if (!result.dateTaken && result.xmp.dateCreated) {
+            const date = new Date(result.xmp.dateCreated);
+            if (!isNaN(date)) result.dateTaken = date;
+        }
+    }
+
+    // CSS transform for an EXIF orientation, for browsers that ignore it
+    static orientationTransform(orientation) {
+        return {
+            2: "scaleX(-1)",
+            3: "rotate(180deg)",
+            4: "scaleY(-1)",
+            5: "rotate(90deg) scaleX(-1)",
+            6: "rotate(90deg)",
+            7: "rotate(270deg) scaleX(-1)",
+            8: "rotate(270deg)",
+        }[orientation] || "";
+    }
+}
+
+// Toggleable side panel showing file details and camera metadata
+class MetadataPanel {
+    constructor(panel) {
+        this.panel = panel;
+        this.isOpen = false;
+        this.media = null;
+    }
+
+    toggle(media) {
+        this.isOpen = !this.isOpen;
+        this.panel.classList.toggle("open", this.isOpen);
+        document.getElementById("metadataButton").classList.toggle("active", this.isOpen);
+        if (this.isOpen && media) this.show(media);
+    }
+
+    async show(media) {
+        this.media = media;
+        if (!this.isOpen) return;
+
+        this.render(media, null);
+        const metadata = media.type === "image" ? await MetadataReader.forMedia(media) : {};
+        // another item may have been shown while reading
+        if (this.media === media) this.render(media, metadata);
+    }
+
+    static formatSize(bytes) {
+        const units = ["B", "KB", "MB", "GB"];
+        let size = bytes;
+        let unit = 0;
+        while (size >= 1024 && unit < units.length - 1) {
+            size /= 1024;
+            unit++;
+        }
+        return `${size.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+    }
+
+    static formatExposure(metadata) {
+        const parts = [];
+        const { exposureTime, fNumber, iso, focalLength, focalLength35 } = metadata;
+        if (exposureTime) {
+            parts.push(
+                exposureTime < 1 ? `1/${Math.round(1 / exposureTime)}s` : `${exposureTime}s`,
+            );
+        }
+        if (fNumber) parts.push(`f/${Math.round(fNumber * 10) / 10}`);
+        if (iso) parts.push(`ISO ${iso}`);
+        if (focalLength) {
+            parts.push(
+                `${Math.round(focalLength * 10) / 10}mm` +
+                (focalLength35 ? ` (${focalLength35}mm eq.)` : ""),
+            );
+        }
+        return parts.join("  ");
+    }
+
+    render(media, metadata) {
+        this.panel.innerHTML = "";
+        const imgPreview = document.getElementById("mediaPreview");
+        const videoPreview = document.getElementById("videoPreview");
+
+        const width =
+            (metadata && metadata.width) ||
+            (media.type === "image" ? imgPreview.naturalWidth : videoPreview.videoWidth);
+        const height =
+            (metadata && metadata.height) ||
+            (media.type === "image" ? imgPreview.naturalHeight : videoPreview.videoHeight);
+
+        this.addSection("File", [
+            ["Name", media.name],
+            ["Path", media.path],
+            ["Size", MetadataPanel.formatSize(media.file.size)],
+            ["Dimensions", width && height ? `${width} × ${height}` : ""],
+            ["Modified", new Date(media.lastModified).toLocaleString()],
+        ]);
+
+        if (!metadata) {
+            this.addNote("Reading metadata...");
+            return;
+        }
+
+        const { iptc = {}, xmp = {} } = metadata;
+        let camera = [metadata.make, metadata.model].filter(Boolean).join(" ");
+        if (metadata.make && metadata.model && metadata.model.startsWith(metadata.make)) {
+            camera = metadata.model;
+        }
+
+        this.addSection("Camera", [
+            ["Date Taken", metadata.dateTaken ? metadata.dateTaken.toLocaleString() : ""],
+            ["Camera", camera],
+            ["Lens", metadata.lens || xmp.lens || metadata.lensMake],
+            ["Exposure", MetadataPanel.formatExposure(metadata)],
+            ["Flash", metadata.flash !== undefined ? (metadata.flash & 1 ? "Fired" : "No flash") : ""],
+            ["Orientation", metadata.orientation > 1 ? `EXIF ${metadata.orientation}` : ""],
+            ["Software", metadata.software || xmp.creatorTool],
+        ]);
+
+        if (metadata.gps) {
+            const { latitude, longitude, altitude } = metadata.gps;
+            const section = this.addSection("Location", [
+                ["Coordinates", `${latitude.toFixed(6)}, ${longitude.toFixed(6)}`],
+                ["Altitude", altitude !== undefined ? `${Math.round(altitude)} m` : ""],
+                ["Place", [iptc.city, iptc.state, iptc.country].filter(Boolean).join(", ")],
+            ]);
+            const link = document.createElement("a");
+            link.href = `https://www.openstreetmap.org/?mlat=${latitude}&mlon=${longitude}#map=15/${latitude}/${longitude}`;
+            link.target = "_blank";
+            link.rel = "noopener";
+            link.textContent = "Show on map";
+            section.appendChild(link);
+        }
+
+        const keywords = iptc.keywords || (Array.isArray(xmp.subject) ? xmp.subject : xmp.subject ? [xmp.subject] : []);
+        this.addSection("Description", [
+            ["Title", iptc.title || iptc.headline || xmp.title],
+            ["Caption", iptc.caption || xmp.description],
+            ["Keywords", keywords.join(", ")],
+            ["Creator", iptc.byline || xmp.creator || metadata.artist],
+            ["Copyright", iptc.copyright || xmp.rights || metadata.copyright],
+            // the value comes from the file, so keep it to 0-5 stars
+            ["Rating", xmp.rating ? "★".repeat(Math.min(5, Math.max(0, Math.round(xmp.rating) || 0))) : ""],
+        ]);
+
+        if (this.panel.querySelectorAll(".metadata-section").length === 1) {
+            this.addNote("No embedded metadata found.");
+        }
+    }
+
+    // Adds a section with the rows that have a value; empty sections are skipped
+    addSection(title, rows) {
+        const filled = rows.filter(([, value]) => value !== undefined && value !== null && value !== "");
+        if (filled.length === 0) return document.createElement("div");
+
+        const section = document.createElement("div");
+        section.className = "metadata-section";
+
+        const heading = document.createElement("h4");
+        heading.textContent = title;
+        section.appendChild(heading);
+
+        const list = document.createElement("dl");
+        for (const [label, value] of filled) {
+            const term = document.createElement("dt");
+            term.textContent = label;
+            const description = document.createElement("dd");
+            description.textContent = value;
+            list.append(term, description);
+        }
+        section.appendChild(list);
+
+        this.panel.appendChild(section);
+        return section;
+    }
+
+    addNote(text) {
+        const note = document.createElement("div");
+        note.className = "metadata-note";
+        note.textContent = text;
+        this.panel.appendChild(note);
+    }
+}
+
+// Finds copies of the same file by their content hash, and resized or
+// recompressed copies of an image by a difference hash of its pixels
+class DuplicateFinder {
+    constructor(media, similarity = 6) {
+        this.media = media;
+        // how many of the 64 hash bits may differ for images to count as similar
+        this.similarity = similarity;
+        this.cancelled = false;
+        this.onProgress = null;
+    }
+
+    cancel() {
+        this.cancelled = true;
+    }
+
+    // SHA-256 over 16MB chunks and then over their digests, so large videos
+    // never have to be read into memory at once
+    static async hashFile(file) {
+        const chunkSize = 16 * 1024 * 1024;
+        const digests = [];
+        let offset = 0;
+        do {
+            const chunk = await file.slice(offset, offset + chunkSize).arrayBuffer();
+            digests.push(new Uint8Array(await crypto.subtle.digest("SHA-256", chunk)));
+            offset += chunkSize;
+        } while (offset < file.size);
+
+        const combined = new Uint8Array(digests.length * 32);
+        digests.forEach((digest, i) => combined.set(digest, i * 32));
+        const digest = await crypto.subtle.digest("SHA-256", combined);
+        return Array.from(new Uint8Array(digest), (byte) =>
+            byte.toString(16).padStart(2, "0"),
+        ).join("");
+    }
+
+    static async contentHash(media) {
+        if (!media.contentHash) {
+            media.contentHash = await DuplicateFinder.hashFile(media.file);
+        }
+        return media.contentHash;
+    }
+
+    // 64 bit dHash: is each pixel of a 9x8 grayscale copy brighter than its neighbour
+    static async visualHash(media) {
+        if (media.visualHash !== undefined) return media.visualHash;
+
+        try {
+            const blob = await MediaFormats.decodable(media);
+            if (!blob) throw new Error("Format can't be decoded");
+            const bitmap = await createImageBitmap(blob, {
+                resizeWidth: 9,
+                resizeHeight: 8,
+                resizeQuality: "high",
+                imageOrientation: "from-image",
+            });
+            const canvas = new OffscreenCanvas(9, 8);
+            const ctx = canvas.getContext("2d");
+            ctx.drawImage(bitmap, 0, 0);
+            bitmap.close();
+
+            const { data } = ctx.getImageData(0, 0, 9, 8);
+            const brightness = (i) => data[i] * 299 + data[i + 1] * 587 + data[i + 2] * 114;
+            const hash = [0, 0];
+            for (let bit = 0; bit < 64; bit++) {
+                const i = (Math.floor(bit / 8) * 9 + (bit % 8)) * 4;
+                if (brightness(i) > brightness(i + 4)) {
+                    hash[bit >> 5] |= 1 << (bit & 31);
+                }
+            }
+            media.visualHash = hash;
+        } catch (err) {
+            console.warn("Could not hash image:", media.path, err);
+            media.visualHash = null;
+        }
+        return media.visualHash;
+    }
+
+    static bitCount(n) {
+        n = n - ((n >>> 1) & 0x55555555);
+        n = (n & 0x33333333) + ((n >>> 2) & 0x33333333);
+        return Math.imul((n + (n >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24;
+    }
+
+    static distance(a, b) {
+        return DuplicateFinder.bitCount(a[0] ^ b[0]) + DuplicateFinder.bitCount(a[1] ^ b[1]);
+    }
+
+    // The media item with exactly the same content as a file, if there is one
+    static async findCopy(file, media) {
+        const candidates = media.filter((item) => item.file.size === file.size);
+        if (candidates.length === 0) return null;
+
+        const hash = await DuplicateFinder.hashFile(file);
+        for (const item of candidates) {
+            if ((await DuplicateFinder.contentHash(item)) === hash) return item;
+        }
+        return null;
+    }
+
+    progress(text, done, total) {
+        if (this.onProgress && (done % 20 === 0 || done === total)) {
+            this.onProgress(`${text}: ${done} of ${total}`);
+        }
+    }
+
+    // Returns groups of {kind: "exact" | "similar", items}, or null when cancelled
+    async find() {
+        const groups = [];
+
+        // only files of the same size can have the same content
+        const bySize = new Map();
+        for (const media of this.media) {
+            const group = bySize.get(media.file.size) || [];
+            group.push(media);
+            bySize.set(media.file.size, group);
+        }
+        const candidates = [...bySize.values()].filter((group) => group.length > 1).flat();
+
+        const byHash = new Map();
+        for (let i = 0; i < candidates.length; i++) {
+            if (this.cancelled) return null;
+            try {
+                const hash = await DuplicateFinder.contentHash(candidates[i]);
+                byHash.set(hash, [...(byHash.get(hash) || []), candidates[i]]);
+            } catch (err) {
+                console.warn("Could not hash file:", candidates[i].path, err);
+            }
+            this.progress("Comparing file contents", i + 1, candidates.length);
+        }
+
+        // the oldest file is taken to be the original
+        const copies = new Set();
+        for (const items of byHash.values()) {
+            if (items.length < 2) continue;
+            items.sort((a, b) => a.lastModified - b.lastModified);
+            items.slice(1).forEach((media) => copies.add(media));
+            groups.push({ kind: "exact", items });
+        }
+
+        // exact copies are represented by their original from here on
+        const images = this.media.filter((media) => media.type === "image" && !copies.has(media));
+        const hashes = [];
+        for (let i = 0; i < images.length; i++) {
+            if (this.cancelled) return null;
+            hashes.push(await DuplicateFinder.visualHash(images[i]));
+            this.progress("Comparing images", i + 1, images.length);
+        }
+
+        const parent = images.map((_, i) => i);
+        const root = (i) => {
+            while (parent[i] !== i) i = parent[i] = parent[parent[i]];
+            return i;
+        };
+        for (let i = 0; i < images.length; i++) {
+            if (!hashes[i]) continue;
+            for (let j = i + 1; j < images.length; j++) {
+                if (hashes[j] && DuplicateFinder.distance(hashes[i], hashes[j]) <= this.similarity) {
+                    parent[root(j)] = root(i);
+                }
+            }
+            // keep the page responsive on large galleries
+            if (i % 500 === 499) {
+                if (this.cancelled) return null;
+                if (this.onProgress) {
+                    this.onProgress(`Grouping similar images: ${i + 1} of ${images.length}`);
+                }
+                await new Promise((resolve) => setTimeout(resolve));
+            }
+        }
+
+        const clusters = new Map();
+        images.forEach((media, i) => {
+            const key = root(i);
+            clusters.set(key, [...(clusters.get(key) || []), media]);
+        });
+        for (const items of clusters.values()) {
+            if (items.length < 2) continue;
+            // the largest file is most likely the best quality
+            items.sort((a, b) => b.file.size - a.file.size);
+            groups.push({ kind: "similar", items });
+        }
+
+        return groups;
+    }
+}
+
+// Controls for the preview video: time, seeking, volume, speed, frame steps,
+// an A-B loop and the position each file was left at
+class VideoPlayer {
+    constructor(video, handlers) {
+        this.video = video;
+        this.onSavePosition = handlers.onSavePosition;
+        this.onEnded = handlers.onEnded;
+        this.media = null;
+        this.endAction = "loop";
+        this.loopStart = null;
+        this.loopEnd = null;
+        this.pendingPosition = 0;
+        this.lastSaved = 0;
+        this.isSeeking = false;
+        this.wasPlaying = false;
+        this.loopWatching = false;
+        // Browsers don't tell the frame rate; playback reveals it, until
+        // then assume 30 fps
+        this.frameDuration = 1 / 30;
+        this.frameMeasured = false;
+        this.lastFrameTime = null;
+
+        this.progressBar = document.getElementById("progressBar");
+        this.progressFill = document.getElementById("progressFill");
+        this.progressLoop = document.getElementById("progressLoop");
+        this.tooltip = document.getElementById("progressTooltip");
+        this.playButton = document.getElementById("videoPlay");
+        this.timeLabel = document.getElementById("videoTime");
+        this.loopButton = document.getElementById("videoLoop");
+        this.speedSelect = document.getElementById("videoSpeed");
+        this.muteButton = document.getElementById("videoMute");
+        this.volumeInput = document.getElementById("videoVolume");
+
+        for (const speed of VideoPlayer.speeds) {
+            this.speedSelect.add(new Option(`${speed}×`, speed));
+        }
+        this.speedSelect.value = 1;
+
+        video.addEventListener("loadedmetadata", () => this.restorePosition());
+        video.addEventListener("timeupdate", () => this.handleTimeUpdate());
+        video.addEventListener("durationchange", () => this.updateTime());
+        video.addEventListener("play", () => this.handlePlay());
+        video.addEventListener("pause", () => {
+            this.updatePlayButton();
+            this.savePosition();
+        });
+        video.addEventListener("ended", () => this.handleEnded());
+        video.addEventListener("volumechange", () => this.updateVolume());
+
+        this.progressBar.addEventListener("pointerdown", (e) => this.startSeek(e));
+        this.progressBar.addEventListener("pointermove", (e) => this.handleSeekMove(e));
+        this.progressBar.addEventListener("pointerup", (e) => this.endSeek(e));
+        this.progressBar.addEventListener("pointercancel", (e) => this.endSeek(e));
+        this.progressBar.addEventListener("pointerleave", () => {
+            if (!this.isSeeking) this.tooltip.classList.remove("visible");
+        });
+
+        this.playButton.addEventListener("click", () => this.togglePlay());
+        document.getElementById("videoFrameBack").addEventListener("click", () => this.stepFrame(-1));
+        document.getElementById("videoFrameForward").addEventListener("click", () => this.stepFrame(1));
+        this.loopButton.addEventListener("click", () => this.toggleLoopPoint());
+        this.speedSelect.addEventListener("change", () => this.setSpeed(Number(this.speedSelect.value)));
+        this.muteButton.addEventListener("click", () => this.toggleMute());
+        this.volumeInput.addEventListener("input", () => this.setVolume(Number(this.volumeInput.value)));
+
+        // Closing the tab counts as leaving the video
+        window.addEventListener("pagehide", () => this.savePosition());
+        this.updateVolume();
+    }
+
+    load(media, settings) {
+        this.unload();
+        this.media = media;
+        this.endAction = settings.videoEnd;
+        this.video.loop = this.endAction === "loop";
+        this.pendingPosition = media.meta.position || 0;
+        this.lastSaved = Date.now();
+        this.lastFrameTime = null;
+        this.updateLoop();
+        this.updateTime();
+        this.updatePlayButton();
+    }
+
+    // Remember where the previous video was left before showing something else
+    unload() {
+        this.savePosition();
+        this.media = null;
+        this.clearLoop();
+    }
+
+    restorePosition() {
+        const position = this.pendingPosition;
+        this.pendingPosition = 0;
+        if (position > 0 && position < this.video.duration - 1) {
+            this.video.currentTime = position;
+        }
+        this.updateTime();
+    }
+
+    // Positions near either end aren't worth resuming from
+    savePosition() {
+        if (!this.media || this.pendingPosition) return;
+
+        const { currentTime, duration } = this.video;
+        const position =
+            this.video.ended || currentTime < 5 || currentTime > duration - 5
+                ? 0
+                : Math.round(currentTime * 10) / 10;
+        this.lastSaved = Date.now();
+        if (position !== (this.media.meta.position || 0)) {
+            this.onSavePosition(this.media, position);
+        }
+    }
+
+    handleTimeUpdate() {
+        this.updateTime();
+        if (!this.video.paused && Date.now() - this.lastSaved > 5000) {
+            this.savePosition();
+        }
+    }
+
+    handlePlay() {
+        this.updatePlayButton();
+        if (this.loopEnd !== null) this.watchLoop();
+        this.measureFrames();
+    }
+
+    handleEnded() {
+        if (this.loopEnd !== null) {
+            this.video.currentTime = this.loopStart;
+            this.video.play();
+            return;
+        }
+        this.savePosition();
+        if (this.endAction === "advance") this.onEnded();
+    }
+
+    togglePlay() {
+        if (this.video.paused) {
+            this.video.play();
+        } else {
+            this.video.pause();
+        }
+    }
+
+    seekBy(seconds) {
+        const { duration } = this.video;
+        if (!duration) return;
+        this.video.currentTime = Math.max(0, Math.min(duration, this.video.currentTime + seconds));
+    }
+
+    stepFrame(direction) {
+        this.video.pause();
+        this.seekBy(direction * this.frameDuration);
+    }
+
+    measureFrames() {
+        if (!this.video.requestVideoFrameCallback) return;
+        this.video.requestVideoFrameCallback((now, metadata) => {
+            const delta = metadata.mediaTime - this.lastFrameTime;
+            if (this.lastFrameTime !== null && delta > 0.004 && delta < 0.2) {
+                this.frameDuration = this.frameMeasured ? Math.min(this.frameDuration, delta) : delta;
+                this.frameMeasured = true;
+            }
+            this.lastFrameTime = metadata.mediaTime;
+            if (!this.video.paused) this.measureFrames();
+        });
+    }
+
+    setSpeed(speed) {
+        // the default rate carries over to the next video
+        this.video.defaultPlaybackRate = speed;
+        this.video.playbackRate = speed;
+        this.speedSelect.value = speed;
+    }
+
+    changeSpeed(direction) {
+        const speeds = VideoPlayer.speeds;
+        const index = speeds.indexOf(this.video.playbackRate);
+        const next = index === -1 ? speeds.indexOf(1) : index + direction;
+        this.setSpeed(speeds[Math.max(0, Math.min(next, speeds.length - 1))]);
+    }
+
+    toggleMute() {
+        this.video.muted = !this.video.muted;
+    }
+
+    setVolume(volume) {
+        this.video.volume = Math.max(0, Math.min(volume, 1));
+        this.video.muted = this.video.volume === 0;
+    }
+
+    changeVolume(delta) {
+        this.setVolume((this.video.muted ? 0 : this.video.volume) + delta);
+    }
+
+    // The first press sets A, the second B, the third clears the loop
+    toggleLoopPoint() {
+        const time = this.video.currentTime;
+        if (this.loopStart === null) {
+            this.loopStart = time;
+        } else if (this.loopEnd === null && time > this.loopStart) {
+            this.loopEnd = time;
+            this.video.currentTime = this.loopStart;
+            if (!this.video.paused) this.watchLoop();
+        } else {
+            this.clearLoop();
+        }
+        this.updateLoop();
+    }
+
+    clearLoop() {
+        this.loopStart = null;
+        this.loopEnd = null;
+        this.updateLoop();
+    }
+
+    // timeupdate fires only a few times a second, too coarse for the loop end
+    watchLoop() {
+        if (this.loopWatching) return;
+        this.loopWatching = true;
+        const check = () => {
+            if (this.loopEnd === null || this.video.paused) {
+                this.loopWatching = false;
+                return;
+            }
+            if (this.video.currentTime >= this.loopEnd) {
+                this.video.currentTime = this.loopStart;
+            }
+            requestAnimationFrame(check);
+        };
+        requestAnimationFrame(check);
+    }
+
+    timeAt(clientX) {
+        const rect = this.progressBar.getBoundingClientRect();
+        const percent = Math.max(0, Math.min((clientX - rect.left) / rect.width, 1));
+        return { percent, time: percent * (this.video.duration || 0) };
+    }
+
+    startSeek(e) {
+        if (!this.video.duration) return;
+        this.progressBar.setPointerCapture(e.pointerId);
+        this.isSeeking = true;
+        this.wasPlaying = !this.video.paused;
+        this.video.pause();
+        this.handleSeekMove(e);
+    }
+
+    handleSeekMove(e) {
+        const { percent, time } = this.timeAt(e.clientX);
+        this.tooltip.textContent = VideoPlayer.formatTime(time);
+        this.tooltip.style.left = `${percent * 100}%`;
+        this.tooltip.classList.add("visible");
+        if (this.isSeeking) {
+            this.video.currentTime = time;
+            this.updateTime();
+        }
+    }
+
+    endSeek(e) {
+        if (!this.isSeeking) return;
+        this.isSeeking = false;
+        this.tooltip.classList.remove("visible");
+        if (this.wasPlaying) this.video.play();
+    }
+
+    updateTime() {
+        const { currentTime, duration } = this.video;
+        const percent = duration ? (currentTime / duration) * 100 : 0;
+        this.progressFill.style.width = `${percent}%`;
+        this.timeLabel.textContent = `${VideoPlayer.formatTime(currentTime)} / ${VideoPlayer.formatTime(duration)}`;
+        if (this.loopStart !== null) this.updateLoop();
+    }
+
+    updateLoop() {
+        const { duration } = this.video;
+        this.loopButton.classList.toggle("active", this.loopStart !== null);
+        this.loopButton.textContent =
+            this.loopStart === null ? "A–B" : this.loopEnd === null ? "A–…" : "A–B ✕";
+
+        if (this.loopStart === null || !duration) {
+            this.progressLoop.style.display = "none";
+            return;
+        }
+        const end = this.loopEnd === null ? this.video.currentTime : this.loopEnd;
+        this.progressLoop.style.display = "block";
+        this.progressLoop.style.left = `${(this.loopStart / duration) * 100}%`;
+        this.progressLoop.style.width = `${(Math.max(0, end - this.loopStart) / duration) * 100}%`;
+    }
+
+    updatePlayButton() {
+        this.playButton.textContent = this.video.paused ? "▶" : "⏸";
+    }
+
+    updateVolume() {
+        const muted = this.video.muted || this.video.volume === 0;
+        this.muteButton.textContent = muted ? "🔇" : "🔊";
+        this.volumeInput.value = muted ? 0 : this.video.volume;
+    }
+
+    // 75 -> "1:15", 3725 -> "1:02:05"
+    static formatTime(seconds) {
+        if (!Number.isFinite(seconds)) return "0:00";
+        const total = Math.floor(seconds);
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        const secs = String(total % 60).padStart(2, "0");
+        return hours > 0
+            ? `${hours}:${String(minutes).padStart(2, "0")}:${secs}`
+            : `${minutes}:${secs}`;
+    }
+}
+
+VideoPlayer.speeds = [0.25, 0.5, 0.75, 1, 1.25, 1.5, 2];
+
+// Advances through the active gallery on a timer. Videos play to the end
+// before moving on, so the viewer's loop attribute is lifted while running.
+class Slideshow {
+    constructor(onAdvance) {
+        this.onAdvance = onAdvance;
+        this.settings = { ...Slideshow.defaults };
+        this.isRunning = false;
+        this.isPaused = false;
+        this.isHovered = false;
+        this.pendingAdvance = false;
+        this.currentType = null;
+        this.timer = null;
+
+        this.video = document.getElementById("videoPreview");
+        this.container = document.getElementById("mediaContainer");
+        this.button = document.getElementById("slideshowButton");
+
+        this.video.addEventListener("ended", () => {
+            if (!this.isRunning) return;
+            if (this.isHeld) {
+                this.pendingAdvance = true;
+            } else {
+                this.advance();
+            }
+        });
+
+        const preview = document.getElementById("previewSection");
+        // Touch has no hover, and a tap would otherwise hold the slideshow for good
+        preview.addEventListener("pointerenter", (e) => {
+            if (e.pointerType !== "mouse") return;
+            this.isHovered = true;
+            this.schedule();
+        });
+        preview.addEventListener("pointerleave", (e) => {
+            if (e.pointerType !== "mouse") return;
+            this.isHovered = false;
+            this.schedule();
+        });
+    }
+
+    get isHeld() {
+        return this.isPaused || (this.settings.pauseOnHover && this.isHovered);
+    }
+
+    start(settings) {
+        this.settings = { ...Slideshow.defaults, ...settings };
+        this.isRunning = true;
+        this.isPaused = false;
+        this.pendingAdvance = false;
+        this.restoreLoop = this.video.loop;
+        this.video.loop = false;
+
+        this.currentType = this.video.style.display !== "none" ? "video" : "image";
+        if (this.currentType === "video" && this.video.paused) {
+            this.video.play();
+        }
+
+        this.updateButton();
+        this.schedule();
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.isRunning = false;
+        this.isPaused = false;
+        this.pendingAdvance = false;
+        if (this.restoreLoop !== undefined) this.video.loop = this.restoreLoop;
+        this.updateButton();
+    }
+
+    togglePause() {
+        this.isPaused = !this.isPaused;
+        if (this.currentType === "video") {
+            if (this.isPaused) {
+                this.video.pause();
+            } else if (this.video.paused && !this.video.ended) {
+                this.video.play();
+            }
+        }
+        this.updateButton();
+        this.schedule();
+    }
+
+    handleMediaShown(media) {
+        if (!this.isRunning) return;
+
+        this.currentType = media.type;
+        this.pendingAdvance = false;
+        this.restoreLoop = this.video.loop;
+        this.video.loop = false;
+        // the slideshow plays videos even when autoplay is off
+        if (media.type === "video" && this.video.paused && !this.isHeld) {
+            this.video.play();
+        }
+        this.animate();
+        this.schedule();
+    }
+
+    schedule() {
+        clearTimeout(this.timer);
+        if (!this.isRunning || this.isHeld) return;
+
+        if (this.pendingAdvance) {
+            this.advance();
+            return;
+        }
+        // videos advance when they end
+        if (this.currentType === "video") return;
+
+        this.timer = setTimeout(() => this.advance(), this.settings.interval * 1000);
+    }
+
+    advance() {
+        this.pendingAdvance = false;
+        this.onAdvance(this.settings.order);
+    }
+
+    animate() {
+        const className = `transition-${this.settings.transition}`;
+        this.container.classList.remove("transition-fade", "transition-slide");
+        if (this.settings.transition === "none") return;
+        // restart the animation
+        void this.container.offsetWidth;
+        this.container.classList.add(className);
+    }
+
+    updateButton() {
+        this.button.classList.toggle("active", this.isRunning);
+        this.button.classList.toggle("paused", this.isRunning && this.isPaused);
+        this.button.textContent = this.isRunning && !this.isPaused ? "⏸" : "▶";
+        this.button.title = this.isRunning
+            ? "Stop Slideshow (S)"
+            : "Slideshow (S)";
+    }
+}
+
+Slideshow.defaults = {
+    interval: 5,
+    transition: "fade",
+    order: "sequential",
+    pauseOnHover: false,
+};
+
+// Two to four items side by side, each fitted into its own pane
+class CompareView {
+    constructor(container) {
+        this.container = container;
+        this.panes = container.querySelector(".compare-panes");
+        this.isOpen = false;
+        container.querySelector(".compare-close").addEventListener("click", () => this.close());
+    }
+
+    show(items) {
+        this.panes.innerHTML = "";
+        this.panes.style.gridTemplateColumns = `repeat(${items.length === 4 ? 2 : items.length}, 1fr)`;
+        for (const media of items) {
+            this.panes.appendChild(this.createPane(media));
+        }
+        this.container.classList.add("active");
+        this.isOpen = true;
+    }
+
+    createPane(media) {
+        const pane = document.createElement("div");
+        pane.className = "compare-pane";
+
+        const frame = document.createElement("div");
+        frame.className = "compare-media";
+        const caption = document.createElement("div");
+        caption.className = "compare-caption";
+        caption.title = media.path;
+        const details = `${MetadataPanel.formatSize(media.file.size)} · ${new Date(media.lastModified).toLocaleDateString()}`;
+        caption.textContent = `${media.name} · ${details}`;
+
+        const unsupported = () => {
+            frame.textContent = MediaFormats.info(media.name).extension.slice(1).toUpperCase();
+            frame.classList.add("unsupported");
+        };
+        const showSize = (width, height) => {
+            caption.textContent = `${media.name} · ${width} × ${height} · ${details}`;
+        };
+
+        if (media.type === "video") {
+            if (!MediaFormats.canPlay(media)) {
+                unsupported();
+            } else {
+                const video = document.createElement("video");
+                video.src = media.url;
+                video.controls = true;
+                video.muted = true;
+                video.loop = true;
+                video.addEventListener("loadedmetadata", () => showSize(video.videoWidth, video.videoHeight));
+                frame.appendChild(video);
+            }
+        } else {
+            const img = document.createElement("img");
+            img.alt = media.name;
+            img.draggable = false;
+            img.addEventListener("load", () => showSize(img.naturalWidth, img.naturalHeight));
+            img.addEventListener("error", unsupported);
+            frame.appendChild(img);
+            if (MediaFormats.info(media.name).show === "native") {
+                img.src = media.url;
+            } else {
+                MediaFormats.displayUrl(media).then((url) => {
+                    if (url) img.src = url;
+                    else unsupported();
+                });
+            }
+        }
+
+        pane.append(frame, caption);
+        return pane;
+    }
+
+    close() {
+        this.container.classList.remove("active");
+        this.panes.querySelectorAll("video").forEach((video) => video.pause());
+        this.panes.innerHTML = "";
+        this.isOpen = false;
+    }
+}
+
+// Every action the keyboard can trigger, with its default keys. Keys are
+// written like "ArrowRight", "Shift+R", "Ctrl+Z" or "?"; users can rebind
+// them from the help screen.
+class CommandRegistry {
+    constructor() {
+        this.commands = new Map();
+        this.bindings = new Map();
+    }
+
+    // command: {id, label, group, keys, run, when}
+    register(command) {
+        this.commands.set(command.id, { when: () => true, ...command, defaultKeys: command.keys });
+        this.rebuildBindings();
+    }
+
+    rebuildBindings() {
+        this.bindings.clear();
+        for (const command of this.commands.values()) {
+            for (const key of command.keys) {
+                this.bindings.set(key, command);
+            }
+        }
+    }
+
+    // The key string of a keydown event. Letters are upper case with an
+    // explicit Shift; other printable characters already include it.
+    static keyFromEvent(e) {
+        let key = e.key;
+        if (key === " ") key = "Space";
+        if (["Control", "Alt", "Shift", "Meta"].includes(key)) return null;
+
+        const parts = [];
+        if (e.ctrlKey || e.metaKey) parts.push("Ctrl");
+        if (e.altKey) parts.push("Alt");
+        if (key.length === 1 && /[a-z]/i.test(key)) {
+            if (e.shiftKey) parts.push("Shift");
+            key = key.toUpperCase();
+        } else if (key.length > 1 && e.shiftKey) {
+            parts.push("Shift");
+        }
+        parts.push(key);
+        return parts.join("+");
+    }
+
+    static formatKey(key) {
+        return key
+            .replace("ArrowLeft", "←")
+            .replace("ArrowRight", "→")
+            .replace("ArrowUp", "↑")
+            .replace("ArrowDown", "↓")
+            .replace("Escape", "Esc");
+    }
+
+    // Run the command bound to a key event; returns whether there was one
+    handle(e) {
+        const key = CommandRegistry.keyFromEvent(e);
+        const command = key && this.bindings.get(key);
+        if (!command || !command.when()) return false;
+
+        e.preventDefault();
+        command.run(e);
+        return true;
+    }
+
+    // Bind a key to a command, taking it away from the command that had it.
+    // Returns that command, if any.
+    bind(id, key) {
+        const previous = this.bindings.get(key);
+        if (previous === this.commands.get(id)) return null;
+        if (previous) {
+            previous.keys = previous.keys.filter((other) => other !== key);
+        }
+        const command = this.commands.get(id);
+        command.keys = [...command.keys, key];
+        this.rebuildBindings();
+        return previous || null;
+    }
+
+    get(id) {
+        return this.commands.get(id);
+    }
+
+    unbind(id, key) {
+        const command = this.commands.get(id);
+        command.keys = command.keys.filter((other) => other !== key);
+        this.rebuildBindings();
+    }
+
+    reset() {
+        for (const command of this.commands.values()) {
+            command.keys = command.defaultKeys;
+        }
+        this.rebuildBindings();
+    }
+
+    // Only the commands whose keys differ from their defaults are stored
+    get customBindings() {
+        const custom = {};
+        for (const command of this.commands.values()) {
+            if (command.keys.join("\n") !== command.defaultKeys.join("\n")) {
+                custom[command.id] = command.keys;
+            }
+        }
+        return custom;
+    }
+
+    applyCustomBindings(custom) {
+        for (const [id, keys] of Object.entries(custom || {})) {
+            const command = this.commands.get(id);
+            if (command && Array.isArray(keys)) {
+                command.keys = keys.filter((key) => typeof key === "string");
+            }
+        }
+        this.rebuildBindings();
+    }
+
+    // Commands in registration order, grouped for the help screen
+    get groups() {
+        const groups = new Map();
+        for (const command of this.commands.values()) {
+            if (!groups.has(command.group)) groups.set(command.group, []);
+            groups.get(command.group).push(command);
+        }
+        return groups;
+    }
+}
+
+class App {
+    constructor() {
+        this.db = new GalleryDB("GalleryViewerDB", GalleryDB.version, "galleries");
+        this.galleryManager = new GalleryManager(this.db);
+        this.galleryManager.onEditGallery = this.showSmartGalleryModal.bind(this);
+        this.slideshow = new Slideshow(this.advanceSlideshow.bind(this));
+        this.metadataPanel = new MetadataPanel(document.getElementById("metadataPanel"));
+        this.compareView = new CompareView(document.getElementById("compareView"));
+        this.galleryManager.onSelectionChanged = this.updateSelectionBar.bind(this);
+        this.galleryManager.onMediaDisplayed = (media) => {
+            this.slideshow.handleMediaShown(media);
+            this.metadataPanel.show(media);
+        };
+        this.galleryManager.onGallerySelected = (gallery) => {
+            this.slideshow.stop();
+            document.getElementById("shareButton").style.display =
+                gallery.kind === "server" && !this.viewOnly ? "flex" : "none";
+        };
+        this.galleryManager.onVideoEnded = () => {
+            if (!this.slideshow.isRunning) this.navigateMedia(1);
+        };
+        this.duplicateGroups = null;
+        this.moveItems = [];
+        this.backupEntries = null;
+        this.backupSettings = null;
+        this.backupKeyBindings = null;
+        this.commands = new CommandRegistry();
+        this.recordingKey = null;
+        this.contextMenuOpen = false;
+        this.viewOnly = false;
+        this.registerCommands();
+        this.setupEventListeners();
+    }
+
+    async init() {
+        await this.db.init();
+        try {
+            this.galleryManager.settings = Settings.resolve(
+                Settings.sanitize(await this.db.loadSettings()),
+            );
+            this.commands.applyCustomBindings(await this.db.loadSettings("keyBindings"));
+        } catch (err) {
+            console.error("Error loading settings:", err);
+        }
+
+        const token = new URLSearchParams(location.search).get("share");
+        if (token) {
+            await this.openShare(token);
+            return;
+        }
+        await this.galleryManager.loadFromStorage();
+    }
+
+    // A share link shows one folder of the media server and nothing that
+    // creates galleries or changes files
+    async openShare(token) {
+        this.viewOnly = true;
+        document.body.classList.add("view-only");
+
+        let password;
+        for (;;) {
+            try {
+                const share = await ServerGallery.post("api/share", { token, password });
+                this.galleryManager.openShare(share);
+                return;
+            } catch (err) {
+                if (!err.needsPassword) {
+                    console.error("Error opening share link:", err);
+                    alert(`This share link can't be opened: ${err.message}`);
+                    return;
+                }
+                password = prompt(
+                    password === undefined
+                        ? "This gallery is protected. Password:"
+                        : "Wrong password, please try again:",
+                );
+                if (password === null) return;
+            }
+        }
+    }
+
+    // Links to a media server gallery, made by the server for this machine
+    async shareGallery() {
+        const gallery =
+            this.galleryManager.galleries[this.galleryManager.activeGalleryIndex];
+        if (!gallery || gallery.kind !== "server" || this.viewOnly) return;
+
+        const hours = prompt(`Share "${gallery.name}" read-only for how many hours?`, "24");
+        if (hours === null) return;
+        if (!(Number(hours) > 0)) {
+            alert("Please enter a number of hours.");
+            return;
+        }
+        const password = prompt("Password for the link (leave empty for none):", "");
+        if (password === null) return;
+
+        try {
+            const share = await ServerGallery.post("api/shares", {
+                folder: gallery.serverFolder,
+                hours: Number(hours),
+                password,
+            });
+            if (!share.reachable) {
+                alert("The server only listens on this machine. Start it with --host 0.0.0.0 so others can open the link.");
+            }
+            prompt(`Share link, valid until ${new Date(share.expires).toLocaleString()}:`, share.url);
+        } catch (err) {
+            console.error("Error creating share link:", err);
+            alert(`Could not create a share link: ${err.message}`);
+        }
+    }
+
+    setupEventListeners() {
+        const previewSection = document.getElementById("previewSection");
+        const mediaPreview = document.getElementById("mediaPreview");
+        const videoPreview = document.getElementById("videoPreview");
+
+        this.gestures = new PreviewGestures(previewSection, this.galleryManager.viewport, {
+            onSwipe: (direction) => this.navigateMedia(direction),
+            onTap: (target) => {
+                if (target === videoPreview) this.galleryManager.player.togglePlay();
+            },
+            onContextMenu: this.showContextMenu.bind(this),
+        });
+        previewSection.addEventListener("wheel", this.handleWheel.bind(this));
+        document.addEventListener(
+            "pointerdown",
+            (e) => {
+                if (this.contextMenuOpen && !e.target.closest("#contextMenu")) {
+                    this.closeContextMenu();
+                }
+            },
+            true,
+        );
+        window.addEventListener("resize", () => this.closeContextMenu());
+        // allow dragging files/links into the preview area and show visual feedback
+        previewSection.addEventListener("dragover", (e) => e.preventDefault());
+        previewSection.addEventListener(
+            "dragenter",
+            this.handleDragEnter.bind(this),
+        );
+        previewSection.addEventListener(
+            "dragleave",
+            this.handleDragLeave.bind(this),
+        );
+        previewSection.addEventListener("drop", this.handleDrop.bind(this));
+
+
+        document.addEventListener("keydown", this.handleKeyRecording.bind(this), true);
+        document.addEventListener("keydown", this.handleKeyboard.bind(this));
+
+        // handle paste events (images/videos from clipboard)
+        document.addEventListener("paste", this.handlePaste.bind(this));
+
+        document
+            .querySelector(".add-tab")
+            .addEventListener("click", this.showNewGalleryModal.bind(this));
+        document
+            .querySelector(".browse-button")
+            .addEventListener("click", this.showNewGalleryModal.bind(this));
+        document
+            .querySelector(".modal-button.primary")
+            .addEventListener("click", this.createGallery.bind(this));
+        document
+            .querySelector(".modal-button.close")
+            .addEventListener("click", this.closeModal.bind(this));
+        document
+            .querySelector(".modal-button.browse-folder")
+            .addEventListener("click", this.selectFolder.bind(this));
+        document
+            .getElementById("repickButton")
+            .addEventListener("click", this.repickGallery.bind(this));
+        if (!window.showDirectoryPicker) {
+            document.getElementById("readOnlyHint").style.display = "block";
+        }
+        document.querySelectorAll('input[name="galleryType"]').forEach((radio) => {
+            radio.addEventListener("change", (e) => this.setGalleryType(e.target.value));
+        });
+        document
+            .querySelector("#randomButton")
+            .addEventListener("click", this.toggleRandomMedia.bind(this));
+        document
+            .getElementById("infoButton")
+            .addEventListener("click", this.showInfoModal.bind(this));
+        document
+            .querySelector(".shortcuts-reset")
+            .addEventListener("click", this.resetKeyBindings.bind(this));
+        document
+            .getElementById("settingsButton")
+            .addEventListener("click", this.showSettingsModal.bind(this));
+        document
+            .getElementById("settingsScope")
+            .addEventListener("change", () => this.renderSettingsFields());
+        document
+            .querySelector(".settings-close")
+            .addEventListener("click", this.closeSettingsModal.bind(this));
+        document
+            .querySelector(".settings-save")
+            .addEventListener("click", this.saveSettings.bind(this));
+        document
+            .getElementById("backupButton")
+            .addEventListener("click", this.showBackupModal.bind(this));
+        document
+            .querySelector(".backup-close")
+            .addEventListener("click", this.closeBackupModal.bind(this));
+        document
+            .querySelector(".backup-export")
+            .addEventListener("click", this.exportBackup.bind(this));
+        document
+            .querySelector(".backup-import")
+            .addEventListener("click", () => document.getElementById("backupFile").click());
+        document
+            .getElementById("backupFile")
+            .addEventListener("change", this.readBackupFile.bind(this));
+        document
+            .querySelector(".backup-restore")
+            .addEventListener("click", this.restoreBackup.bind(this));
+        document
+            .getElementById("trashButton")
+            .addEventListener("click", this.emptyTrash.bind(this));
+        document
+            .getElementById("moveGallery")
+            .addEventListener("change", this.updateMoveFolders.bind(this));
+        document
+            .querySelector(".move-close")
+            .addEventListener("click", this.closeMoveModal.bind(this));
+        document
+            .querySelector(".move-submit")
+            .addEventListener("click", this.moveMedia.bind(this));
+        document.getElementById("moveFolder").addEventListener("keydown", (e) => {
+            if (e.key === "Enter") this.moveMedia();
+        });
+        document
+            .getElementById("duplicatesButton")
+            .addEventListener("click", this.findDuplicates.bind(this));
+        document
+            .getElementById("shareButton")
+            .addEventListener("click", this.shareGallery.bind(this));
+
+        // Batch actions on the selected thumbnails
+        const selectionActions = {
+            tags: () => this.editTags(),
+            favorite: () => this.toggleFavorite(),
+            compare: () => this.compareMedia(),
+            export: () => this.exportMedia(),
+            move: () => this.showMoveModal(),
+            delete: () => this.deleteMedia(),
+            clear: () => this.galleryManager.clearSelection(),
+        };
+        document.getElementById("selectionBar").addEventListener("click", (e) => {
+            const button = e.target.closest("button[data-action]");
+            if (button) selectionActions[button.dataset.action]();
+        });
+        document.getElementById("selectionRating").addEventListener("change", (e) => {
+            if (e.target.value === "") return;
+            this.rateMedia(Number(e.target.value));
+            e.target.value = "";
+        });
+        document
+            .querySelector(".duplicates-close")
+            .addEventListener("click", this.closeDuplicatesModal.bind(this));
+        document
+            .querySelector(".duplicates-delete")
+            .addEventListener("click", this.deleteSelectedDuplicates.bind(this));
+        document
+            .getElementById("metadataButton")
+            .addEventListener("click", () =>
+                this.metadataPanel.toggle(this.galleryManager.activeMedia),
+            );
+        document
+            .getElementById("slideshowButton")
+            .addEventListener("click", this.handleSlideshowButton.bind(this));
+        document
+            .querySelector(".slideshow-start")
+            .addEventListener("click", this.startSlideshowFromModal.bind(this));
+        document
+            .querySelector(".slideshow-close")
+            .addEventListener("click", this.closeSlideshowModal.bind(this));
+        document
+            .getElementById("shuffleButton")
+            .addEventListener("click", this.shuffleGallery.bind(this));
+        document
+            .querySelector(".info-close")
+            .addEventListener("click", this.closeInfoModal.bind(this));
+        document
+            .getElementById("cancelScanButton")
+            .addEventListener("click", () => this.galleryManager.cancelScan());
+
+        document
+            .getElementById("folderButton")
+            .addEventListener("click", this.toggleFolderTree.bind(this));
+        document.getElementById("folderRecursive").addEventListener("change", (e) => {
+            const gallery =
+                this.galleryManager.galleries[this.galleryManager.activeGalleryIndex];
+            if (gallery) {
+                this.galleryManager.setFolderFilter(gallery.folder.path, e.target.checked);
+            }
+        });
+
+        const sortSelect = document.getElementById("sortSelect");
+        for (const [value, sortOrder] of Object.entries(Gallery.sortOrders)) {
+            sortSelect.add(new Option(sortOrder.label, value));
+        }
+        sortSelect.addEventListener("change", this.changeSortOrder.bind(this));
+
+        const searchInput = document.getElementById("searchInput");
+        searchInput.addEventListener("input", this.handleSearchInput.bind(this));
+        searchInput.addEventListener("keydown", (e) => {
+            if (e.key === "Escape") {
+                searchInput.value = "";
+                this.galleryManager.setSearchQuery("");
+                searchInput.blur();
+            } else if (e.key === "Enter") {
+                searchInput.blur();
+            }
+        });
+    }
+    lastWheelTime = 0;
+    handleWheel(e) {
+        // Ctrl+wheel, which is also what a trackpad pinch sends, zooms at the cursor
+        if (e.ctrlKey) {
+            e.preventDefault();
+            this.galleryManager.viewport.zoomBy(Math.exp(-e.deltaY / 300), e.clientX, e.clientY);
+            return;
+        }
+
+        let now = Date.now();
+        if (now - this.lastWheelTime < this.galleryManager.activeSettings.throttle) return;
+        this.lastWheelTime = now;
+        e.preventDefault();
+        const mediaPreview = document.getElementById("mediaPreview");
+        const videoPreview = document.getElementById("videoPreview");
+        const activeMedia =
+            mediaPreview.style.display !== "none" ? mediaPreview : videoPreview;
+
+        const rect = activeMedia.getBoundingClientRect();
+        const isOverMedia =
+            e.clientX >= rect.left &&
+            e.clientX <= rect.right &&
+            e.clientY >= rect.top &&
+            e.clientY <= rect.bottom;
+
+        if (isOverMedia) {
+            if (videoPreview.style.display !== "none") {
+                this.galleryManager.player.seekBy(e.deltaY > 0 ? -1 : 1);
+            } else {
+                this.navigateMedia(e.deltaY > 0 ? 1 : -1);
+            }
+        } else {
+            this.navigateMedia(e.deltaY > 0 ? 1 : -1);
+        }
+    }
+
+    navigateMedia(direction) {
+        const gallery =
+            this.galleryManager.galleries[this.galleryManager.activeGalleryIndex];
+        if (!gallery || gallery.view.length === 0) return;
+
+        if (this.galleryManager.isRandomMode) {
+            if (direction === -1) {
+                if (
+                    this.galleryManager.previousMediaIndex !== -1 &&
+                    this.galleryManager.previousMediaIndex !==
+                    this.galleryManager.activeMediaIndex
+                ) {
+                    const tempPrevious = this.galleryManager.previousMediaIndex;
+                    this.galleryManager.previousMediaIndex = -1;
+                    this.galleryManager.displayMedia(tempPrevious);
+                } else {
+                    this.selectRandomMedia();
+                }
+            } else {
+                this.selectRandomMedia();
+            }
+        } else {
+            let newIndex = this.galleryManager.activeMediaIndex + direction;
+            if (newIndex < 0) newIndex = gallery.view.length - 1;
+            if (newIndex >= gallery.view.length) newIndex = 0;
+            this.galleryManager.displayMedia(newIndex);
+        }
+    }
+    async shuffleGallery() {
+        const gallery =
+            this.galleryManager.galleries[this.galleryManager.activeGalleryIndex];
+        if (!gallery || gallery.media.length === 0) return;
+
+        // Toggle shuffle state; unshuffling restores the selected sort order
+        gallery.isShuffled = !gallery.isShuffled;
+        gallery.sortMedia();
+
+        // Save the updated gallery state to database
+        await this.db.saveGallery(gallery);
+
+        this.galleryManager.showGallery(gallery);
+    }
+
+    toggleFolderTree() {
+        const section = document.getElementById("folderSection");
+        const visible = !section.classList.contains("open");
+        section.classList.toggle("open", visible);
+        document.getElementById("folderButton").classList.toggle("active", visible);
+        this.galleryManager.folderTree.setVisible(visible);
+    }
+
+    async changeSortOrder(e) {
+        const gallery =
+            this.galleryManager.galleries[this.galleryManager.activeGalleryIndex];
+        if (!gallery) return;
+
+        // picking an order ends shuffling
+        gallery.sortBy = e.target.value;
+        gallery.isShuffled = false;
+        e.target.blur();
+        if (Gallery.sortOrders[gallery.sortBy].needsDateTaken) {
+            await this.galleryManager.loadDatesTaken(gallery);
+        }
+        gallery.sortMedia();
+        this.galleryManager.updateShuffleButton(gallery);
+
+        await this.db.saveGallery(gallery);
+
+        this.galleryManager.showActiveMedia(gallery);
+    }
+
+    toggleRandomMedia() {
+        this.galleryManager.isRandomMode = !this.galleryManager.isRandomMode;
+        const randomButton = document.getElementById("randomButton");
+        if (this.galleryManager.isRandomMode) {
+            randomButton.classList.add("active");
+            this.selectRandomMedia();
+        } else {
+            randomButton.classList.remove("active");
+        }
+    }
 
-        previewSection.addEventListener("contextmenu", (e) => e.preventDefault());
-        previewSection.addEventListener(
-            "mousedown",
-            this.handleMouseDown.bind(this),
+    selectRandomMedia() {
+        const gallery =
+            this.galleryManager.galleries[this.galleryManager.activeGalleryIndex];
+        if (!gallery || gallery.view.length <= 1) return;
+
+        this.galleryManager.isRandomMode = true;
+
+        this.galleryManager.previousMediaIndex =
+            this.galleryManager.activeMediaIndex;
+
+        let randomIndex;
+        do {
+            randomIndex = Math.floor(Math.random() * gallery.view.length);
+        } while (randomIndex === this.galleryManager.activeMediaIndex);
+
+        this.galleryManager.displayMedia(randomIndex, true);
+    }
+
+    handleSearchInput(e) {
+        clearTimeout(this.searchTimeout);
+        this.searchTimeout = setTimeout(() => {
+            this.galleryManager.setSearchQuery(e.target.value);
+        }, 150);
+    }
+
+    handleKeyboard(e) {
+        if (this.recordingKey) return;
+        if (this.contextMenuOpen) {
+            if (e.key === "Escape") this.closeContextMenu();
+            return;
+        }
+        if (this.compareView.isOpen) {
+            if (e.key === "Escape") this.compareView.close();
+            return;
+        }
+        if (document.querySelector(".modal.active")) return;
+        if (e.target.closest("input, textarea, select")) return;
+
+        this.commands.handle(e);
+    }
+
+    registerCommands() {
+        const hasGallery = () => this.galleryManager.activeGalleryIndex !== -1;
+        const hasMedia = () => this.galleryManager.activeMedia !== null;
+        const hasVideo = () => hasMedia() && this.galleryManager.activeMedia.type === "video";
+        const player = this.galleryManager.player;
+        const commands = [
+            ["next", "Navigation", "Next item", ["ArrowRight"], () => this.navigateMedia(1)],
+            ["previous", "Navigation", "Previous item", ["ArrowLeft"], () => this.navigateMedia(-1)],
+            ["first", "Navigation", "First item", ["Home"], () => this.goToMedia(0)],
+            ["last", "Navigation", "Last item", ["End"], () => this.goToMedia(-1)],
+            ["forward10", "Navigation", "10 items forward", ["PageDown"], () => this.stepMedia(10)],
+            ["back10", "Navigation", "10 items back", ["PageUp"], () => this.stepMedia(-10)],
+            ["random", "Navigation", "Random item", ["R"], () => this.selectRandomMedia()],
+            ["nextGallery", "Galleries", "Next gallery", ["]"], () => this.switchGallery(1)],
+            ["previousGallery", "Galleries", "Previous gallery", ["["], () => this.switchGallery(-1)],
+            ["newGallery", "Galleries", "New gallery", ["N"], () => this.showNewGalleryModal(), () => true],
+            ["search", "Galleries", "Search (Esc clears it)", ["/"], () => document.getElementById("searchInput").focus()],
+            ["shuffle", "Galleries", "Shuffle or unshuffle", ["X"], () => this.shuffleGallery()],
+            ["folders", "Galleries", "Show/hide folders", ["E"], () => this.toggleFolderTree()],
+            ["zoomIn", "View", "Zoom in", ["+", "="], () => this.galleryManager.viewport.step(1.25)],
+            ["zoomOut", "View", "Zoom out", ["-"], () => this.galleryManager.viewport.step(0.8)],
+            ["resetZoom", "View", "Fit to screen", ["Z"], () => this.galleryManager.viewport.setMode("fit")],
+            ["fillZoom", "View", "Fill the screen", ["Shift+Z"], () => this.galleryManager.viewport.setMode("fill")],
+            ["actualSize", "View", "Actual size (1:1)", ["A"], () => this.galleryManager.viewport.setMode("actual")],
+            ["fullscreen", "View", "Toggle fullscreen", ["Enter"], () => this.toggleFullscreen()],
+            ["info", "View", "Show/hide file info (EXIF, IPTC, XMP)", ["I"], () => this.metadataPanel.toggle(this.galleryManager.activeMedia)],
+            ["help", "View", "Show this help", ["?"], () => this.showInfoModal(), () => true],
+            ["playPause", "Media", "Play/pause video, or pause the slideshow", ["Space"], () => this.handleSpace()],
+            ["favorite", "Media", "Toggle favorite", ["F"], () => this.toggleFavorite()],
+            ["rate0", "Media", "Clear rating", ["0"], () => this.rateMedia(0)],
+            ...[1, 2, 3, 4, 5].map((rating) => [
+                `rate${rating}`,
+                "Media",
+                `Rate ${rating} star${rating > 1 ? "s" : ""} (again to clear)`,
+                [String(rating)],
+                () => this.rateMedia(rating),
+            ]),
+            ["tags", "Media", "Edit tags", ["T"], () => this.editTags()],
+            ["frameForward", "Video", "Next frame", ["."], () => player.stepFrame(1), hasVideo],
+            ["frameBack", "Video", "Previous frame", [","], () => player.stepFrame(-1), hasVideo],
+            ["faster", "Video", "Faster", [">"], () => player.changeSpeed(1), hasVideo],
+            ["slower", "Video", "Slower", ["<"], () => player.changeSpeed(-1), hasVideo],
+            ["volumeUp", "Video", "Volume up", ["ArrowUp"], () => player.changeVolume(0.1), hasVideo],
+            ["volumeDown", "Video", "Volume down", ["ArrowDown"], () => player.changeVolume(-0.1), hasVideo],
+            ["mute", "Video", "Mute/unmute", ["Shift+M"], () => player.toggleMute(), hasVideo],
+            ["abLoop", "Video", "Set loop start, loop end, or clear the loop", ["L"], () => player.toggleLoopPoint(), hasVideo],
+            ["slideshow", "Slideshow", "Start/stop the slideshow", ["S"], () => this.toggleSlideshow()],
+            ["stopSlideshow", "Slideshow", "Stop the slideshow, or clear the selection", ["Escape"], () => this.handleEscape()],
+            ["delete", "Files", "Move to the gallery's trash", ["Delete"], () => this.deleteMedia(), hasMedia],
+            ["rename", "Files", "Rename", ["F2"], () => this.renameActiveMedia(), hasMedia],
+            ["move", "Files", "Move to another folder or gallery", ["M"], () => this.showMoveModal(), hasMedia],
+            ["undo", "Files", "Undo the last delete, rename or move", ["Ctrl+Z"], () => this.undoFileOperation()],
+            ["duplicates", "Files", "Find duplicates and similar images", ["D"], () => this.findDuplicates()],
+            ["selectAll", "Selection", "Select everything in view", ["Ctrl+A"], () => this.galleryManager.selectAll()],
+            ["compare", "Selection", "Compare 2 to 4 selected items side by side", ["C"], () => this.compareMedia()],
+            ["export", "Selection", "Export the selected items, or the current one", ["Shift+E"], () => this.exportMedia(), hasMedia],
+        ];
+
+        for (const [id, group, label, keys, run, when = hasGallery] of commands) {
+            const allowed = App.viewOnlyHidden.includes(id) ? () => !this.viewOnly && when() : when;
+            this.commands.register({ id, group, label, keys, run, when: allowed });
+        }
+    }
+
+    handleEscape() {
+        if (this.slideshow.isRunning) {
+            this.slideshow.stop();
+        } else {
+            this.galleryManager.clearSelection();
+        }
+    }
+
+    handleSpace() {
+        if (this.slideshow.isRunning) {
+            this.slideshow.togglePause();
+            return;
+        }
+        const video = document.getElementById("videoPreview");
+        if (video.style.display !== "none") {
+            this.galleryManager.player.togglePlay();
+        }
+    }
+
+    // Show an item of the current view; negative indexes count from the end
+    goToMedia(index) {
+        const gallery =
+            this.galleryManager.galleries[this.galleryManager.activeGalleryIndex];
+        if (!gallery || gallery.view.length === 0) return;
+
+        if (index < 0) index += gallery.view.length;
+        this.galleryManager.isRandomMode = false;
+        document.getElementById("randomButton").classList.remove("active");
+        this.galleryManager.displayMedia(Math.max(0, Math.min(index, gallery.view.length - 1)));
+    }
+
+    // Jump by several items, stopping at the ends instead of wrapping
+    stepMedia(count) {
+        this.goToMedia(Math.max(0, this.galleryManager.activeMediaIndex + count));
+    }
+
+    switchGallery(direction) {
+        const count = this.galleryManager.galleries.length;
+        if (count < 2) return;
+        this.galleryManager.selectGallery(
+            (this.galleryManager.activeGalleryIndex + direction + count) % count,
         );
-        previewSection.addEventListener("wheel", this.handleWheel.bind(this));
-        // allow dragging files/links into the preview area and show visual feedback
-        previewSection.addEventListener("dragover", (e) => e.preventDefault());
-        previewSection.addEventListener(
-            "dragenter",
-            this.handleDragEnter.bind(this),
+    }
+
+    toggleFullscreen() {
+        if (document.fullscreenElement) {
+            document.exitFullscreen();
+        } else {
+            document.getElementById("previewSection").requestFullscreen().catch((err) => {
+                console.warn("Fullscreen is not available:", err);
+            });
+        }
+    }
+
+    handleSlideshowButton() {
+        if (this.slideshow.isRunning) {
+            this.slideshow.stop();
+        } else {
+            this.showSlideshowModal();
+        }
+    }
+
+    toggleSlideshow() {
+        const gallery =
+            this.galleryManager.galleries[this.galleryManager.activeGalleryIndex];
+        if (this.slideshow.isRunning) {
+            this.slideshow.stop();
+        } else if (gallery && gallery.view.length > 0) {
+            this.slideshow.start(gallery.slideshow);
+        }
+    }
+
+    advanceSlideshow(order) {
+        if (order === "random") {
+            this.selectRandomMedia();
+        } else {
+            this.galleryManager.isRandomMode = false;
+            this.navigateMedia(1);
+        }
+    }
+
+    showSlideshowModal() {
+        const gallery =
+            this.galleryManager.galleries[this.galleryManager.activeGalleryIndex];
+        if (!gallery) return;
+
+        const settings = gallery.slideshow;
+        document.getElementById("slideshowInterval").value = settings.interval;
+        document.getElementById("slideshowTransition").value = settings.transition;
+        document.getElementById("slideshowOrder").value = settings.order;
+        document.getElementById("slideshowPauseOnHover").checked = settings.pauseOnHover;
+        document.getElementById("slideshowModal").classList.add("active");
+    }
+
+    closeSlideshowModal() {
+        document.getElementById("slideshowModal").classList.remove("active");
+    }
+
+    async startSlideshowFromModal() {
+        const gallery =
+            this.galleryManager.galleries[this.galleryManager.activeGalleryIndex];
+        if (!gallery) return;
+
+        const interval = parseFloat(document.getElementById("slideshowInterval").value);
+        gallery.slideshow = {
+            interval: Math.min(Math.max(isNaN(interval) ? 5 : interval, 1), 600),
+            transition: document.getElementById("slideshowTransition").value,
+            order: document.getElementById("slideshowOrder").value,
+            pauseOnHover: document.getElementById("slideshowPauseOnHover").checked,
+        };
+
+        this.closeSlideshowModal();
+        await this.db.saveGallery(gallery);
+
+        if (gallery.view.length > 0) {
+            this.slideshow.start(gallery.slideshow);
+        }
+    }
+
+    // The items the media and file commands act on: the selection, or the
+    // current item when nothing is selected
+    targetMedia() {
+        const selected = this.galleryManager.selectedMedia;
+        if (selected.length > 0) return selected;
+        const media = this.galleryManager.activeMedia;
+        return media ? [media] : [];
+    }
+
+    // "photo.jpg" for one item, "12 files" for more
+    static describe(items) {
+        return items.length === 1 ? `"${items[0].name}"` : `${items.length} files`;
+    }
+
+    // How many of the items the filter of the active gallery hides
+    hiddenCount(items) {
+        const gallery = this.galleryManager.galleries[this.galleryManager.activeGalleryIndex];
+        return gallery ? items.filter((media) => !gallery.isInView(media)).length : 0;
+    }
+
+    // Deleting or moving several files is confirmed first, as the selection
+    // may hold more than is on screen
+    confirmMany(items, question) {
+        if (items.length < 2) return true;
+        const hidden = this.hiddenCount(items);
+        if (hidden === 1) question += " 1 of them is hidden by the filter.";
+        if (hidden > 1) question += ` ${hidden} of them are hidden by the filter.`;
+        return confirm(question);
+    }
+
+    toggleFavorite() {
+        const items = this.targetMedia();
+        const favorite = !items.every((media) => media.meta.favorite);
+        for (const media of items) {
+            this.galleryManager.updateMediaMeta(media, { favorite });
+        }
+    }
+
+    rateMedia(rating) {
+        const items = this.targetMedia();
+        // pressing the current rating again clears it
+        const clear = items.every((media) => media.meta.rating === rating);
+        for (const media of items) {
+            this.galleryManager.updateMediaMeta(media, { rating: clear ? 0 : rating });
+        }
+    }
+
+    // Several items start from the tags they share: those taken out of the
+    // list are removed from all of them, those added are added to all
+    editTags() {
+        const items = this.targetMedia();
+        if (items.length === 0) return;
+
+        const common = items[0].meta.tags.filter((tag) =>
+            items.every((media) => media.meta.tags.includes(tag)),
         );
-        previewSection.addEventListener(
-            "dragleave",
-            this.handleDragLeave.bind(this),
+        const input = prompt(
+            `Tags for ${App.describe(items)} (comma separated):`,
+            common.join(", "),
         );
-        previewSection.addEventListener("drop", this.handleDrop.bind(this));
-        document.addEventListener("mousemove", this.handleMouseMove.bind(this));
-        document.addEventListener("mouseup", this.handleMouseUp.bind(this));
+        if (input === null) return;
+
+        const entered = input
+            .split(",")
+            .map((tag) => tag.trim().replace(/^#/, ""))
+            .filter(Boolean);
+        const removed = common.filter((tag) => !entered.includes(tag));
+        for (const media of items) {
+            const tags = [
+                ...new Set([
+                    ...media.meta.tags.filter((tag) => !removed.includes(tag)),
+                    ...entered,
+                ]),
+            ];
+            this.galleryManager.updateMediaMeta(media, { tags });
+        }
+    }
 
-        progressBar.addEventListener("click", this.seekVideo.bind(this));
-        videoPreview.addEventListener("timeupdate", this.updateProgress.bind(this));
-        videoPreview.addEventListener("click", this.togglePlayPause.bind(this));
+    // Files of read-only galleries can't be changed; says so and returns true
+    refuseReadOnly(items) {
+        const gallery = items
+            .map((media) => this.galleryManager.galleryById(media.galleryId))
+            .find((gallery) => gallery && gallery.isReadOnly);
+        if (!gallery) return false;
+        alert(`"${gallery.name}" is read-only, its files can't be deleted, renamed or moved.`);
+        return true;
+    }
 
-        document.addEventListener("keydown", this.handleKeyboard.bind(this));
+    async deleteMedia() {
+        const items = this.targetMedia();
+        if (items.length === 0 || this.refuseReadOnly(items)) return;
+        if (!this.confirmMany(items, `Move ${App.describe(items)} to the trash?`)) return;
 
-        // handle paste events (images/videos from clipboard)
-        document.addEventListener("paste", this.handlePaste.bind(this));
+        const failed = await this.galleryManager.deleteMedia(items);
+        if (failed.length === items.length) {
+            alert(`Could not delete ${App.describe(items)}.`);
+        } else if (failed.length > 0) {
+            alert(`Could not delete ${failed.length} of ${items.length} files.`);
+        } else {
+            this.showToast(`Moved ${App.describe(items)} to the trash. Press Ctrl+Z to undo.`);
+        }
+    }
 
-        document
-            .querySelector(".add-tab")
-            .addEventListener("click", this.showNewGalleryModal.bind(this));
-        document
-            .querySelector(".browse-button")
-            .addEventListener("click", this.showNewGalleryModal.bind(this));
-        document
-            .querySelector(".modal-button.primary")
-            .addEventListener("click", this.createGallery.bind(this));
-        document
-            .querySelector(".modal-button.close")
-            .addEventListener("click", this.closeModal.bind(this));
-        document
-            .querySelector(".modal-button.browse-folder")
-            .addEventListener("click", this.selectFolder.bind(this));
-        document
-            .querySelector("#randomButton")
-            .addEventListener("click", this.toggleRandomMedia.bind(this));
-        document
-            .getElementById("infoButton")
-            .addEventListener("click", this.showInfoModal.bind(this));
-        document
-            .getElementById("shuffleButton")
-            .addEventListener("click", this.shuffleGallery.bind(this));
-        document
-            .querySelector(".info-close")
-            .addEventListener("click", this.closeInfoModal.bind(this));
+    async renameActiveMedia() {
+        const media = this.galleryManager.activeMedia;
+        if (!media || this.refuseReadOnly([media])) return;
+
+        const input = prompt(`Rename "${media.name}" to:`, media.name);
+        if (input === null) return;
+
+        let name = input.trim();
+        if (!name || /[\\/]/.test(name) || name === "." || name === "..") {
+            alert("Please enter a file name without slashes.");
+            return;
+        }
+        // keep the type of the file if the extension was left out
+        const extension = this.getExtensionFromFileName(media.name);
+        if (!this.getExtensionFromFileName(name) && extension) {
+            name += `.${extension}`;
+        }
+        if (name === media.name) return;
+
+        if (!(await this.galleryManager.renameMedia(media, name))) {
+            alert(`Could not rename "${media.name}". Is there already a file called "${name}"?`);
+        }
     }
-    delta = 0;
-    handleWheel(e) {
-        let now = Date.now();
-        if (now - this.delta < 100) return;
-        this.delta = now;
-        e.preventDefault();
-        const mediaPreview = document.getElementById("mediaPreview");
-        const videoPreview = document.getElementById("videoPreview");
-        const activeMedia =
-            mediaPreview.style.display !== "none" ? mediaPreview : videoPreview;
 
-        const rect = activeMedia.getBoundingClientRect();
-        const isOverMedia =
-            e.clientX >= rect.left &&
-            e.clientX <= rect.right &&
-            e.clientY >= rect.top &&
-            e.clientY <= rect.bottom;
+    showMoveModal() {
+        const items = this.targetMedia();
+        if (items.length === 0 || this.refuseReadOnly(items)) return;
+        this.moveItems = items;
+        const source = this.galleryManager.galleryById(items[0].galleryId);
+
+        const select = document.getElementById("moveGallery");
+        select.innerHTML = "";
+        for (const gallery of this.galleryManager.galleries) {
+            if (!gallery.isWritable) continue;
+            const option = document.createElement("option");
+            option.value = gallery.id;
+            option.textContent = gallery.name;
+            option.selected = gallery === source;
+            select.appendChild(option);
+        }
 
-        if (isOverMedia) {
-            if (videoPreview.style.display !== "none") {
-                const delta = e.deltaY > 0 ? -1 : 1;
-                videoPreview.currentTime = Math.max(
-                    0,
-                    Math.min(videoPreview.duration, videoPreview.currentTime + delta),
-                );
-            } else {
-                this.navigateMedia(e.deltaY > 0 ? 1 : -1);
+        // the folder they are in, if they share one
+        const folders = new Set(items.map((media) => Gallery.splitPath(media.path)[0]));
+        document.getElementById("moveFolder").value = folders.size === 1 ? [...folders][0] : "";
+        this.updateMoveFolders();
+        document.getElementById("moveTitle").textContent = `Move ${App.describe(items)}`;
+        document.getElementById("moveModal").classList.add("active");
+        document.getElementById("moveFolder").focus();
+    }
+
+    // Suggest the folders the chosen gallery already has
+    updateMoveFolders() {
+        const gallery = this.galleryManager.galleryById(
+            Number(document.getElementById("moveGallery").value),
+        );
+        const folders = new Set();
+        for (const media of gallery ? gallery.media : []) {
+            const folder = Gallery.splitPath(media.path)[0];
+            if (folder) folders.add(folder);
+        }
+
+        const list = document.getElementById("moveFolders");
+        list.innerHTML = "";
+        for (const folder of [...folders].sort(Gallery.collator.compare)) {
+            const option = document.createElement("option");
+            option.value = folder;
+            list.appendChild(option);
+        }
+    }
+
+    closeMoveModal() {
+        document.getElementById("moveModal").classList.remove("active");
+    }
+
+    async moveMedia() {
+        const items = this.moveItems;
+        const target = this.galleryManager.galleryById(
+            Number(document.getElementById("moveGallery").value),
+        );
+        if (items.length === 0 || !target) return;
+
+        const folder = document
+            .getElementById("moveFolder")
+            .value.split(/[\\/]/)
+            .map((part) => part.trim())
+            .filter(Boolean)
+            .join("/");
+        if (folder.split("/").some((part) => part === "." || part === ".." || part === TRASH_FOLDER)) {
+            alert("Please enter a folder inside the gallery.");
+            return;
+        }
+        const destination = folder ? `${target.name}/${folder}` : target.name;
+        if (!this.confirmMany(items, `Move ${App.describe(items)} to "${destination}"?`)) return;
+
+        this.closeMoveModal();
+        this.moveItems = [];
+        const failed = await this.galleryManager.moveMedia(items, target, folder);
+        if (failed.length > 0) {
+            alert(`Could not move ${App.describe(failed)}. Is there already a file with that name?`);
+        }
+    }
+
+    updateSelectionBar(items) {
+        const bar = document.getElementById("selectionBar");
+        bar.classList.toggle("visible", items.length > 0);
+        if (items.length === 0) return;
+
+        const hidden = this.hiddenCount(items);
+        document.getElementById("selectionCount").textContent =
+            `${items.length} selected` + (hidden > 0 ? `, ${hidden} hidden by the filter` : "");
+        bar.querySelector('[data-action="compare"]').disabled = items.length < 2 || items.length > 4;
+    }
+
+    compareMedia() {
+        const items = this.galleryManager.selectedMedia;
+        if (items.length < 2 || items.length > 4) {
+            alert("Select 2 to 4 items to compare them.");
+            return;
+        }
+        this.slideshow.stop();
+        this.compareView.show(items);
+    }
+
+    // Copy the files into a folder, or download them one by one in browsers
+    // that can't pick one
+    async exportMedia() {
+        const items = this.targetMedia();
+        if (items.length === 0) return;
+
+        if (!window.showDirectoryPicker) {
+            for (const media of items) {
+                const link = document.createElement("a");
+                link.href = media.url;
+                link.download = media.name;
+                link.click();
+            }
+            return;
+        }
+
+        let folder;
+        try {
+            folder = await window.showDirectoryPicker({ mode: "readwrite" });
+        } catch (err) {
+            console.error("Folder selection cancelled or failed:", err);
+            return;
+        }
+
+        let failed = 0;
+        const taken = new Set();
+        for (const media of items) {
+            try {
+                const name = await App.freeName(folder, media.name, taken);
+                taken.add(name);
+                const handle = await folder.getFileHandle(name, { create: true });
+                const writable = await handle.createWritable();
+                await writable.write(media.file instanceof Blob ? media.file : await media.file.blob());
+                await writable.close();
+            } catch (err) {
+                console.error("Error exporting file:", media.path, err);
+                failed++;
             }
+        }
+
+        if (failed > 0) {
+            alert(`Could not export ${failed} of ${items.length} files.`);
         } else {
-            this.navigateMedia(e.deltaY > 0 ? 1 : -1);
+            this.showToast(`Exported ${App.describe(items)} to "${folder.name}".`);
+        }
+    }
+
+    // The name, or "name (2).ext" and so on when the folder already has it
+    static async freeName(folder, name, taken) {
+        const dot = name.lastIndexOf(".");
+        const [base, extension] = dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ""];
+        for (let count = 1; ; count++) {
+            const candidate = count === 1 ? name : `${base} (${count})${extension}`;
+            if (taken.has(candidate)) continue;
+            try {
+                await folder.getFileHandle(candidate);
+            } catch (err) {
+                if (err.name === "NotFoundError") return candidate;
+                throw err;
+            }
+        }
+    }
+
+    async undoFileOperation() {
+        try {
+            const label = await this.galleryManager.undo();
+            this.showToast(label ? `Undone: ${label}` : "Nothing to undo");
+        } catch (err) {
+            console.error("Undo failed:", err);
+            alert(`Could not undo: ${err.message}`);
+        }
+    }
+
+    async emptyTrash() {
+        const gallery =
+            this.galleryManager.galleries[this.galleryManager.activeGalleryIndex];
+        if (!gallery) return;
+
+        if (gallery.isReadOnly) {
+            alert(`"${gallery.name}" is read-only and has no trash.`);
+            return;
+        }
+
+        // a smart gallery empties the trash of its folders
+        const galleries = (
+            gallery.isSmart ? gallery.sourceGalleries(this.galleryManager.galleries) : [gallery]
+        ).filter((source) => source.isWritable);
+        let count = 0;
+        for (const source of galleries) {
+            count += await source.countTrash();
+        }
+        if (count === 0) {
+            alert("The trash is empty.");
+            return;
+        }
+        if (!confirm(`Permanently delete ${count} files in the trash? This can't be undone.`)) {
+            return;
+        }
+
+        for (const source of galleries) {
+            try {
+                await this.galleryManager.emptyTrash(source);
+            } catch (err) {
+                console.error("Error emptying trash:", err);
+                alert(`Could not empty the trash of "${source.name}".`);
+            }
+        }
+        this.showToast("Trash emptied");
+    }
+
+    showSettingsModal() {
+        const gallery =
+            this.galleryManager.galleries[this.galleryManager.activeGalleryIndex];
+        const scope = document.getElementById("settingsScope");
+        scope.querySelector('option[value="gallery"]').textContent = gallery
+            ? `This gallery: ${gallery.name}`
+            : "This gallery";
+        scope.querySelector('option[value="gallery"]').disabled = !gallery;
+        scope.value = gallery && Object.keys(gallery.settings).length > 0 ? "gallery" : "global";
+
+        this.renderSettingsFields();
+        document.getElementById("settingsModal").classList.add("active");
+    }
+
+    closeSettingsModal() {
+        document.getElementById("settingsModal").classList.remove("active");
+    }
+
+    // In gallery scope every field can follow the global value or override it
+    renderSettingsFields() {
+        const gallery =
+            this.galleryManager.galleries[this.galleryManager.activeGalleryIndex];
+        const isGallery = document.getElementById("settingsScope").value === "gallery";
+        const global = this.galleryManager.settings;
+        const overrides = isGallery ? gallery.settings : {};
+
+        document.getElementById("settingsScopeHint").textContent = isGallery
+            ? gallery.isSmart
+                ? "Tick a setting to override it for this gallery. Smart galleries scan with the settings of their folders."
+                : "Tick a setting to override it for this gallery."
+            : "Used by every gallery that doesn't override them.";
+
+        const container = document.getElementById("settingsFields");
+        container.innerHTML = "";
+        for (const field of Settings.fields) {
+            if (isGallery && gallery.isSmart && field.rescan) continue;
+
+            const value = field.key in overrides ? overrides[field.key] : global[field.key];
+            const group = document.createElement("div");
+            group.className = "input-group settings-field";
+            group.dataset.key = field.key;
+
+            const input = document.createElement(field.type === "select" ? "select" : "input");
+            input.className = "settings-value";
+            if (field.type === "select") {
+                for (const [option, text] of field.options) {
+                    input.add(new Option(text, option));
+                }
+                input.value = value;
+            } else if (field.type === "checkbox") {
+                input.type = "checkbox";
+                input.checked = value;
+            } else if (field.type === "number") {
+                input.type = "number";
+                input.min = field.min;
+                input.max = field.max;
+                input.step = field.step;
+                input.value = value;
+            } else {
+                input.type = "text";
+                input.spellcheck = false;
+                input.value = value.join(", ");
+            }
+
+            const label = document.createElement("label");
+            if (field.type === "checkbox") {
+                label.className = "checkbox-label";
+                label.append(input, ` ${field.label}`);
+                group.appendChild(label);
+            } else {
+                label.textContent = field.label;
+                group.append(label, input);
+            }
+
+            if (isGallery) {
+                const override = document.createElement("input");
+                override.type = "checkbox";
+                override.className = "settings-override";
+                override.title = "Override for this gallery";
+                override.checked = field.key in overrides;
+                input.disabled = !override.checked;
+                override.addEventListener("change", () => {
+                    input.disabled = !override.checked;
+                });
+                group.prepend(override);
+                group.classList.add("overridable");
+            }
+
+            container.appendChild(group);
         }
     }
 
-    navigateMedia(direction) {
-        const gallery =
-            this.galleryManager.galleries[this.galleryManager.activeGalleryIndex];
-        if (!gallery || gallery.media.length === 0) return;
-
-        if (this.galleryManager.isRandomMode) {
-            if (direction === -1) {
-                if (
-                    this.galleryManager.previousMediaIndex !== -1 &&
-                    this.galleryManager.previousMediaIndex !==
-                    this.galleryManager.activeMediaIndex
-                ) {
-                    const tempPrevious = this.galleryManager.previousMediaIndex;
-                    this.galleryManager.previousMediaIndex = -1;
-                    this.galleryManager.displayMedia(tempPrevious);
-                } else {
-                    this.selectRandomMedia();
+    // Read the settings fields, or return null after telling what is wrong
+    readSettingsFields() {
+        const values = {};
+        for (const group of document.querySelectorAll("#settingsFields .settings-field")) {
+            const override = group.querySelector(".settings-override");
+            if (override && !override.checked) continue;
+
+            const field = Settings.fields.find((field) => field.key === group.dataset.key);
+            const input = group.querySelector(".settings-value");
+            if (field.type === "checkbox") {
+                values[field.key] = input.checked;
+            } else if (field.type === "select") {
+                values[field.key] = input.value;
+            } else if (field.type === "number") {
+                const number = Number(input.value);
+                if (input.value === "" || isNaN(number) || number < field.min || number > field.max) {
+                    alert(`${field.label} must be between ${field.min} and ${field.max}.`);
+                    return null;
                 }
+                values[field.key] = number;
             } else {
-                this.selectRandomMedia();
+                const extensions = Settings.parseExtensions(input.value);
+                if (extensions.length === 0) {
+                    alert(`${field.label} needs at least one extension, such as ".jpg".`);
+                    return null;
+                }
+                values[field.key] = extensions;
             }
-        } else {
-            let newIndex = this.galleryManager.activeMediaIndex + direction;
-            if (newIndex < 0) newIndex = gallery.media.length - 1;
-            if (newIndex >= gallery.media.length) newIndex = 0;
-            this.galleryManager.displayMedia(newIndex);
         }
+        return values;
     }
-    async shuffleGallery() {
+
+    async saveSettings() {
+        const values = this.readSettingsFields();
+        if (!values) return;
+
         const gallery =
             this.galleryManager.galleries[this.galleryManager.activeGalleryIndex];
-        if (!gallery || gallery.media.length === 0) return;
-
-        // Toggle shuffle state
-        gallery.isShuffled = !gallery.isShuffled;
+        const isGallery = document.getElementById("settingsScope").value === "gallery";
+        const resolved = isGallery
+            ? Settings.resolve(this.galleryManager.settings, values)
+            : Settings.resolve(values);
+        if (resolved.minZoom > resolved.maxZoom) {
+            alert("The minimum zoom can't be larger than the maximum zoom.");
+            return;
+        }
 
-        // Update visual feedback
-        const shuffleButton = document.getElementById("shuffleButton");
-        if (gallery.isShuffled) {
-            shuffleButton.classList.add("active");
-            // Shuffle the media array
-            for (let i = gallery.media.length - 1; i > 0; i--) {
-                const j = Math.floor(Math.random() * (i + 1));
-                [gallery.media[i], gallery.media[j]] = [
-                    gallery.media[j],
-                    gallery.media[i],
-                ];
+        this.closeSettingsModal();
+        try {
+            if (isGallery) {
+                await this.galleryManager.saveGallerySettings(gallery, values);
+            } else {
+                await this.galleryManager.saveSettings(values);
             }
-        } else {
-            shuffleButton.classList.remove("active");
-            // Restore original sort order (by lastModified)
-            gallery.media.sort((a, b) => b.lastModified - a.lastModified);
+        } catch (err) {
+            console.error("Error saving settings:", err);
+            alert("Could not save the settings.");
         }
+    }
 
-        // Save the updated gallery state to database
-        await this.db.saveGallery(gallery);
+    showBackupModal() {
+        this.backupEntries = null;
+        document.getElementById("backupStart").style.display = "block";
+        document.getElementById("backupRelink").style.display = "none";
+        document.querySelector(".backup-restore").style.display = "none";
+        document.getElementById("backupModal").classList.add("active");
+    }
 
-        this.galleryManager.displayThumbnails(gallery);
-        this.galleryManager.displayMedia(0);
+    closeBackupModal() {
+        document.getElementById("backupModal").classList.remove("active");
+        document.getElementById("backupGalleries").innerHTML = "";
+        this.backupEntries = null;
+        this.backupSettings = null;
+        this.backupKeyBindings = null;
     }
 
-    toggleRandomMedia() {
-        this.galleryManager.isRandomMode = !this.galleryManager.isRandomMode;
-        const randomButton = document.getElementById("randomButton");
-        if (this.galleryManager.isRandomMode) {
-            randomButton.classList.add("active");
-            this.selectRandomMedia();
-        } else {
-            randomButton.classList.remove("active");
+    async exportBackup() {
+        try {
+            const backup = await LibraryBackup.create(this.db);
+            const blob = new Blob([JSON.stringify(backup, null, 2)], {
+                type: "application/json",
+            });
+            const link = document.createElement("a");
+            link.href = URL.createObjectURL(blob);
+            link.download = `gallery-viewer-backup-${backup.exportedAt.slice(0, 10)}.json`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+            this.showToast(`Exported ${backup.galleries.length} galleries`);
+        } catch (err) {
+            console.error("Error exporting backup:", err);
+            alert("Could not export the backup.");
         }
     }
 
-    selectRandomMedia() {
-        const gallery =
-            this.galleryManager.galleries[this.galleryManager.activeGalleryIndex];
-        if (!gallery || gallery.media.length <= 1) return;
+    async readBackupFile(e) {
+        const file = e.target.files[0];
+        e.target.value = "";
+        if (!file) return;
 
-        this.galleryManager.isRandomMode = true;
+        let backup;
+        try {
+            backup = LibraryBackup.parse(await file.text());
+        } catch (err) {
+            alert(`Could not import "${file.name}": ${err.message}`);
+            return;
+        }
+        if (backup.galleries.length === 0) {
+            alert("The backup contains no galleries.");
+            return;
+        }
 
-        this.galleryManager.previousMediaIndex =
-            this.galleryManager.activeMediaIndex;
+        this.backupEntries = backup.galleries.map((data) => ({ data, directoryHandle: null }));
+        this.backupSettings = backup.settings ? Settings.sanitize(backup.settings) : null;
+        this.backupKeyBindings = backup.keyBindings || null;
+        this.renderBackupGalleries();
+        // replacing the app settings and shortcuts is left to the user
+        document.getElementById("backupSettingsOption").style.display = this.backupSettings ? "flex" : "none";
+        document.getElementById("backupKeysOption").style.display = this.backupKeyBindings ? "flex" : "none";
+        document.getElementById("backupRestoreSettings").checked = false;
+        document.getElementById("backupRestoreKeys").checked = false;
+        document.getElementById("backupStart").style.display = "none";
+        document.getElementById("backupRelink").style.display = "block";
+        document.querySelector(".backup-restore").style.display = "inline-block";
+    }
 
-        let randomIndex;
-        do {
-            randomIndex = Math.floor(Math.random() * gallery.media.length);
-        } while (randomIndex === this.galleryManager.activeMediaIndex);
+    renderBackupGalleries() {
+        const container = document.getElementById("backupGalleries");
+        container.innerHTML = "";
+
+        for (const entry of this.backupEntries) {
+            const { data } = entry;
+            const row = document.createElement("div");
+            row.className = "backup-gallery";
+
+            const details = document.createElement("div");
+            details.className = "backup-details";
+            const name = document.createElement("div");
+            name.className = "backup-name";
+            name.textContent = data.name;
+            const info = document.createElement("div");
+            info.className = "input-hint";
+            details.append(name, info);
+            row.appendChild(details);
+
+            if (data.kind === "smart") {
+                info.textContent = `Smart gallery${data.rule ? `: ${data.rule}` : ""}`;
+            } else {
+                const folder = entry.directoryHandle
+                    ? `Folder: ${entry.directoryHandle.name}`
+                    : `Was in "${data.folderName || "unknown folder"}", not linked yet`;
+                info.textContent = `${folder} · ${data.media.length} files with ratings or tags`;
+
+                const button = document.createElement("button");
+                button.className = "modal-button";
+                button.textContent = entry.directoryHandle ? "Change..." : "Pick Folder...";
+                button.addEventListener("click", () => this.pickBackupFolder(entry));
+                // backups are restored into galleries with a folder handle
+                if (!window.showDirectoryPicker) {
+                    button.disabled = true;
+                    button.title = "This browser can't link folders";
+                }
+                row.appendChild(button);
+            }
 
-        this.galleryManager.displayMedia(randomIndex, true);
+            container.appendChild(row);
+        }
     }
 
-    handleMouseDown(e) {
-        if (e.button === 0) {
-            this.isDragging = true;
-            this.startX = e.clientX - this.galleryManager.translateX;
-            this.startY = e.clientY - this.galleryManager.translateY;
-            e.target.style.cursor = "grabbing";
-        } else if (e.button === 2) {
-            this.isRightMouseDown = true;
-            this.lastMouseX = e.clientX;
-            this.lastMouseY = e.clientY;
-            e.preventDefault();
+    async pickBackupFolder(entry) {
+        try {
+            entry.directoryHandle = await window.showDirectoryPicker();
+        } catch (err) {
+            console.error("Folder selection cancelled or failed:", err);
+            return;
         }
+        this.renderBackupGalleries();
     }
 
-    handleMouseMove(e) {
-        if (this.isDragging) {
-            let now = Date.now();
-            if (now - this.delta < 100) return;
-            this.delta = now;
-            this.galleryManager.translateX = e.clientX - this.startX;
-            this.galleryManager.translateY = e.clientY - this.startY;
-            this.galleryManager.applyTransform();
-        } else if (this.isRightMouseDown) {
-            const deltaY = e.clientY - this.lastMouseY;
-            this.galleryManager.scale -= deltaY / 100;
-            this.galleryManager.scale = Math.min(
-                Math.max(this.galleryManager.scale, 0.5),
-                5,
-            );
-            this.galleryManager.applyTransform();
+    async restoreBackup() {
+        const entries = this.backupEntries;
+        if (!entries) return;
 
-            this.lastMouseX = e.clientX;
-            this.lastMouseY = e.clientY;
+        const unlinked = entries.filter(
+            (entry) => entry.data.kind === "folder" && !entry.directoryHandle,
+        );
+        if (
+            unlinked.length > 0 &&
+            !confirm(`${unlinked.length} galleries have no folder and will be skipped. Import anyway?`)
+        ) {
+            return;
         }
-    }
 
-    handleMouseUp(e) {
-        if (e.button === 0) {
-            this.isDragging = false;
-            const mediaPreview = document.getElementById("mediaPreview");
-            mediaPreview.style.cursor = "move";
-        } else if (e.button === 2) {
-            this.isRightMouseDown = false;
+        const settings =
+            document.getElementById("backupRestoreSettings").checked && this.backupSettings;
+        const keyBindings =
+            document.getElementById("backupRestoreKeys").checked && this.backupKeyBindings;
+        this.closeBackupModal();
+        try {
+            if (settings) await this.galleryManager.saveSettings(settings);
+            if (keyBindings) {
+                this.commands.reset();
+                this.commands.applyCustomBindings(keyBindings);
+                await this.db.saveSettings(this.commands.customBindings, "keyBindings");
+            }
+            const count = await this.galleryManager.importGalleries(entries);
+            this.showToast(`Imported ${count} galleries`);
+        } catch (err) {
+            console.error("Error importing backup:", err);
+            alert("Could not import the backup.");
         }
     }
 
-    handleKeyboard(e) {
-        if (document.querySelector("#newGalleryModal.active")) return;
-        if (this.galleryManager.activeGalleryIndex === -1) return;
+    // Long press or right click on the preview lists the commands for the
+    // selection, or the current item when nothing is selected, with their keys
+    showContextMenu(clientX, clientY) {
+        const items = this.targetMedia();
+        if (items.length === 0) return;
+        const readOnly = items.some(
+            (media) => this.galleryManager.galleryById(media.galleryId).isReadOnly,
+        );
 
-        switch (e.key) {
-            case "ArrowRight":
-                this.navigateMedia(1);
-                break;
-            case "ArrowLeft":
-                this.navigateMedia(-1);
-                break;
-            case "r":
-                this.selectRandomMedia();
-                break;
-            case " ":
-                e.preventDefault();
-                const video = document.getElementById("videoPreview");
-                if (video.style.display !== "none") {
-                    this.togglePlayPause();
-                }
-                break;
+        const menu = document.getElementById("contextMenu");
+        menu.innerHTML = "";
+        for (const id of App.contextCommands) {
+            const command = this.commands.get(id);
+            if (!command.when()) continue;
+
+            const item = document.createElement("button");
+            item.className = "context-item";
+            if (readOnly && App.writeCommands.includes(id)) {
+                item.disabled = true;
+                item.title = "The gallery is read-only";
+            }
+            const label = document.createElement("span");
+            label.textContent = command.label;
+            const key = document.createElement("kbd");
+            key.textContent = command.keys.length ? CommandRegistry.formatKey(command.keys[0]) : "";
+            item.append(label, key);
+            item.addEventListener("click", () => {
+                this.closeContextMenu();
+                command.run();
+            });
+            menu.appendChild(item);
         }
+
+        menu.classList.add("open");
+        this.contextMenuOpen = true;
+        const { width, height } = menu.getBoundingClientRect();
+        menu.style.left = `${Math.max(0, Math.min(clientX, window.innerWidth - width - 8))}px`;
+        menu.style.top = `${Math.max(0, Math.min(clientY, window.innerHeight - height - 8))}px`;
+    }
+
+    closeContextMenu() {
+        document.getElementById("contextMenu").classList.remove("open");
+        this.contextMenuOpen = false;
+    }
+
+    showToast(text) {
+        const toast = document.getElementById("toast");
+        toast.textContent = text;
+        toast.classList.add("visible");
+        clearTimeout(this.toastTimer);
+        this.toastTimer = setTimeout(() => toast.classList.remove("visible"), 3000);
     }
 
     async selectFolder() {
+        if (!window.showDirectoryPicker) {
+            const folder = await this.pickFolderFiles();
+            if (!folder) return;
+            this.selectedFolder = folder;
+            document.getElementById("selectedPath").textContent =
+                `${folder.name} (read-only, ${folder.files.length} files)`;
+            return;
+        }
+
         try {
             this.selectedDirectoryHandle = await window.showDirectoryPicker();
             document.getElementById("selectedPath").textContent =
@@ -874,58 +7354,445 @@ class App {
         }
     }
 
+    // Without showDirectoryPicker a folder can still be read through
+    // <input webkitdirectory>, as a list of files without write access
+    pickFolderFiles() {
+        const input = document.getElementById("folderInput");
+        input.value = "";
+        return new Promise((resolve) => {
+            input.onchange = () => {
+                const folder = FileListGallery.fromInput(input.files);
+                if (!folder) alert("The folder is empty.");
+                resolve(folder);
+            };
+            input.oncancel = () => resolve(null);
+            input.click();
+        });
+    }
+
+    async repickGallery() {
+        const gallery =
+            this.galleryManager.galleries[this.galleryManager.activeGalleryIndex];
+        if (!gallery || !gallery.isReadOnly) return;
+
+        const folder = await this.pickFolderFiles();
+        if (folder) await this.setGalleryFolder(gallery, folder);
+    }
+
+    async setGalleryFolder(gallery, folder) {
+        if (
+            gallery.folderName &&
+            folder.name !== gallery.folderName &&
+            !confirm(`"${gallery.name}" was made from the folder "${gallery.folderName}", not "${folder.name}". Use it anyway?`)
+        ) {
+            return;
+        }
+        await this.galleryManager.setGalleryFiles(gallery, folder);
+    }
+
+    // A folder dropped on the page becomes a gallery of its own, or gives a
+    // read-only gallery waiting for its folder its files again
+    async openDroppedFolder(directory, handlePromise) {
+        const active =
+            this.galleryManager.galleries[this.galleryManager.activeGalleryIndex];
+
+        let handle = null;
+        try {
+            handle = handlePromise ? await handlePromise : null;
+        } catch (err) {
+            console.warn("Could not get a handle for the dropped folder:", err);
+        }
+        // browsers that hand out a handle make it a normal, writable gallery
+        if (
+            handle &&
+            handle.kind === "directory" &&
+            !(active && active.needsFiles) &&
+            (await this.galleryManager.verifyPermission(handle).catch(() => false))
+        ) {
+            await this.galleryManager.createGallery(handle.name, handle);
+            return;
+        }
+
+        let folder;
+        try {
+            this.galleryManager.showLoading(true, `Reading "${directory.name}"...`);
+            folder = await FileListGallery.fromEntry(directory);
+        } catch (err) {
+            console.error("Error reading dropped folder:", err);
+            alert(`Could not read the folder "${directory.name}".`);
+            return;
+        } finally {
+            this.galleryManager.showLoading(false);
+        }
+
+        if (active && active.needsFiles) {
+            await this.setGalleryFolder(active, folder);
+        } else {
+            await this.galleryManager.createFileListGallery(folder.name, folder);
+            this.showToast(`Opened "${folder.name}" read-only. Drop or pick it again after a reload.`);
+        }
+    }
+
     showNewGalleryModal() {
         document.getElementById("newGalleryModal").classList.add("active");
+        document.getElementById("galleryModalTitle").textContent = "Create New Gallery";
+        document.getElementById("galleryModalSubmit").textContent = "Create";
+        document.getElementById("galleryTypeGroup").style.display = "block";
         document.getElementById("galleryName").value = "";
         document.getElementById("selectedPath").textContent = "";
         this.selectedDirectoryHandle = null;
+        this.selectedFolder = null;
+        this.editingGallery = null;
+
+        // offer the current search as the rule of a new smart gallery
+        document.getElementById("smartRule").value =
+            document.getElementById("searchInput").value.trim();
+        this.renderSmartSources([]);
+        document.querySelector('input[name="galleryType"][value="folder"]').checked = true;
+        this.setGalleryType("folder");
+        this.renderServerFolders();
+    }
+
+    // Offer the folders of the media server when the app is served by it
+    async renderServerFolders() {
+        const folders = await ServerGallery.folders();
+        const select = document.getElementById("serverFolder");
+        select.innerHTML = "";
+        for (const folder of folders || []) {
+            const option = document.createElement("option");
+            option.value = folder;
+            option.textContent = folder;
+            select.appendChild(option);
+        }
+        document.getElementById("serverTypeOption").style.display =
+            folders && folders.length > 0 ? "flex" : "none";
+    }
+
+    showSmartGalleryModal(gallery) {
+        this.showNewGalleryModal();
+        this.editingGallery = gallery;
+
+        document.getElementById("galleryModalTitle").textContent = "Edit Smart Gallery";
+        document.getElementById("galleryModalSubmit").textContent = "Save";
+        document.getElementById("galleryTypeGroup").style.display = "none";
+        document.getElementById("galleryName").value = gallery.name;
+        document.getElementById("smartRule").value = gallery.rule;
+        this.renderSmartSources(gallery.sources);
+        this.setGalleryType("smart");
+    }
+
+    setGalleryType(type) {
+        document.getElementById("folderGroup").style.display =
+            type === "folder" ? "block" : "none";
+        document.getElementById("smartGroup").style.display =
+            type === "smart" ? "block" : "none";
+        document.getElementById("serverGroup").style.display =
+            type === "server" ? "block" : "none";
+    }
+
+    renderSmartSources(selected) {
+        const container = document.getElementById("smartSources");
+        container.innerHTML = "";
+
+        for (const gallery of this.galleryManager.galleries) {
+            if (gallery.isSmart) continue;
+
+            const label = document.createElement("label");
+            const checkbox = document.createElement("input");
+            checkbox.type = "checkbox";
+            checkbox.value = gallery.id;
+            checkbox.checked = selected.includes(gallery.id);
+            label.append(checkbox, ` ${gallery.name}`);
+            container.appendChild(label);
+        }
+    }
+
+    async findDuplicates() {
+        const gallery =
+            this.galleryManager.galleries[this.galleryManager.activeGalleryIndex];
+        if (!gallery || this.galleryManager.duplicateFinder) return;
+        if (gallery.isScanning) {
+            alert(`Please wait until "${gallery.name}" has been scanned.`);
+            return;
+        }
+
+        const groups = await this.galleryManager.findDuplicates(gallery);
+        if (!groups) return;
+        if (groups.length === 0) {
+            alert(`No duplicates found in "${gallery.name}".`);
+            return;
+        }
+
+        this.duplicateGroups = groups;
+        this.renderDuplicateGroups();
+        document.getElementById("duplicatesModal").classList.add("active");
+    }
+
+    renderDuplicateGroups() {
+        const container = document.getElementById("duplicateGroups");
+        container.innerHTML = "";
+
+        const exact = this.duplicateGroups.filter((group) => group.kind === "exact").length;
+        document.getElementById("duplicatesSummary").textContent =
+            `${exact} groups of identical files, ` +
+            `${this.duplicateGroups.length - exact} groups of similar images. ` +
+            "Identical copies are selected for deletion, the oldest file is kept.";
+
+        for (const group of this.duplicateGroups) {
+            const section = document.createElement("div");
+            section.className = "duplicate-group";
+
+            const heading = document.createElement("h4");
+            heading.textContent = `${group.kind === "exact" ? "Identical files" : "Similar images"} (${group.items.length})`;
+            section.appendChild(heading);
+
+            const items = document.createElement("div");
+            items.className = "duplicate-items";
+            group.items.forEach((media, i) => {
+                const item = document.createElement("label");
+                item.className = "duplicate-item";
+
+                const checkbox = document.createElement("input");
+                checkbox.type = "checkbox";
+                checkbox.media = media;
+                if (this.galleryManager.galleryById(media.galleryId).isReadOnly) {
+                    checkbox.disabled = true;
+                    item.title = "Read-only, can't be deleted";
+                } else {
+                    checkbox.checked = group.kind === "exact" && i > 0;
+                }
+
+                const preview = document.createElement(media.type === "image" ? "img" : "video");
+                preview.src = media.url;
+                if (media.type === "video") preview.preload = "metadata";
+
+                const name = document.createElement("div");
+                name.className = "duplicate-name";
+                name.textContent = media.path;
+                name.title = media.path;
+
+                const details = document.createElement("div");
+                details.className = "duplicate-details";
+                details.textContent = `${MetadataPanel.formatSize(media.file.size)} · ${new Date(media.lastModified).toLocaleDateString()}`;
+                if (media.type === "image") {
+                    preview.addEventListener("load", () => {
+                        details.textContent += ` · ${preview.naturalWidth} × ${preview.naturalHeight}`;
+                    });
+                }
+
+                item.append(checkbox, preview, name, details);
+                items.appendChild(item);
+            });
+            section.appendChild(items);
+            container.appendChild(section);
+        }
+    }
+
+    closeDuplicatesModal() {
+        document.getElementById("duplicatesModal").classList.remove("active");
+        document.getElementById("duplicateGroups").innerHTML = "";
+        this.duplicateGroups = null;
+    }
+
+    async deleteSelectedDuplicates() {
+        const selected = Array.from(
+            document.querySelectorAll("#duplicateGroups input:checked"),
+        ).map((checkbox) => checkbox.media);
+        if (selected.length === 0) return;
+
+        // never delete every file of a group by accident
+        const emptied = this.duplicateGroups.filter((group) =>
+            group.items.every((media) => selected.includes(media)),
+        );
+        if (
+            emptied.length > 0 &&
+            !confirm(`${emptied.length} groups would lose every copy. Delete them anyway?`)
+        ) {
+            return;
+        }
+        if (!confirm(`Move ${selected.length} files to the trash?`)) return;
+
+        const failed = await this.galleryManager.deleteMedia(selected);
+        if (failed.length > 0) {
+            alert(`Could not delete ${failed.length} files:\n${failed.map((media) => media.path).join("\n")}`);
+        }
+
+        // keep the groups that still have more than one file
+        const removed = new Set(selected.filter((media) => !failed.includes(media)));
+        this.duplicateGroups = this.duplicateGroups
+            .map((group) => ({ ...group, items: group.items.filter((media) => !removed.has(media)) }))
+            .filter((group) => group.items.length > 1);
+
+        if (this.duplicateGroups.length === 0) {
+            this.closeDuplicatesModal();
+        } else {
+            this.renderDuplicateGroups();
+        }
     }
 
     closeModal() {
         document.getElementById("newGalleryModal").classList.remove("active");
+        this.editingGallery = null;
     }
 
     showInfoModal() {
+        this.renderKeyboardHelp();
         document.getElementById("infoModal").classList.add("active");
     }
 
+    // The shortcut list is generated from the command registry, with
+    // controls to rebind each command
+    renderKeyboardHelp() {
+        const container = document.getElementById("keyboardHelp");
+        container.innerHTML = "";
+
+        for (const [group, commands] of this.commands.groups) {
+            const heading = document.createElement("h4");
+            heading.textContent = group;
+            container.appendChild(heading);
+
+            const list = document.createElement("div");
+            list.className = "shortcut-list";
+            for (const command of commands) {
+                const label = document.createElement("div");
+                label.className = "shortcut-label";
+                label.textContent = command.label;
+
+                const keys = document.createElement("div");
+                keys.className = "shortcut-keys";
+                for (const key of command.keys) {
+                    const kbd = document.createElement("kbd");
+                    kbd.textContent = CommandRegistry.formatKey(key);
+                    const remove = document.createElement("button");
+                    remove.className = "shortcut-remove";
+                    remove.textContent = "×";
+                    remove.title = "Remove this key";
+                    remove.addEventListener("click", () => {
+                        this.commands.unbind(command.id, key);
+                        this.saveKeyBindings();
+                    });
+                    kbd.appendChild(remove);
+                    keys.appendChild(kbd);
+                }
+
+                const add = document.createElement("button");
+                add.className = "shortcut-add";
+                const isRecording = this.recordingKey === command.id;
+                add.textContent = isRecording ? "Press a key..." : "+";
+                add.title = "Add a key";
+                add.classList.toggle("recording", isRecording);
+                add.addEventListener("click", () => {
+                    this.recordingKey = isRecording ? null : command.id;
+                    this.renderKeyboardHelp();
+                });
+                keys.appendChild(add);
+
+                list.append(label, keys);
+            }
+            container.appendChild(list);
+        }
+    }
+
+    // While a shortcut is being recorded, the next key press is the new binding
+    handleKeyRecording(e) {
+        if (!this.recordingKey) return;
+        e.preventDefault();
+        e.stopPropagation();
+
+        const id = this.recordingKey;
+        if (e.key === "Escape") {
+            this.recordingKey = null;
+            this.renderKeyboardHelp();
+            return;
+        }
+        const key = CommandRegistry.keyFromEvent(e);
+        if (!key) return;
+
+        this.recordingKey = null;
+        const previous = this.commands.bind(id, key);
+        if (previous) {
+            this.showToast(`${CommandRegistry.formatKey(key)} no longer does "${previous.label}"`);
+        }
+        this.saveKeyBindings();
+    }
+
+    async saveKeyBindings() {
+        this.renderKeyboardHelp();
+        try {
+            await this.db.saveSettings(this.commands.customBindings, "keyBindings");
+        } catch (err) {
+            console.error("Error saving key bindings:", err);
+        }
+    }
+
+    resetKeyBindings() {
+        this.recordingKey = null;
+        this.commands.reset();
+        this.saveKeyBindings();
+    }
+
     closeInfoModal() {
+        this.recordingKey = null;
         document.getElementById("infoModal").classList.remove("active");
     }
 
     async createGallery() {
         const name = document.getElementById("galleryName").value;
-        if (!name || !this.selectedDirectoryHandle) {
+        const type = this.editingGallery
+            ? "smart"
+            : document.querySelector('input[name="galleryType"]:checked').value;
+
+        if (type === "smart") {
+            await this.saveSmartGallery(name);
+            return;
+        }
+        if (type === "server") {
+            const folder = document.getElementById("serverFolder").value;
+            if (!folder) {
+                alert("Please select a server folder");
+                return;
+            }
+            this.closeModal();
+            await this.galleryManager.createServerGallery(name || folder, folder);
+            return;
+        }
+
+        if (!name || !(this.selectedDirectoryHandle || this.selectedFolder)) {
             alert("Please enter a name and select a folder");
             return;
         }
 
         this.closeModal();
-        await this.galleryManager.createGallery(name, this.selectedDirectoryHandle);
-    }
-
-    togglePlayPause(e) {
-        const video = document.getElementById("videoPreview");
-        if (video.paused) {
-            video.play();
+        if (this.selectedDirectoryHandle) {
+            await this.galleryManager.createGallery(name, this.selectedDirectoryHandle);
         } else {
-            video.pause();
+            await this.galleryManager.createFileListGallery(name, this.selectedFolder);
         }
     }
 
-    updateProgress() {
-        const video = document.getElementById("videoPreview");
-        const progressFill = document.getElementById("progressFill");
-        const progress = (video.currentTime / video.duration) * 100;
-        progressFill.style.width = progress + "%";
-    }
+    async saveSmartGallery(name) {
+        const rule = document.getElementById("smartRule").value.trim();
+        const sources = Array.from(
+            document.querySelectorAll("#smartSources input:checked"),
+        ).map((checkbox) => Number(checkbox.value));
 
-    seekVideo(e) {
-        const video = document.getElementById("videoPreview");
-        const progressBar = document.getElementById("progressBar");
-        const rect = progressBar.getBoundingClientRect();
-        const percent = (e.clientX - rect.left) / rect.width;
-        video.currentTime = percent * video.duration;
+        if (!name) {
+            alert("Please enter a name");
+            return;
+        }
+        const query = new MediaQuery(rule);
+        if (query.errors.length > 0) {
+            alert(query.errors.join("\n"));
+            return;
+        }
+
+        const gallery = this.editingGallery;
+        this.closeModal();
+        if (gallery) {
+            await this.galleryManager.updateSmartGallery(gallery, name, rule, sources);
+        } else {
+            await this.galleryManager.createSmartGallery(name, rule, sources);
+        }
     }
 
     // Handle files dropped into the preview area
@@ -935,13 +7802,32 @@ class App {
         this.dragCounter = 0;
         const preview = document.getElementById("previewSection");
         preview.classList.remove("drop-target");
+        if (this.viewOnly) return;
 
         const dt = e.dataTransfer;
+        // a dropped folder opens as a gallery; the items are only readable
+        // until the handler's first await
+        const folders = Array.from(dt.items || [])
+            .filter((item) => item.kind === "file" && item.webkitGetAsEntry)
+            .map((item) => ({
+                entry: item.webkitGetAsEntry(),
+                handle: item.getAsFileSystemHandle ? item.getAsFileSystemHandle() : null,
+            }))
+            .filter(({ entry }) => entry && entry.isDirectory);
+        if (folders.length > 0) {
+            for (const { entry, handle } of folders) {
+                await this.openDroppedFolder(entry, handle);
+            }
+            return;
+        }
+
         // 1) Save any files that were dropped
         const files = Array.from(dt.files || []);
+        if (files.length > 0 && !this.canSaveToActiveGallery()) return;
+        let existing = null;
         for (const file of files) {
             try {
-                await this.saveFileToActiveGallery(file);
+                existing = (await this.saveFileToActiveGallery(file)) || existing;
             } catch (err) {
                 console.error("Failed to save dropped file:", err);
                 alert("Failed to save file: " + (file.name || "unknown"));
@@ -951,10 +7837,11 @@ class App {
         // Refresh gallery view if anything was saved
         const gallery =
             this.galleryManager.galleries[this.galleryManager.activeGalleryIndex];
-        if (gallery) {
-            await gallery.loadMedia();
-            this.galleryManager.displayThumbnails(gallery);
-            this.galleryManager.displayMedia(0);
+        if (gallery && files.length > 0) {
+            await this.galleryManager.refreshGallery(gallery);
+        }
+        if (existing && files.length === 1) {
+            this.galleryManager.showMedia(existing);
         }
     }
 
@@ -992,10 +7879,12 @@ class App {
         }
 
         if (files.length === 0) return;
+        if (!this.canSaveToActiveGallery()) return;
 
+        let existing = null;
         for (const file of files) {
             try {
-                await this.saveFileToActiveGallery(file);
+                existing = (await this.saveFileToActiveGallery(file)) || existing;
             } catch (err) {
                 console.error("Failed to save pasted file:", err);
                 alert("Failed to save pasted file");
@@ -1005,10 +7894,25 @@ class App {
         const gallery =
             this.galleryManager.galleries[this.galleryManager.activeGalleryIndex];
         if (gallery) {
-            await gallery.loadMedia();
-            this.galleryManager.displayThumbnails(gallery);
-            this.galleryManager.displayMedia(0);
+            await this.galleryManager.refreshGallery(gallery);
+        }
+        if (existing && files.length === 1) {
+            this.galleryManager.showMedia(existing);
+        }
+    }
+
+    canSaveToActiveGallery() {
+        const gallery =
+            this.galleryManager.galleries[this.galleryManager.activeGalleryIndex];
+        if (gallery && gallery.isReadOnly) {
+            alert(`Files can't be added to "${gallery.name}", it is read-only.`);
+            return false;
+        }
+        if (gallery && !gallery.isWritable) {
+            alert(`Files can't be added to "${gallery.name}", it is not a folder gallery.`);
+            return false;
         }
+        return true;
     }
 
     // Save a File object into the active gallery directory with a generated name
@@ -1025,6 +7929,14 @@ class App {
         if (!hasPerm)
             throw new Error("Write permission denied for gallery directory");
 
+        // the same content is already in the gallery, show that instead of
+        // storing another timestamped copy
+        const existing = await DuplicateFinder.findCopy(file, gallery.media);
+        if (existing) {
+            this.showToast(`"${file.name}" is already in the gallery as ${existing.path}`);
+            return existing;
+        }
+
         const ext =
             this.getExtensionFromFileName(file.name) ||
             this.getExtensionFromMime(file.type) ||
@@ -1049,6 +7961,7 @@ class App {
             console.error("Error writing file to directory:", err);
             throw err;
         }
+        return null;
     }
 
     getExtensionFromFileName(name) {
@@ -1058,22 +7971,30 @@ class App {
 
     getExtensionFromMime(mime) {
         if (!mime || !mime.includes("/")) return null;
-        const subtype = mime.split("/")[1].split("+")[0];
-        // map common types
-        const map = {
-            jpeg: "jpg",
-            png: "png",
-            webp: "webp",
-            gif: "gif",
-            mp4: "mp4",
-            webm: "webm",
-            "x-matroska": "mkv",
-            quicktime: "mov",
-        };
-        return map[subtype] || subtype;
+        return MediaFormats.extensionForMime(mime) || mime.split("/")[1].split("+")[0];
     }
 }
 
+// The commands that change files, unavailable in read-only galleries
+App.writeCommands = ["delete", "rename", "move"];
+
+// The commands a share link's view-only mode leaves out
+App.viewOnlyHidden = [...App.writeCommands, "newGallery", "undo", "duplicates"];
+
+// The commands offered by the preview's context menu, in order
+App.contextCommands = [
+    "favorite",
+    "tags",
+    "info",
+    "rename",
+    "move",
+    "delete",
+    "resetZoom",
+    "actualSize",
+    "fullscreen",
+    "slideshow",
+];
+
 const app = new App();
 document.addEventListener("DOMContentLoaded", () => {
     app.init();
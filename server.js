@@ -1,18 +1,524 @@
+const crypto = require('crypto');
 const express = require('express');
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
 
-const app = express();
-const PORT = 80;
+// Settings come from a JSON config file and from command line flags, the
+// flags winning:
+//
+//   node server.js --folder Photos=/mnt/nas/photos --folder ~/Videos --host 0.0.0.0
+//   node server.js --config gallery.json
+//
+//   { "port": 8080, "host": "0.0.0.0", "folders": { "Photos": "/mnt/nas/photos" } }
+//
+// server.config.json next to this file is read when no config is given.
+// The share key and the access log are kept in a data folder of the user
+// running the server, out of the source tree.
+//
+// Only this machine has full access. Other devices need a share link, made
+// in the app or with "node server.js share <folder>", unless --open is given.
+const DEFAULT_CONFIG = path.join(__dirname, 'server.config.json');
+const DATA_FOLDER = dataFolder();
+const DEFAULT_ACCESS_LOG = path.join(DATA_FOLDER, 'access.log');
+const SECRET_FILE = path.join(DATA_FOLDER, 'share-secret');
+// where the key was kept before, moved to the data folder on first start
+const OLD_SECRET_FILE = path.join(__dirname, '.share-secret');
+const SHARE_COOKIE = 'gallery_share';
+const TRASH_FOLDER = '.trash';
+// After this many wrong passwords a link only takes one more guess per lockout
+const PASSWORD_ATTEMPTS = 5;
+const PASSWORD_LOCKOUT = 15 * 60 * 1000;
+// The files of the app. Nothing else next to this file is served, as configs
+// and old share keys may live there too.
+const APP_FILES = ['index.html', 'script.js', 'scanner.js', 'tiff.js', 'style.css', 'favicon.ico', 'favicon2.ico'];
 
+// ~/.local/share/gallery-server, or where the platform keeps app data
+function dataFolder() {
+    if (process.env.GALLERY_DATA) return path.resolve(process.env.GALLERY_DATA);
+    const home = os.homedir();
+    if (process.platform === 'win32') {
+        return path.join(process.env.APPDATA || path.join(home, 'AppData', 'Roaming'), 'gallery-server');
+    }
+    if (process.platform === 'darwin') {
+        return path.join(home, 'Library', 'Application Support', 'gallery-server');
+    }
+    return path.join(process.env.XDG_DATA_HOME || path.join(home, '.local', 'share'), 'gallery-server');
+}
 
-// Serve static files from the "public" folder
-app.use(express.static(__dirname));
+function expandHome(folder) {
+    return folder.startsWith('~') ? path.join(os.homedir(), folder.slice(1)) : folder;
+}
 
-// Default route (optional)
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'index.html'));
-});
+// "Name=/path" or just "/path", which is then named after its last part
+function parseFolder(value) {
+    const match = /^([^=/\\]+)=(.+)$/.exec(value);
+    const folder = path.resolve(expandHome(match ? match[2] : value));
+    return { name: match ? match[1] : path.basename(folder), path: folder };
+}
 
-app.listen(PORT, '127.0.0.1', () => {
-    console.log(`Server running at http://mydomain.com/`);
-});
\ No newline at end of file
+function readConfig(file) {
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    // folders may be given as {name: path} or as ["Name=/path", "/path"]
+    const folders = Array.isArray(config.folders)
+        ? config.folders.map(parseFolder)
+        : Object.entries(config.folders || {}).map(([name, folder]) => ({
+            name,
+            path: path.resolve(path.dirname(file), expandHome(folder)),
+        }));
+    return {
+        port: config.port,
+        host: config.host,
+        open: config.open,
+        publicUrl: config.publicUrl,
+        accessLog: config.accessLog && path.resolve(path.dirname(file), expandHome(config.accessLog)),
+        secret: config.secret,
+        folders,
+    };
+}
+
+function parseArgs(args) {
+    const options = { folders: [] };
+    // "share <folder>" prints a share link instead of starting the server
+    if (args[0] === 'share') {
+        options.share = { folder: args[1], expires: '24h', password: '' };
+        args = args.slice(2);
+    }
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const value = args[i + 1];
+        if (arg === '--folder' || arg === '-f') {
+            options.folders.push(parseFolder(value));
+            i++;
+        } else if (arg === '--port' || arg === '-p') {
+            options.port = Number(value);
+            i++;
+        } else if (arg === '--host') {
+            options.host = value;
+            i++;
+        } else if (arg === '--config' || arg === '-c') {
+            options.config = value;
+            i++;
+        } else if (arg === '--open') {
+            options.open = true;
+        } else if (arg === '--public-url') {
+            options.publicUrl = value;
+            i++;
+        } else if (arg === '--access-log') {
+            options.accessLog = path.resolve(expandHome(value));
+            i++;
+        } else if (options.share && arg === '--expires') {
+            options.share.expires = value;
+            i++;
+        } else if (options.share && arg === '--password') {
+            options.share.password = value;
+            i++;
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else {
+            throw new Error(`Unknown option "${arg}"`);
+        }
+    }
+    return options;
+}
+
+function loadSettings(args) {
+    const options = parseArgs(args);
+    const configFile = options.config || (fs.existsSync(DEFAULT_CONFIG) ? DEFAULT_CONFIG : null);
+    const config = configFile ? readConfig(configFile) : { folders: [] };
+
+    const folders = new Map();
+    for (const folder of [...config.folders, ...options.folders]) {
+        if (folders.has(folder.name)) {
+            console.warn(`Folder "${folder.name}" is configured twice, using ${folder.path}`);
+        }
+        folders.set(folder.name, folder);
+    }
+
+    return {
+        help: options.help,
+        share: options.share,
+        port: options.port || config.port || 8080,
+        // only this machine unless asked, as every configured folder is readable
+        host: options.host || config.host || '127.0.0.1',
+        open: options.open || config.open || false,
+        publicUrl: options.publicUrl || config.publicUrl,
+        accessLog: options.accessLog || config.accessLog || DEFAULT_ACCESS_LOG,
+        secret: config.secret || loadSecret(),
+        folders,
+    };
+}
+
+// Share tokens are signed with a key kept in the data folder, so links keep
+// working across restarts
+function loadSecret() {
+    fs.mkdirSync(DATA_FOLDER, { recursive: true, mode: 0o700 });
+    if (!fs.existsSync(SECRET_FILE) && fs.existsSync(OLD_SECRET_FILE)) {
+        // links made before keep working
+        fs.copyFileSync(OLD_SECRET_FILE, SECRET_FILE);
+        fs.chmodSync(SECRET_FILE, 0o600);
+        fs.unlinkSync(OLD_SECRET_FILE);
+    }
+    try {
+        return fs.readFileSync(SECRET_FILE, 'utf8').trim();
+    } catch (err) {
+        const secret = crypto.randomBytes(32).toString('hex');
+        fs.writeFileSync(SECRET_FILE, secret, { mode: 0o600 });
+        return secret;
+    }
+}
+
+// "36h", "7d" or a number of hours
+function parseDuration(value) {
+    const match = /^(\d+(?:\.\d+)?)\s*([hd]?)$/.exec(String(value).trim());
+    if (!match) return null;
+    return Number(match[1]) * (match[2] === 'd' ? 24 : 1) * 60 * 60 * 1000;
+}
+
+// The address other devices reach the server at
+function publicUrl(settings) {
+    if (settings.publicUrl) return settings.publicUrl.replace(/\/?$/, '/');
+    let host = settings.host;
+    if (host === '0.0.0.0' || host === '::') {
+        const addresses = Object.values(os.networkInterfaces()).flat();
+        const lan = addresses.find((address) => address.family === 'IPv4' && !address.internal);
+        host = lan ? lan.address : os.hostname();
+    }
+    return `http://${host}:${settings.port}/`;
+}
+
+function isReachable(settings) {
+    return !['127.0.0.1', 'localhost', '::1'].includes(settings.host) || !!settings.publicUrl;
+}
+
+// Tokens are base64url JSON and an HMAC of it: {id, f: folder, exp, pw}.
+// pw is an HMAC of the password, useless without the key.
+function hmac(settings, text) {
+    return crypto.createHmac('sha256', settings.secret).update(text).digest('base64url');
+}
+
+function signToken(settings, payload) {
+    const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${data}.${hmac(settings, data)}`;
+}
+
+function verifyToken(settings, token) {
+    if (typeof token !== 'string') return null;
+    const [data, signature] = token.split('.');
+    if (!data || !signature) return null;
+
+    const expected = Buffer.from(hmac(settings, data));
+    const given = Buffer.from(signature);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+    } catch (err) {
+        return null;
+    }
+    if (!settings.folders.has(payload.f) || !(payload.exp > Date.now())) return null;
+    return payload;
+}
+
+function passwordHash(settings, id, password) {
+    return hmac(settings, `password:${id}:${password}`);
+}
+
+function createShare(settings, folder, duration, password) {
+    const id = crypto.randomBytes(6).toString('hex');
+    const payload = { id, f: folder, exp: Date.now() + duration };
+    if (password) payload.pw = passwordHash(settings, id, password);
+    const token = signToken(settings, payload);
+    return {
+        id,
+        url: `${publicUrl(settings)}?share=${encodeURIComponent(token)}`,
+        expires: payload.exp,
+        reachable: isReachable(settings),
+    };
+}
+
+function readCookie(req, name) {
+    for (const part of (req.headers.cookie || '').split(';')) {
+        const [key, ...value] = part.trim().split('=');
+        if (key === name) return decodeURIComponent(value.join('='));
+    }
+    return null;
+}
+
+// This machine, asking for the server by a loopback name. A proxy in front
+// would make every visitor look local, so behind --public-url or forwarded
+// requests nobody is; the Host check stops other sites from reaching the
+// server through a DNS name that resolves to 127.0.0.1.
+function isLocal(settings, req) {
+    if (settings.publicUrl) return false;
+    if (req.headers['x-forwarded-for'] || req.headers.forwarded) return false;
+    if (!['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(req.socket.remoteAddress)) return false;
+    const host = (req.headers.host || '').replace(/:\d+$/, '').toLowerCase();
+    return ['localhost', '127.0.0.1', '[::1]'].includes(host);
+}
+
+// Who is asking: this machine, anyone when the server is open, or the
+// holder of an unlocked share. Null when the request has no access.
+function accessOf(settings, req) {
+    if (isLocal(settings, req)) return { who: 'local' };
+    if (settings.open) return { who: 'open' };
+    const session = verifyToken(settings, readCookie(req, SHARE_COOKIE));
+    if (session && !session.pw) return { who: `share:${session.id}`, folder: session.f };
+    return null;
+}
+
+// Every file below a folder with its size and modification time. Hidden
+// files and folders are left out unless asked for, the gallery trash always.
+async function listFiles(root, includeHidden, relative = '') {
+    const files = [];
+    const entries = await fs.promises.readdir(path.join(root, relative), { withFileTypes: true });
+
+    for (const entry of entries) {
+        if (!includeHidden && entry.name.startsWith('.')) continue;
+        if (relative === '' && entry.name === TRASH_FOLDER) continue;
+
+        const entryPath = relative ? `${relative}/${entry.name}` : entry.name;
+        try {
+            if (entry.isDirectory()) {
+                files.push(...(await listFiles(root, includeHidden, entryPath)));
+                continue;
+            }
+            // links to files are followed, links to folders are not to avoid loops
+            const stats = await fs.promises.stat(path.join(root, entryPath));
+            if (stats.isFile()) {
+                files.push({ path: entryPath, size: stats.size, lastModified: stats.mtimeMs });
+            }
+        } catch (err) {
+            console.warn('Skipping unreadable entry:', entryPath, err.message);
+        }
+    }
+    return files;
+}
+
+// Hidden files and the gallery trash are only listed and served to this
+// machine, and only when it asks for them with ?hidden=1
+function wantsHidden(req) {
+    return req.access.who === 'local' && req.query.hidden === '1';
+}
+
+function isHiddenPath(file) {
+    return file.split(/[/\\]/).some((part) => part.startsWith('.') || part === TRASH_FOLDER);
+}
+
+function canSee(settings, req, name) {
+    return settings.folders.has(name) && (!req.access.folder || req.access.folder === name);
+}
+
+// The app with its API, for the given settings
+function createApp(settings) {
+    fs.mkdirSync(path.dirname(settings.accessLog), { recursive: true });
+    const accessLog = fs.createWriteStream(settings.accessLog, { flags: 'a' });
+    accessLog.on('error', (err) => console.error('Could not write the access log:', err.message));
+
+    const app = express();
+
+    app.get('/', (req, res) => {
+        res.sendFile(path.join(__dirname, 'index.html'));
+    });
+
+    for (const file of APP_FILES) {
+        app.get(`/${file}`, (req, res) => {
+            res.sendFile(path.join(__dirname, file));
+        });
+    }
+
+    // Every API request goes to the access log, with who made it
+    app.use('/api', (req, res, next) => {
+        req.access = accessOf(settings, req);
+        res.on('finish', () => {
+            const who = req.access ? req.access.who : '-';
+            accessLog.write(
+                `${new Date().toISOString()} ${req.socket.remoteAddress} ${who} ` +
+                `${req.method} ${req.originalUrl} ${res.statusCode} ${res.get('Content-Length') || '-'}\n`,
+            );
+        });
+        next();
+    });
+
+    app.use('/api', express.json());
+
+    // Wrong passwords per share id: {count, until}
+    const failures = new Map();
+
+    // Trade a share link, and its password if it has one, for a cookie that
+    // lets the browser load the folder's files
+    app.post('/api/share', (req, res) => {
+        const { token, password } = req.body || {};
+        const share = verifyToken(settings, token);
+        if (!share) return res.status(403).json({ error: 'The link is invalid or has expired' });
+
+        if (share.pw) {
+            const failed = failures.get(share.id);
+            const wait = failed ? failed.until - Date.now() : 0;
+            if (wait > 0) {
+                res.set('Retry-After', String(Math.ceil(wait / 1000)));
+                return res.status(429).json({
+                    error: `Too many wrong passwords, try again in ${Math.ceil(wait / 60000)} minutes`,
+                });
+            }
+            if (!password) return res.status(401).json({ error: 'Password required', password: true });
+
+            const expected = Buffer.from(share.pw);
+            const given = Buffer.from(passwordHash(settings, share.id, String(password)));
+            if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+                const count = (failed ? failed.count : 0) + 1;
+                const until = count >= PASSWORD_ATTEMPTS ? Date.now() + PASSWORD_LOCKOUT : 0;
+                failures.set(share.id, { count, until });
+                accessLog.write(
+                    `${new Date().toISOString()} ${req.socket.remoteAddress} - ` +
+                    `wrong password ${count} for share:${share.id}${until ? ', locked' : ''}\n`,
+                );
+                return res.status(401).json({ error: 'Wrong password', password: true });
+            }
+            failures.delete(share.id);
+        }
+
+        const session = signToken(settings, { id: share.id, f: share.f, exp: share.exp });
+        res.cookie(SHARE_COOKIE, session, {
+            httpOnly: true,
+            sameSite: 'lax',
+            maxAge: share.exp - Date.now(),
+        });
+        req.access = { who: `share:${share.id}`, folder: share.f };
+        res.json({ folder: share.f, expires: share.exp });
+    });
+
+    // Everything below needs access; shares only see their own folder
+    app.use('/api', (req, res, next) => {
+        if (!req.access) return res.status(403).json({ error: 'A share link is needed' });
+        next();
+    });
+
+    app.post('/api/shares', (req, res) => {
+        if (!isLocal(settings, req)) return res.status(403).json({ error: 'Shares can only be made on the server' });
+
+        const { folder, hours, password } = req.body || {};
+        const duration = parseDuration(hours);
+        if (!settings.folders.has(folder)) return res.status(404).json({ error: 'Unknown folder' });
+        if (!duration) return res.status(400).json({ error: 'Invalid expiry' });
+
+        const share = createShare(settings, folder, duration, password ? String(password) : '');
+        accessLog.write(`${new Date().toISOString()} - local created share:${share.id} for ${folder}\n`);
+        res.json(share);
+    });
+
+    app.get('/api/folders', (req, res) => {
+        const names = [...settings.folders.keys()].filter((name) => canSee(settings, req, name));
+        res.json(names.map((name) => ({ name })));
+    });
+
+    // res.json sets an ETag, so unchanged listings are answered with 304
+    app.get('/api/folders/:name', async (req, res) => {
+        if (!canSee(settings, req, req.params.name)) return res.status(404).json({ error: 'Unknown folder' });
+        const folder = settings.folders.get(req.params.name);
+
+        try {
+            const files = await listFiles(folder.path, wantsHidden(req));
+            res.set('Cache-Control', 'no-cache');
+            res.json({ name: folder.name, files });
+        } catch (err) {
+            console.error(`Error listing "${folder.name}":`, err.message);
+            res.status(500).json({ error: 'Could not read the folder' });
+        }
+    });
+
+    // sendFile answers Range requests, so videos can be seeked without loading
+    // them whole, and sets ETag and Last-Modified for revalidation. The root
+    // option refuses paths that lead out of the folder.
+    app.get(/^\/api\/folders\/([^/]+)\/files\/(.+)$/, (req, res) => {
+        if (!canSee(settings, req, req.params[0])) return res.status(404).json({ error: 'Unknown folder' });
+        const folder = settings.folders.get(req.params[0]);
+        if (isHiddenPath(req.params[1]) && !wantsHidden(req)) {
+            return res.status(404).json({ error: 'Could not read the file' });
+        }
+
+        res.sendFile(req.params[1], {
+            root: folder.path,
+            dotfiles: 'allow',
+            headers: { 'Cache-Control': 'no-cache' },
+        }, (err) => {
+            if (err && !res.headersSent) {
+                res.status(err.status || 500).json({ error: 'Could not read the file' });
+            }
+        });
+    });
+
+    return app;
+}
+
+function main(args) {
+    let settings;
+    try {
+        settings = loadSettings(args);
+    } catch (err) {
+        console.error(err.message);
+        process.exit(1);
+    }
+
+    if (settings.help) {
+        console.log(
+            'Usage: node server.js [--folder [Name=]/path ...] [--port 8080] [--host 127.0.0.1] [--config file.json]\n' +
+            '                      [--open] [--public-url http://nas.local:8080/] [--access-log file]\n' +
+            '       node server.js share <folder> [--expires 24h|7d] [--password secret]',
+        );
+        process.exit(0);
+    }
+
+    if (settings.share) {
+        const { folder, expires, password } = settings.share;
+        const duration = parseDuration(expires);
+        if (!settings.folders.has(folder)) {
+            console.error(`Unknown folder "${folder}". Shared folders: ${[...settings.folders.keys()].join(', ')}`);
+            process.exit(1);
+        }
+        if (!duration) {
+            console.error(`Invalid expiry "${expires}", use e.g. 36h or 7d`);
+            process.exit(1);
+        }
+        const share = createShare(settings, folder, duration, password);
+        console.log(share.url);
+        console.log(`Expires ${new Date(share.expires).toLocaleString()}`);
+        if (!share.reachable) {
+            console.log('The server only listens on this machine, start it with --host 0.0.0.0 to share.');
+        }
+        process.exit(0);
+    }
+
+    const app = createApp(settings);
+    app.listen(settings.port, settings.host, () => {
+        const host = settings.host === '0.0.0.0' ? os.hostname() : settings.host;
+        console.log(`Server running at http://${host}:${settings.port}/`);
+        if (settings.folders.size === 0) {
+            console.log('No media folders configured, add them with --folder or a config file.');
+        }
+        console.log(settings.open
+            ? 'Open to everyone who can reach it.'
+            : 'Other devices need a share link, see "node server.js share".');
+        for (const folder of settings.folders.values()) {
+            console.log(`  ${folder.name}: ${folder.path}`);
+        }
+    });
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2));
+}
+
+module.exports = {
+    createApp,
+    parseArgs,
+    parseDuration,
+    signToken,
+    verifyToken,
+    createShare,
+    isLocal,
+    accessOf,
+    isHiddenPath,
+    APP_FILES,
+};
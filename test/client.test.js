@@ -0,0 +1,651 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { describe, it } = require('node:test');
+
+// The page's scripts are plain scripts, not modules. Running them in one
+// context shares their top level declarations, which are read back by name.
+// script.js ends by starting the app, which needs a page, so that part is
+// left out.
+function loadScripts(files, names, globals = {}) {
+    const context = vm.createContext({ console, crypto: crypto.webcrypto, setTimeout, ...globals });
+    context.window = context;
+    for (const file of files) {
+        let source = fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+        if (file === 'script.js') {
+            const start = source.lastIndexOf('\nconst app = new App();');
+            assert.ok(start !== -1, 'script.js no longer starts the app the way the tests expect');
+            source = source.slice(0, start);
+        }
+        vm.runInContext(source, context, { filename: file });
+    }
+    return Object.fromEntries(names.map((name) => [name, vm.runInContext(name, context)]));
+}
+
+// Values made in the scripts' context have that context's prototypes, which
+// deepStrictEqual tells apart
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+const { TiffDecoder, readIfd } = loadScripts(['tiff.js'], ['TiffDecoder', 'readIfd']);
+const { mediaType, filterFileList, SUPPORTED_FORMATS } = loadScripts(
+    ['scanner.js'],
+    ['mediaType', 'filterFileList', 'SUPPORTED_FORMATS'],
+);
+const { MediaQuery, Gallery, LibraryBackup, DuplicateFinder } = loadScripts(
+    ['scanner.js', 'tiff.js', 'script.js'],
+    ['MediaQuery', 'Gallery', 'LibraryBackup', 'DuplicateFinder'],
+);
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// A media item as the galleries hold them
+function mediaItem(itemPath, { type = 'image', size = 1000, lastModified = 0, meta = {} } = {}) {
+    return {
+        name: itemPath.split('/').pop(),
+        path: itemPath,
+        type,
+        file: { size },
+        lastModified,
+        meta: { favorite: false, rating: 0, tags: [], ...meta },
+    };
+}
+
+// TIFF's LZW with 9 to 12 bit codes that grow one code early, as libtiff
+// writes it
+function lzwEncode(bytes) {
+    const codes = [256];
+    let table = new Map();
+    let next = 258;
+    let current = null;
+    for (const byte of bytes) {
+        const key = current === null ? String(byte) : `${current},${byte}`;
+        if (current === null || table.has(key)) {
+            current = table.has(key) ? table.get(key) : byte;
+            continue;
+        }
+        codes.push(current);
+        table.set(key, next++);
+        current = byte;
+        if (next === 4094) {
+            codes.push(256);
+            table = new Map();
+            next = 258;
+        }
+    }
+    if (current !== null) codes.push(current);
+    codes.push(257);
+
+    // the width a code is written with follows the table the decoder has
+    // built by then, which is one entry behind
+    const bits = [];
+    let decoderNext = 258;
+    let first = true;
+    for (const code of codes) {
+        const width = decoderNext >= 2047 ? 12 : decoderNext >= 1023 ? 11 : decoderNext >= 511 ? 10 : 9;
+        for (let i = width - 1; i >= 0; i--) bits.push((code >> i) & 1);
+        if (code === 256) {
+            decoderNext = 258;
+            first = true;
+        } else if (first) {
+            first = false;
+        } else {
+            decoderNext++;
+        }
+    }
+    const output = new Uint8Array(Math.ceil(bits.length / 8));
+    bits.forEach((bit, i) => (output[i >> 3] |= bit << (7 - (i & 7))));
+    return output;
+}
+
+// A little endian TIFF with one strip
+function makeTiff({ width, height, samples = 1, bits = 8, compression = 1, photometric = 1, data }) {
+    const entries = [
+        [0x0100, 3, width],
+        [0x0101, 3, height],
+        [0x0102, 3, bits],
+        [0x0103, 3, compression],
+        [0x0106, 3, photometric],
+        [0x0111, 4, 0],
+        [0x0115, 3, samples],
+        [0x0116, 3, height],
+        [0x0117, 4, data.length],
+    ];
+    const dataOffset = 8 + 2 + entries.length * 12 + 4;
+    const buffer = new ArrayBuffer(dataOffset + data.length);
+    const view = new DataView(buffer);
+    view.setUint16(0, 0x4949);
+    view.setUint16(2, 42, true);
+    view.setUint32(4, 8, true);
+    view.setUint16(8, entries.length, true);
+    entries.forEach(([tag, type, value], i) => {
+        const entry = 10 + i * 12;
+        view.setUint16(entry, tag, true);
+        view.setUint16(entry + 2, type, true);
+        view.setUint32(entry + 4, 1, true);
+        if (tag === 0x0111) value = dataOffset;
+        if (type === 3) view.setUint16(entry + 8, value, true);
+        else view.setUint32(entry + 8, value, true);
+    });
+    new Uint8Array(buffer, dataOffset).set(data);
+    return buffer;
+}
+
+describe('TiffDecoder', () => {
+    it('unpacks PackBits runs and literals', () => {
+        // the example from Apple's technical note on PackBits
+        const packed = [0xfe, 0xaa, 0x02, 0x80, 0x00, 0x2a, 0xfd, 0xaa, 0x03, 0x80, 0x00, 0x2a, 0x22, 0xf7, 0xaa];
+        const unpacked = [
+            0xaa, 0xaa, 0xaa, 0x80, 0x00, 0x2a, 0xaa, 0xaa, 0xaa, 0xaa, 0x80, 0x00, 0x2a, 0x22,
+            ...new Array(10).fill(0xaa),
+        ];
+        assert.deepStrictEqual(Array.from(TiffDecoder.packBits(Uint8Array.from(packed), 24)), unpacked);
+    });
+
+    it('skips the PackBits no-op byte', () => {
+        assert.deepStrictEqual(Array.from(TiffDecoder.packBits(Uint8Array.from([0x80, 0x00, 0x07]), 1)), [7]);
+    });
+
+    it('decodes LZW, repeated strings included', () => {
+        const bytes = Uint8Array.from([7, 7, 7, 7, 7, 1, 2, 1, 2, 1, 2, 7, 7]);
+        assert.deepStrictEqual(Array.from(TiffDecoder.lzw(lzwEncode(bytes), bytes.length)), Array.from(bytes));
+    });
+
+    it('decodes LZW with codes of every width', () => {
+        // enough variety to fill the table and clear it
+        const bytes = new Uint8Array(20000);
+        let seed = 1;
+        for (let i = 0; i < bytes.length; i++) {
+            seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+            bytes[i] = (seed >> 16) % 40;
+        }
+        assert.deepStrictEqual(Array.from(TiffDecoder.lzw(lzwEncode(bytes), bytes.length)), Array.from(bytes));
+    });
+
+    it('undoes horizontal differencing', () => {
+        // two RGB pixels per row, two rows
+        const data = Uint8Array.from([10, 20, 30, 1, 2, 3, 100, 100, 100, 255, 0, 1]);
+        TiffDecoder.undoPredictor(data, 6, 2, 3, 8, true);
+        assert.deepStrictEqual(Array.from(data), [10, 20, 30, 11, 22, 33, 100, 100, 100, 99, 100, 101]);
+    });
+
+    it('reads the tags of an IFD', () => {
+        const buffer = makeTiff({ width: 3, height: 2, data: new Uint8Array(6) });
+        const { tags, next } = readIfd(new DataView(buffer), 0, 8, true);
+        assert.strictEqual(tags.get(0x0100), 3);
+        assert.strictEqual(tags.get(0x0101), 2);
+        assert.strictEqual(next, 0);
+    });
+
+    it('decodes an RGB image', async () => {
+        const data = Uint8Array.from([255, 0, 0, 0, 255, 0, 0, 0, 255, 10, 20, 30]);
+        const image = await TiffDecoder.decode(makeTiff({ width: 2, height: 2, samples: 3, photometric: 2, data }));
+        assert.strictEqual(image.width, 2);
+        assert.strictEqual(image.hasAlpha, false);
+        assert.deepStrictEqual(
+            Array.from(image.pixels),
+            [255, 0, 0, 255, 0, 255, 0, 255, 0, 0, 255, 255, 10, 20, 30, 255],
+        );
+    });
+
+    it('decodes compressed and inverted gray images', async () => {
+        const gray = Uint8Array.from([0, 64, 128, 255]);
+        const packed = await TiffDecoder.decode(
+            makeTiff({ width: 4, height: 1, compression: 32773, data: Uint8Array.from([3, ...gray]) }),
+        );
+        assert.deepStrictEqual(Array.from(packed.pixels.filter((_, i) => i % 4 === 0)), Array.from(gray));
+
+        const inverted = await TiffDecoder.decode(
+            makeTiff({ width: 4, height: 1, compression: 5, photometric: 0, data: lzwEncode(gray) }),
+        );
+        assert.deepStrictEqual(Array.from(inverted.pixels.filter((_, i) => i % 4 === 0)), [255, 191, 127, 0]);
+    });
+
+    it('rejects files that are not TIFF', async () => {
+        await assert.rejects(TiffDecoder.decode(new Uint8Array([0xff, 0xd8, 0xff, 0xe0, 0, 0, 0, 0]).buffer), /Not a TIFF/);
+    });
+
+    it('rejects compressions it does not know', async () => {
+        const buffer = makeTiff({ width: 1, height: 1, compression: 7, data: new Uint8Array(1) });
+        await assert.rejects(TiffDecoder.decode(buffer), /Unsupported TIFF compression 7/);
+    });
+});
+
+describe('scanner', () => {
+    const file = (name) => ({ name });
+
+    it('tells images from videos by extension, in any case', () => {
+        assert.strictEqual(mediaType('IMG_0001.JPG', SUPPORTED_FORMATS), 'image');
+        assert.strictEqual(mediaType('clip.mkv', SUPPORTED_FORMATS), 'video');
+        assert.strictEqual(mediaType('notes.txt', SUPPORTED_FORMATS), null);
+    });
+
+    it('leaves out hidden files unless asked, and the trash always', () => {
+        const entries = ['a.jpg', 'b.txt', '.c.jpg', '2024/.hidden/d.jpg', '.trash/e.jpg', '2024/.trash/f.jpg']
+            .map((entryPath) => ({ path: entryPath, file: file(entryPath.split('/').pop()) }));
+        const paths = (includeHidden) =>
+            Array.from(filterFileList(entries, SUPPORTED_FORMATS, includeHidden), (found) => found.path);
+
+        assert.deepStrictEqual(paths(false), ['a.jpg']);
+        assert.deepStrictEqual(paths(true), ['a.jpg', '.c.jpg', '2024/.hidden/d.jpg', '2024/.trash/f.jpg']);
+    });
+});
+
+describe('MediaQuery', () => {
+    const search = (text, items) => {
+        const query = new MediaQuery(text);
+        return items.filter((media) => query.matches(media)).map((media) => media.path);
+    };
+
+    it('splits the text into words, qualifiers and quoted phrases', () => {
+        const tokens = MediaQuery.tokenize('beach -ext:gif "two words" in:"My Trip" TYPE:video');
+        assert.deepStrictEqual(plain(tokens.map(({ negate, key, value }) => ({ negate, key, value }))), [
+            { negate: false, key: null, value: 'beach' },
+            { negate: true, key: 'ext', value: 'gif' },
+            { negate: false, key: null, value: 'two words' },
+            { negate: false, key: 'in', value: 'My Trip' },
+            { negate: false, key: 'type', value: 'video' },
+        ]);
+    });
+
+    it('matches plain words against the path, ignoring case, and leaves out negated ones', () => {
+        const items = [mediaItem('Beach/sunset.jpg'), mediaItem('city/beach-day.png'), mediaItem('city/night.jpg')];
+        assert.deepStrictEqual(search('beach', items), ['Beach/sunset.jpg', 'city/beach-day.png']);
+        assert.deepStrictEqual(search('beach -sunset', items), ['city/beach-day.png']);
+        assert.deepStrictEqual(search('', items).length, 3);
+        assert.strictEqual(new MediaQuery('  ').isEmpty, true);
+    });
+
+    it('filters by type, extension and folder', () => {
+        const items = [
+            mediaItem('trip/a.jpg'),
+            mediaItem('trip/b.GIF'),
+            mediaItem('trip/day 2/c.mp4', { type: 'video' }),
+            mediaItem('trips/d.jpg'),
+        ];
+        assert.deepStrictEqual(search('type:video', items), ['trip/day 2/c.mp4']);
+        assert.deepStrictEqual(search('ext:gif,.mp4', items), ['trip/b.GIF', 'trip/day 2/c.mp4']);
+        assert.deepStrictEqual(search('-ext:gif in:trip', items), ['trip/a.jpg', 'trip/day 2/c.mp4']);
+        assert.deepStrictEqual(search('in:"day 2"', items), ['trip/day 2/c.mp4']);
+    });
+
+    it('compares sizes and ratings', () => {
+        const items = [
+            mediaItem('small.jpg', { size: 500, meta: { rating: 0 } }),
+            mediaItem('large.jpg', { size: 6 * 1024 * 1024, meta: { rating: 3 } }),
+            mediaItem('huge.mp4', { size: 2 * 1024 ** 3, meta: { rating: 5 } }),
+        ];
+        assert.deepStrictEqual(search('size:>5mb', items), ['large.jpg', 'huge.mp4']);
+        assert.deepStrictEqual(search('size:<=1kb', items), ['small.jpg']);
+        assert.deepStrictEqual(search('rating:3', items), ['large.jpg', 'huge.mp4']);
+        assert.deepStrictEqual(search('rating:<3', items), ['small.jpg']);
+        assert.deepStrictEqual(search('rating:=5', items), ['huge.mp4']);
+    });
+
+    it('finds favorites, rated and tagged items', () => {
+        const items = [
+            mediaItem('a.jpg', { meta: { favorite: true } }),
+            mediaItem('b.jpg', { meta: { rating: 2, tags: ['Beach'] } }),
+            mediaItem('c.jpg'),
+        ];
+        assert.deepStrictEqual(search('is:fav', items), ['a.jpg']);
+        assert.deepStrictEqual(search('is:rated', items), ['b.jpg']);
+        assert.deepStrictEqual(search('tag:beach', items), ['b.jpg']);
+        assert.deepStrictEqual(search('-is:tagged -is:favorite', items), ['c.jpg']);
+    });
+
+    it('filters by modification date', () => {
+        const items = [
+            mediaItem('feb.jpg', { lastModified: new Date(2024, 1, 20).getTime() }),
+            mediaItem('march.jpg', { lastModified: new Date(2024, 2, 15, 12).getTime() }),
+            mediaItem('april.jpg', { lastModified: new Date(2024, 3, 1).getTime() }),
+            mediaItem('recent.jpg', { lastModified: Date.now() - DAY }),
+        ];
+        assert.deepStrictEqual(search('on:2024-03', items), ['march.jpg']);
+        assert.deepStrictEqual(search('on:2024-3-15', items), ['march.jpg']);
+        assert.deepStrictEqual(search('before:2024-03', items), ['feb.jpg']);
+        assert.deepStrictEqual(search('after:2024-03 before:2025', items), ['april.jpg']);
+        assert.deepStrictEqual(search('within:1w', items), ['recent.jpg']);
+    });
+
+    it('reports invalid values and ignores their terms', () => {
+        const query = new MediaQuery('type:audio rating:6 size:big beach');
+        assert.strictEqual(query.errors.length, 3);
+        assert.match(query.errors[0], /"type:"/);
+        assert.strictEqual(query.matches(mediaItem('beach.jpg')), true);
+        assert.strictEqual(query.matches(mediaItem('city.jpg')), false);
+    });
+
+    it('searches for unknown qualifiers as text', () => {
+        const items = [mediaItem('notes:1.jpg'), mediaItem('photo.jpg')];
+        assert.deepStrictEqual(search('notes:1', items), ['notes:1.jpg']);
+    });
+});
+
+describe('Gallery sorting', () => {
+    const sorted = (sortBy, items) => {
+        const gallery = new Gallery(1, 'Test', null);
+        gallery.media = items;
+        gallery.sortBy = sortBy;
+        gallery.sortMedia();
+        return Array.from(gallery.view, (media) => media.path);
+    };
+
+    it('sorts names in natural order, ignoring case', () => {
+        const items = ['img10.jpg', 'IMG2.jpg', 'img1.jpg', 'Img1b.jpg'].map((name) => mediaItem(name));
+        assert.deepStrictEqual(sorted('name', items), ['img1.jpg', 'Img1b.jpg', 'IMG2.jpg', 'img10.jpg']);
+    });
+
+    it('sorts paths folder by folder in natural order', () => {
+        const items = ['day10/a.jpg', 'day9/b.jpg', 'day9/a.jpg', 'a.jpg'].map((name) => mediaItem(name));
+        assert.deepStrictEqual(sorted('path', items), ['a.jpg', 'day9/a.jpg', 'day9/b.jpg', 'day10/a.jpg']);
+    });
+
+    it('sorts by date, newest or oldest first, and by path when dates are equal', () => {
+        const items = [
+            mediaItem('b.jpg', { lastModified: 2 }),
+            mediaItem('c.jpg', { lastModified: 3 }),
+            mediaItem('a.jpg', { lastModified: 2 }),
+        ];
+        assert.deepStrictEqual(sorted('modified-desc', items), ['c.jpg', 'a.jpg', 'b.jpg']);
+        assert.deepStrictEqual(sorted('modified-asc', items), ['a.jpg', 'b.jpg', 'c.jpg']);
+    });
+
+    it('sorts by date taken, falling back to the modification date', () => {
+        const items = [
+            { ...mediaItem('scan.jpg', { lastModified: 5 }) },
+            { ...mediaItem('old.jpg', { lastModified: 9 }), dateTaken: 1 },
+            { ...mediaItem('new.jpg', { lastModified: 1 }), dateTaken: 7 },
+        ];
+        assert.deepStrictEqual(sorted('taken', items), ['new.jpg', 'scan.jpg', 'old.jpg']);
+    });
+
+    it('sorts by size and by type', () => {
+        const items = [
+            mediaItem('b.png', { size: 30 }),
+            mediaItem('a.mp4', { type: 'video', size: 10 }),
+            mediaItem('c.jpg', { size: 20 }),
+            mediaItem('a.jpg', { size: 40 }),
+        ];
+        assert.deepStrictEqual(sorted('size-desc', items), ['a.jpg', 'b.png', 'c.jpg', 'a.mp4']);
+        assert.deepStrictEqual(sorted('size-asc', items), ['a.mp4', 'c.jpg', 'b.png', 'a.jpg']);
+        assert.deepStrictEqual(sorted('type', items), ['a.jpg', 'c.jpg', 'b.png', 'a.mp4']);
+    });
+
+    it('falls back to newest first for an unknown order', () => {
+        const items = [mediaItem('a.jpg', { lastModified: 1 }), mediaItem('b.jpg', { lastModified: 2 })];
+        assert.deepStrictEqual(sorted('nonsense', items), ['b.jpg', 'a.jpg']);
+    });
+});
+
+describe('LibraryBackup', () => {
+    const backup = (fields) => JSON.stringify({ format: 'gallery-viewer-backup', version: 2, galleries: [], ...fields });
+    const folder = (fields) => ({ id: 1, name: 'Photos', kind: 'folder', media: [], ...fields });
+
+    it('writes every gallery with its media info', async () => {
+        const db = {
+            loadGalleries: async () => [
+                { id: 2, name: 'Best', kind: 'smart', rule: 'is:fav', sources: [1], order: 1 },
+                { id: 1, name: 'Photos', directoryHandle: { name: 'photos' }, sortBy: 'name', order: 0 },
+            ],
+            loadMediaMeta: async () => [
+                { galleryId: 1, path: 'a.jpg', favorite: true, rating: 4, tags: ['x'], position: 12 },
+            ],
+            loadSettings: async (key = 'global') => (key === 'global' ? { muted: true } : { next: ['n'] }),
+        };
+        const data = plain(await LibraryBackup.create(db));
+        assert.strictEqual(data.version, LibraryBackup.version);
+        assert.deepStrictEqual(data.settings, { muted: true });
+        assert.deepStrictEqual(data.keyBindings, { next: ['n'] });
+        assert.deepStrictEqual(data.galleries.map((gallery) => gallery.name), ['Photos', 'Best']);
+        assert.strictEqual(data.galleries[0].folderName, 'photos');
+        assert.deepStrictEqual(data.galleries[0].media, [{ path: 'a.jpg', favorite: true, rating: 4, tags: ['x'] }]);
+        assert.deepStrictEqual(data.galleries[1].sources, [1]);
+    });
+
+    it('reads back what it wrote', () => {
+        const data = LibraryBackup.parse(backup({
+            settings: { muted: true },
+            galleries: [folder({ media: [{ path: 'a.jpg', favorite: true, rating: 4, tags: ['x'] }] })],
+        }));
+        assert.deepStrictEqual(plain(data.settings), { muted: true });
+        assert.deepStrictEqual(plain(data.galleries[0].media), [{ path: 'a.jpg', favorite: true, rating: 4, tags: ['x'] }]);
+    });
+
+    it('upgrades version 1 backups', () => {
+        const data = LibraryBackup.parse(backup({ version: 1, galleries: [folder()] }));
+        assert.strictEqual(data.settings, null);
+        assert.strictEqual(data.keyBindings, null);
+        assert.strictEqual(data.galleries.length, 1);
+    });
+
+    it('refuses files it cannot use, saying why', () => {
+        assert.throws(() => LibraryBackup.parse('{'), /not valid JSON/);
+        assert.throws(() => LibraryBackup.parse('{"format": "other"}'), /not a gallery viewer backup/);
+        assert.throws(() => LibraryBackup.parse(backup({ version: '2' })), /no valid version/);
+        assert.throws(() => LibraryBackup.parse(backup({ version: 99 })), /newer version/);
+        assert.throws(() => LibraryBackup.parse(backup({ galleries: null })), /no galleries/);
+        assert.throws(
+            () => LibraryBackup.parse(backup({ galleries: [folder({ name: 'Bad', media: [{ rating: 3 }] })] })),
+            /"Bad" is damaged/,
+        );
+        assert.throws(
+            () => LibraryBackup.parse(backup({ galleries: [{ id: 3, name: 'Smart', kind: 'smart', rule: 1 }] })),
+            /"Smart" is damaged/,
+        );
+    });
+
+    it('drops values of the wrong type', () => {
+        const data = LibraryBackup.parse(backup({
+            galleries: [folder({
+                order: 'first',
+                isShuffled: 'yes',
+                sortBy: 3,
+                folderName: {},
+                slideshow: { interval: '5', transition: 'slide', extra: true },
+                settings: { muted: 'no', thumbnailSize: 120, unknown: 1 },
+                media: [
+                    { path: 'a.jpg', favorite: 'true', rating: 9, tags: 'beach' },
+                    { path: 'b.jpg', rating: 2.5, tags: ['sea', '', ' ', 3, 'sea'] },
+                    { path: 'c.jpg', rating: 5, favorite: true },
+                ],
+            })],
+        }));
+        const gallery = plain(data.galleries[0]);
+        assert.strictEqual(gallery.order, 0);
+        assert.strictEqual(gallery.isShuffled, false);
+        assert.strictEqual(gallery.sortBy, undefined);
+        assert.strictEqual(gallery.folderName, '');
+        assert.deepStrictEqual(gallery.slideshow, { transition: 'slide' });
+        assert.deepStrictEqual(gallery.settings, { thumbnailSize: 120 });
+        assert.deepStrictEqual(gallery.media, [
+            { path: 'a.jpg', favorite: false, rating: 0, tags: [] },
+            { path: 'b.jpg', favorite: false, rating: 0, tags: ['sea'] },
+            { path: 'c.jpg', favorite: true, rating: 5, tags: [] },
+        ]);
+    });
+});
+
+describe('DuplicateFinder', () => {
+    const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+    // a file with its content, and a visual hash so no image has to be decoded
+    const withContent = (itemPath, content, { lastModified = 0, visualHash = null } = {}) => {
+        const file = new Blob([content]);
+        return { ...mediaItem(itemPath, { lastModified, size: file.size }), file, visualHash };
+    };
+    const paths = (groups) => plain(groups.map(({ kind, items }) => ({ kind, items: items.map((media) => media.path) })));
+
+    it('hashes the digests of the chunks of a file', async () => {
+        const hash = await DuplicateFinder.hashFile(new Blob(['hello']));
+        assert.strictEqual(hash, sha256(sha256('hello')).toString('hex'));
+        assert.notStrictEqual(await DuplicateFinder.hashFile(new Blob(['hellO'])), hash);
+    });
+
+    it('counts the bits two visual hashes differ in', () => {
+        assert.strictEqual(DuplicateFinder.bitCount(0), 0);
+        assert.strictEqual(DuplicateFinder.bitCount(0xff), 8);
+        assert.strictEqual(DuplicateFinder.bitCount(-1), 32);
+        assert.strictEqual(DuplicateFinder.distance([0b1011, 0], [0b0001, 1 << 31]), 3);
+        assert.strictEqual(DuplicateFinder.distance([-1, -1], [0, 0]), 64);
+    });
+
+    it('finds the item with the same content as a file', async () => {
+        const media = [withContent('a.jpg', 'aaaa'), withContent('b.jpg', 'bbbb'), withContent('c.jpg', 'ccc')];
+        assert.strictEqual((await DuplicateFinder.findCopy(new Blob(['bbbb']), media)).path, 'b.jpg');
+        assert.strictEqual(await DuplicateFinder.findCopy(new Blob(['dddd']), media), null);
+        assert.strictEqual(await DuplicateFinder.findCopy(new Blob(['a']), media), null);
+    });
+
+    it('groups exact copies with the oldest first', async () => {
+        const media = [
+            withContent('copy.jpg', 'same', { lastModified: 3 }),
+            withContent('original.jpg', 'same', { lastModified: 1 }),
+            withContent('other.jpg', 'diff', { lastModified: 2 }),
+            withContent('video.mp4', 'clip'),
+            withContent('video copy.mp4', 'clip'),
+        ];
+        media[3].type = media[4].type = 'video';
+        assert.deepStrictEqual(paths(await new DuplicateFinder(media).find()), [
+            { kind: 'exact', items: ['original.jpg', 'copy.jpg'] },
+            { kind: 'exact', items: ['video.mp4', 'video copy.mp4'] },
+        ]);
+    });
+
+    it('groups similar images, the largest first, through chains of near matches', async () => {
+        const media = [
+            withContent('small.jpg', 'x', { visualHash: [0b111, 0] }),
+            withContent('large.jpg', 'xxxxx', { visualHash: [0, 0] }),
+            withContent('medium.jpg', 'xxx', { visualHash: [0b111111, 0] }),
+            withContent('different.jpg', 'xxxx', { visualHash: [-1, 0] }),
+            withContent('unreadable.jpg', 'xx', { visualHash: null }),
+        ];
+        // small is 3 bits from both large and medium, which are 6 apart
+        assert.deepStrictEqual(paths(await new DuplicateFinder(media, 3).find()), [
+            { kind: 'similar', items: ['large.jpg', 'medium.jpg', 'small.jpg'] },
+        ]);
+        assert.deepStrictEqual(paths(await new DuplicateFinder(media, 2).find()), []);
+    });
+
+    it('compares an exact copy only through its original', async () => {
+        const media = [
+            withContent('a.jpg', 'same', { lastModified: 1, visualHash: [0, 0] }),
+            withContent('b.jpg', 'same', { lastModified: 2, visualHash: [0, 0] }),
+            withContent('c.jpg', 'other', { visualHash: [1, 0] }),
+        ];
+        assert.deepStrictEqual(paths(await new DuplicateFinder(media).find()), [
+            { kind: 'exact', items: ['a.jpg', 'b.jpg'] },
+            { kind: 'similar', items: ['c.jpg', 'a.jpg'] },
+        ]);
+    });
+
+    it('stops when cancelled', async () => {
+        const finder = new DuplicateFinder([withContent('a.jpg', 'same'), withContent('b.jpg', 'same')]);
+        finder.cancel();
+        assert.strictEqual(await finder.find(), null);
+    });
+});
+
+describe('incremental rescan', () => {
+    // object URLs are only counted, there is no page to show them
+    const urls = new Set();
+    let nextUrl = 0;
+    const URL = {
+        createObjectURL: () => {
+            const url = `blob:${nextUrl++}`;
+            urls.add(url);
+            return url;
+        },
+        revokeObjectURL: (url) => urls.delete(url),
+    };
+    const { FileListGallery, Settings } = loadScripts(
+        ['scanner.js', 'tiff.js', 'script.js'],
+        ['FileListGallery', 'Settings'],
+        { URL, console: { ...console, log() {} } },
+    );
+
+    const entry = (entryPath, lastModified = 1) => ({
+        path: entryPath,
+        file: { name: entryPath.split('/').pop(), lastModified, size: 100 },
+    });
+    const load = async (entries) => {
+        const gallery = new FileListGallery(1, 'Test', 'test', entries);
+        gallery.sortBy = 'path';
+        await gallery.loadMedia();
+        return gallery;
+    };
+    const paths = (items) => Array.from(items, (media) => media.path);
+
+    it('reads the relative paths of a picked folder', () => {
+        const picked = FileListGallery.fromInput([
+            { name: 'a.jpg', webkitRelativePath: 'Trip/a.jpg' },
+            { name: 'b.jpg', webkitRelativePath: 'Trip/day 2/b.jpg' },
+        ]);
+        assert.strictEqual(picked.name, 'Trip');
+        assert.deepStrictEqual(paths(picked.files), ['a.jpg', 'day 2/b.jpg']);
+        assert.strictEqual(FileListGallery.fromInput([]), null);
+    });
+
+    it('only updates what was added, changed or removed', async () => {
+        const gallery = await load([entry('a.jpg'), entry('b.jpg'), entry('c.jpg'), entry('notes.txt')]);
+        assert.deepStrictEqual(paths(gallery.media), ['a.jpg', 'b.jpg', 'c.jpg']);
+        const [a, b, c] = gallery.media;
+        const urlOfB = b.url;
+
+        gallery.files = [entry('a.jpg'), entry('b.jpg', 2), entry('d/e.jpg'), entry('notes.txt')];
+        const changes = await gallery.refresh();
+
+        assert.deepStrictEqual(paths(changes.added), ['d/e.jpg']);
+        assert.deepStrictEqual(paths(changes.changed), ['b.jpg']);
+        assert.deepStrictEqual(paths(changes.removed), ['c.jpg']);
+        assert.deepStrictEqual(paths(gallery.media), ['a.jpg', 'b.jpg', 'd/e.jpg']);
+        assert.deepStrictEqual(paths(gallery.view), ['a.jpg', 'b.jpg', 'd/e.jpg']);
+
+        // unchanged items are the same objects, changed ones get a new file
+        assert.strictEqual(gallery.media[0], a);
+        assert.strictEqual(gallery.media[1], b);
+        assert.strictEqual(b.lastModified, 2);
+        assert.ok(!urls.has(urlOfB) && urls.has(b.url));
+        assert.ok(!urls.has(c.url));
+    });
+
+    it('reports nothing when nothing changed', async () => {
+        const gallery = await load([entry('a.jpg'), entry('b.jpg')]);
+        const changes = await gallery.refresh();
+        assert.deepStrictEqual(plain(changes), { added: [], changed: [], removed: [] });
+    });
+
+    it('keeps the order of a shuffled gallery and adds new files at the end', async () => {
+        const gallery = await load([entry('a.jpg'), entry('b.jpg'), entry('c.jpg')]);
+        gallery.isShuffled = true;
+        gallery.media.reverse();
+        gallery.files = [entry('a.jpg'), entry('b.jpg'), entry('c.jpg'), entry('0.jpg')];
+        await gallery.refresh();
+        assert.deepStrictEqual(paths(gallery.media), ['c.jpg', 'b.jpg', 'a.jpg', '0.jpg']);
+    });
+
+    it('leaves out hidden files and the trash as the settings say', async () => {
+        const gallery = await load([entry('a.jpg')]);
+        gallery.files = [entry('a.jpg'), entry('.b.jpg'), entry('.trash/c.jpg')];
+        const settings = { ...Settings.defaults, scanHidden: false };
+        assert.deepStrictEqual(paths((await gallery.refresh(settings)).added), []);
+        assert.deepStrictEqual(paths((await gallery.refresh(Settings.defaults)).added), ['.b.jpg']);
+    });
+
+    it('does not rescan a folder that has to be picked again', async () => {
+        const gallery = await load([entry('a.jpg')]);
+        gallery.setFiles('test', null);
+        assert.strictEqual(await gallery.refresh(), null);
+        assert.deepStrictEqual(paths(gallery.media), ['a.jpg']);
+    });
+
+    it('can rescan again after a rescan failed', async () => {
+        const gallery = await load([entry('a.jpg')]);
+        gallery.createScanner = () => ({ start: async () => Promise.reject(new Error('gone')) });
+        await assert.rejects(gallery.refresh(), /gone/);
+        assert.strictEqual(gallery.refreshScanner, null);
+        assert.strictEqual(gallery.isRefreshing, false);
+    });
+});
@@ -0,0 +1,265 @@
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { after, before, describe, it } = require('node:test');
+
+const {
+    createApp,
+    signToken,
+    verifyToken,
+    createShare,
+    isLocal,
+    accessOf,
+    isHiddenPath,
+} = require('../server');
+
+const HOUR = 60 * 60 * 1000;
+
+function makeSettings(overrides = {}) {
+    return {
+        port: 8080,
+        host: '127.0.0.1',
+        open: false,
+        secret: 'test-secret',
+        folders: new Map([['Photos', { name: 'Photos', path: '/photos' }]]),
+        ...overrides,
+    };
+}
+
+// Just what isLocal and accessOf look at
+function fakeRequest({ address = '127.0.0.1', headers = {} } = {}) {
+    return { socket: { remoteAddress: address }, headers: { host: 'localhost:8080', ...headers } };
+}
+
+// http.request rather than fetch, which doesn't let the Host header be set
+function request(port, method, url, headers = {}, body = null) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ host: '127.0.0.1', port, method, path: url, headers }, (res) => {
+            let text = '';
+            res.setEncoding('utf8');
+            res.on('data', (chunk) => (text += chunk));
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: text }));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+function get(port, url, headers = {}) {
+    return request(port, 'GET', url, headers);
+}
+
+function post(port, url, data, headers = {}) {
+    return request(port, 'POST', url, { ...headers, 'content-type': 'application/json' }, JSON.stringify(data));
+}
+
+describe('share tokens', () => {
+    const settings = makeSettings();
+
+    it('verifies a token it signed', () => {
+        const token = signToken(settings, { id: 'a1', f: 'Photos', exp: Date.now() + HOUR });
+        assert.deepStrictEqual(verifyToken(settings, token).f, 'Photos');
+    });
+
+    it('rejects tokens signed with another key', () => {
+        const token = signToken({ ...settings, secret: 'other' }, { id: 'a1', f: 'Photos', exp: Date.now() + HOUR });
+        assert.strictEqual(verifyToken(settings, token), null);
+    });
+
+    it('rejects a token whose payload was changed', () => {
+        const token = signToken(settings, { id: 'a1', f: 'Photos', exp: Date.now() + HOUR });
+        const forged = Buffer.from(JSON.stringify({ id: 'a1', f: 'Photos', exp: Date.now() + 1000 * HOUR }))
+            .toString('base64url');
+        assert.strictEqual(verifyToken(settings, `${forged}.${token.split('.')[1]}`), null);
+    });
+
+    it('rejects expired tokens and unknown folders', () => {
+        assert.strictEqual(verifyToken(settings, signToken(settings, { id: 'a1', f: 'Photos', exp: Date.now() - 1 })), null);
+        assert.strictEqual(verifyToken(settings, signToken(settings, { id: 'a1', f: 'Other', exp: Date.now() + HOUR })), null);
+    });
+
+    it('rejects malformed tokens', () => {
+        for (const token of [undefined, '', 'abc', 'abc.', '.abc', 'a.b.c']) {
+            assert.strictEqual(verifyToken(settings, token), null);
+        }
+    });
+
+    it('makes links that point at the public address', () => {
+        const share = createShare({ ...settings, publicUrl: 'http://nas.local:9000' }, 'Photos', HOUR, '');
+        assert.match(share.url, /^http:\/\/nas\.local:9000\/\?share=/);
+        assert.strictEqual(share.reachable, true);
+        const token = decodeURIComponent(share.url.split('share=')[1]);
+        assert.strictEqual(verifyToken(settings, token).id, share.id);
+    });
+});
+
+describe('isLocal', () => {
+    const settings = makeSettings();
+
+    it('trusts loopback requests for localhost', () => {
+        assert.strictEqual(isLocal(settings, fakeRequest()), true);
+        assert.strictEqual(isLocal(settings, fakeRequest({ headers: { host: '127.0.0.1:8080' } })), true);
+        assert.strictEqual(isLocal(settings, fakeRequest({ address: '::1', headers: { host: '[::1]:8080' } })), true);
+    });
+
+    it('does not trust other addresses', () => {
+        assert.strictEqual(isLocal(settings, fakeRequest({ address: '192.168.1.20' })), false);
+    });
+
+    it('does not trust other host names, as with DNS rebinding', () => {
+        assert.strictEqual(isLocal(settings, fakeRequest({ headers: { host: 'evil.example:8080' } })), false);
+        assert.strictEqual(isLocal(settings, fakeRequest({ headers: { host: undefined } })), false);
+    });
+
+    it('does not trust proxied requests', () => {
+        assert.strictEqual(isLocal(settings, fakeRequest({ headers: { 'x-forwarded-for': '203.0.113.5' } })), false);
+        assert.strictEqual(isLocal(settings, fakeRequest({ headers: { forwarded: 'for=203.0.113.5' } })), false);
+        assert.strictEqual(isLocal({ ...settings, publicUrl: 'https://photos.example/' }, fakeRequest()), false);
+    });
+});
+
+describe('accessOf', () => {
+    const settings = makeSettings();
+    const remote = (headers) => fakeRequest({ address: '192.168.1.20', headers });
+
+    it('gives this machine full access', () => {
+        assert.deepStrictEqual(accessOf(settings, fakeRequest()), { who: 'local' });
+    });
+
+    it('lets everyone in when the server is open', () => {
+        assert.deepStrictEqual(accessOf({ ...settings, open: true }, remote()), { who: 'open' });
+    });
+
+    it('limits share sessions to their folder', () => {
+        const session = signToken(settings, { id: 'a1', f: 'Photos', exp: Date.now() + HOUR });
+        const cookie = `theme=dark; gallery_share=${encodeURIComponent(session)}`;
+        assert.deepStrictEqual(accessOf(settings, remote({ cookie })), { who: 'share:a1', folder: 'Photos' });
+    });
+
+    it('refuses share tokens that still need their password', () => {
+        const token = signToken(settings, { id: 'a1', f: 'Photos', exp: Date.now() + HOUR, pw: 'hash' });
+        assert.strictEqual(accessOf(settings, remote({ cookie: `gallery_share=${token}` })), null);
+    });
+
+    it('refuses everyone else', () => {
+        assert.strictEqual(accessOf(settings, remote()), null);
+    });
+});
+
+describe('isHiddenPath', () => {
+    it('finds dot segments anywhere in the path', () => {
+        assert.strictEqual(isHiddenPath('.trash/photo.jpg'), true);
+        assert.strictEqual(isHiddenPath('2024/.hidden/photo.jpg'), true);
+        assert.strictEqual(isHiddenPath('2024/.photo.jpg'), true);
+        assert.strictEqual(isHiddenPath('2024\\.hidden\\photo.jpg'), true);
+        assert.strictEqual(isHiddenPath('2024/photo.jpg'), false);
+        assert.strictEqual(isHiddenPath('2024/photo.v2.jpg'), false);
+    });
+});
+
+describe('server', () => {
+    let temp;
+    let settings;
+    let server;
+    let port;
+
+    before(async () => {
+        temp = fs.mkdtempSync(path.join(os.tmpdir(), 'gallery-server-'));
+        const photos = path.join(temp, 'Photos');
+        for (const file of ['a.jpg', '.b.jpg', '.hidden/c.jpg', '.trash/d.jpg']) {
+            fs.mkdirSync(path.dirname(path.join(photos, file)), { recursive: true });
+            fs.writeFileSync(path.join(photos, file), file);
+        }
+        settings = makeSettings({
+            open: true,
+            accessLog: path.join(temp, 'access.log'),
+            folders: new Map([['Photos', { name: 'Photos', path: photos }]]),
+        });
+        server = createApp(settings).listen(0, '127.0.0.1');
+        await new Promise((resolve) => server.once('listening', resolve));
+        port = server.address().port;
+    });
+
+    after(() => {
+        server.close();
+        fs.rmSync(temp, { recursive: true, force: true });
+    });
+
+    // the server is open, so a request under another name gets in without
+    // being local
+    const local = { host: 'localhost' };
+    const remote = { host: 'nas.example' };
+
+    it('serves the app', async () => {
+        assert.strictEqual((await get(port, '/', local)).status, 200);
+        assert.strictEqual((await get(port, '/script.js', local)).status, 200);
+        assert.strictEqual((await get(port, '/tiff.js', local)).status, 200);
+    });
+
+    it('serves nothing else next to the server', async () => {
+        for (const url of ['/server.js', '/package.json', '/server.config.json', '/Server.Config.json',
+            '/access.log', '/.share-secret', '/README.md', '/test/server.test.js']) {
+            assert.strictEqual((await get(port, url, local)).status, 404, url);
+        }
+    });
+
+    it('lists hidden files only to this machine when asked', async () => {
+        const paths = async (url, headers) => JSON.parse((await get(port, url, headers)).body).files
+            .map((file) => file.path).sort();
+        assert.deepStrictEqual(await paths('/api/folders/Photos', local), ['a.jpg']);
+        assert.deepStrictEqual(await paths('/api/folders/Photos?hidden=1', local), ['.b.jpg', '.hidden/c.jpg', 'a.jpg']);
+        assert.deepStrictEqual(await paths('/api/folders/Photos?hidden=1', remote), ['a.jpg']);
+    });
+
+    it('serves hidden files only to this machine when asked', async () => {
+        assert.strictEqual((await get(port, '/api/folders/Photos/files/a.jpg', remote)).status, 200);
+        for (const file of ['.b.jpg', '.hidden/c.jpg', '.trash/d.jpg']) {
+            const url = `/api/folders/Photos/files/${file}`;
+            assert.strictEqual((await get(port, url, local)).status, 404, url);
+            assert.strictEqual((await get(port, `${url}?hidden=1`, remote)).status, 404, url);
+            assert.strictEqual((await get(port, `${url}?hidden=1`, local)).status, 200, url);
+        }
+    });
+
+    it('locks a password protected link after too many wrong passwords', async () => {
+        const share = createShare(settings, 'Photos', HOUR, 'right');
+        const token = decodeURIComponent(share.url.split('share=')[1]);
+        const open = (password) => post(port, '/api/share', { token, password }, remote);
+
+        assert.strictEqual((await open()).status, 401);
+        for (let i = 0; i < 5; i++) {
+            assert.strictEqual((await open(`wrong ${i}`)).status, 401);
+        }
+        const locked = await open('right');
+        assert.strictEqual(locked.status, 429);
+        assert.ok(Number(locked.headers['retry-after']) > 0);
+
+        // the log is written through a stream, give it a moment
+        const line = `wrong password 5 for share:${share.id}, locked`;
+        for (let i = 0; i < 50 && !fs.readFileSync(settings.accessLog, 'utf8').includes(line); i++) {
+            await new Promise((resolve) => setTimeout(resolve, 20));
+        }
+        assert.ok(fs.readFileSync(settings.accessLog, 'utf8').includes(line));
+    });
+
+    it('forgets wrong passwords once the right one is given', async () => {
+        const share = createShare(settings, 'Photos', HOUR, 'right');
+        const token = decodeURIComponent(share.url.split('share=')[1]);
+        const open = (password) => post(port, '/api/share', { token, password }, remote);
+
+        for (let i = 0; i < 4; i++) await open('wrong');
+        const opened = await open('right');
+        assert.strictEqual(opened.status, 200);
+        assert.match(opened.headers['set-cookie'][0], /^gallery_share=/);
+        for (let i = 0; i < 4; i++) {
+            assert.strictEqual((await open('wrong')).status, 401);
+        }
+    });
+
+    it('keeps requests inside the folder', async () => {
+        const res = await get(port, '/api/folders/Photos/files/..%2F..%2Fetc%2Fpasswd?hidden=1', local);
+        assert.notStrictEqual(res.status, 200);
+    });
+});
@@ -0,0 +1,356 @@
+"use strict";
+
+// TIFF reading, shared by the page and the TIFF worker, so it must not touch
+// the DOM outside of TiffDecoder.encode. EXIF blocks and camera RAW files
+// are TIFF structures too.
+
+function readAscii(view, start, length) {
+    let text = "";
+    for (let i = start; i < start + length && i < view.byteLength; i++) {
+        text += String.fromCharCode(view.getUint8(i));
+    }
+    return text;
+}
+
+// Returns the tags of one IFD and the offset of the next one
+function readIfd(view, tiffStart, offset, little) {
+    const tags = new Map();
+    if (offset + 2 > view.byteLength) return { tags, next: 0 };
+
+    const count = view.getUint16(offset, little);
+    for (let i = 0; i < count; i++) {
+        const entry = offset + 2 + i * 12;
+        if (entry + 12 > view.byteLength) break;
+        const value = readIfdValue(view, tiffStart, entry, little);
+        if (value !== undefined) {
+            tags.set(view.getUint16(entry, little), value);
+        }
+    }
+
+    const nextOffset = offset + 2 + count * 12;
+    const next =
+        nextOffset + 4 <= view.byteLength ? view.getUint32(nextOffset, little) : 0;
+    return { tags, next };
+}
+
+function readIfdValue(view, tiffStart, entry, little) {
+    const type = view.getUint16(entry + 2, little);
+    const count = view.getUint32(entry + 4, little);
+    const sizes = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8, 13: 4 };
+    if (!sizes[type]) return undefined;
+
+    const size = sizes[type] * count;
+    const start = size <= 4 ? entry + 8 : tiffStart + view.getUint32(entry + 8, little);
+    if (start + size > view.byteLength) return undefined;
+
+    const values = [];
+    switch (type) {
+        case 2:
+            return readAscii(view, start, count).replace(/\0+$/, "").trim();
+        case 1:
+        case 7:
+            if (count === 1) return view.getUint8(start);
+            return new Uint8Array(view.buffer, view.byteOffset + start, count);
+        case 3:
+            for (let i = 0; i < count; i++) values.push(view.getUint16(start + i * 2, little));
+            break;
+        case 4:
+        case 13:
+            for (let i = 0; i < count; i++) values.push(view.getUint32(start + i * 4, little));
+            break;
+        case 9:
+            for (let i = 0; i < count; i++) values.push(view.getInt32(start + i * 4, little));
+            break;
+        case 5:
+        case 10:
+            for (let i = 0; i < count; i++) {
+                const read = type === 5 ? "getUint32" : "getInt32";
+                const numerator = view[read](start + i * 8, little);
+                const denominator = view[read](start + i * 8 + 4, little);
+                values.push(denominator ? numerator / denominator : 0);
+            }
+            break;
+    }
+    return values.length === 1 ? values[0] : values;
+}
+
+// Baseline TIFF: strips or tiles, uncompressed, PackBits, LZW or Deflate,
+// 1, 8 or 16 bit gray, RGB(A) and palette images
+class TiffDecoder {
+    static async toBlob(buffer) {
+        return TiffDecoder.encode(await TiffDecoder.decode(buffer));
+    }
+
+    // Draw the pixels upright according to the EXIF orientation and encode
+    // them; JPEG keeps large images small, PNG keeps transparency. Workers
+    // draw on an OffscreenCanvas, the page on a canvas element.
+    static async encode({ width, height, pixels, orientation, hasAlpha }) {
+        const createCanvas = (canvasWidth, canvasHeight) => {
+            if (typeof OffscreenCanvas !== "undefined") {
+                return new OffscreenCanvas(canvasWidth, canvasHeight);
+            }
+            const canvas = document.createElement("canvas");
+            canvas.width = canvasWidth;
+            canvas.height = canvasHeight;
+            return canvas;
+        };
+
+        const source = createCanvas(width, height);
+        source.getContext("2d").putImageData(new ImageData(pixels, width, height), 0, 0);
+
+        const turned = orientation >= 5 && orientation <= 8;
+        const canvas = createCanvas(turned ? height : width, turned ? width : height);
+        const ctx = canvas.getContext("2d");
+        const transforms = {
+            2: [-1, 0, 0, 1, width, 0],
+            3: [-1, 0, 0, -1, width, height],
+            4: [1, 0, 0, -1, 0, height],
+            5: [0, 1, 1, 0, 0, 0],
+            6: [0, 1, -1, 0, height, 0],
+            7: [0, -1, -1, 0, height, width],
+            8: [0, -1, 1, 0, 0, width],
+        };
+        if (transforms[orientation]) ctx.setTransform(...transforms[orientation]);
+        ctx.drawImage(source, 0, 0);
+
+        const type = hasAlpha ? "image/png" : "image/jpeg";
+        if (canvas.convertToBlob) return canvas.convertToBlob({ type, quality: 0.92 });
+        return new Promise((resolve) => canvas.toBlob(resolve, type, 0.92));
+    }
+
+    static async decode(buffer) {
+        const view = new DataView(buffer);
+        const little = view.getUint16(0) === 0x4949;
+        if ((!little && view.getUint16(0) !== 0x4d4d) || view.getUint16(2, little) !== 42) {
+            throw new Error("Not a TIFF file");
+        }
+
+        const { tags } = readIfd(view, 0, view.getUint32(4, little), little);
+        const list = (tag, fallback) => (tags.has(tag) ? [].concat(tags.get(tag)) : fallback);
+        const width = tags.get(0x0100);
+        const height = tags.get(0x0101);
+        const bits = list(0x0102, [1])[0];
+        const compression = tags.get(0x0103) || 1;
+        const photometric = tags.get(0x0106);
+        const samples = tags.get(0x0115) || 1;
+        const predictor = tags.get(0x013d) || 1;
+        const colorMap = list(0x0140, null);
+
+        if (!width || !height || width * height > 100e6) throw new Error("Unsupported TIFF size");
+        if (![1, 8, 16].includes(bits) || (bits === 1 && samples > 1)) {
+            throw new Error(`Unsupported TIFF bit depth ${bits}`);
+        }
+        if (samples > 1 && (tags.get(0x011c) || 1) !== 1) throw new Error("Unsupported planar TIFF");
+        if (list(0x0153, [1])[0] !== 1) throw new Error("Unsupported TIFF sample format");
+        if (![0, 1, 2, 3].includes(photometric)) {
+            throw new Error(`Unsupported TIFF color model ${photometric}`);
+        }
+
+        const tiled = tags.has(0x0142);
+        const chunkWidth = tiled ? tags.get(0x0142) : width;
+        const chunkHeight = tiled ? tags.get(0x0143) : Math.min(tags.get(0x0116) || height, height);
+        const offsets = list(tiled ? 0x0144 : 0x0111, []);
+        const counts = list(tiled ? 0x0145 : 0x0117, []);
+        const across = Math.ceil(width / chunkWidth);
+        const rowBytes = Math.ceil((chunkWidth * samples * bits) / 8);
+
+        const colorSamples = photometric === 2 ? 3 : 1;
+        const hasAlpha = samples > colorSamples;
+        const pixels = new Uint8ClampedArray(width * height * 4);
+
+        for (let chunk = 0; chunk < offsets.length; chunk++) {
+            const input = new Uint8Array(buffer, offsets[chunk], Math.min(counts[chunk], buffer.byteLength - offsets[chunk]));
+            const data = await TiffDecoder.decompress(input, compression, rowBytes * chunkHeight);
+            if (predictor === 2) TiffDecoder.undoPredictor(data, rowBytes, chunkWidth, samples, bits, little);
+
+            const left = (chunk % across) * chunkWidth;
+            const top = Math.floor(chunk / across) * chunkHeight;
+            const dataView = new DataView(data.buffer, data.byteOffset, data.byteLength);
+            const sample = (row, x, s) => {
+                if (bits === 8) return data[row + x * samples + s];
+                if (bits === 16) {
+                    const at = row + (x * samples + s) * 2;
+                    return at + 2 <= data.length ? dataView.getUint16(at, little) >> 8 : 0;
+                }
+                return (data[row + (x >> 3)] >> (7 - (x & 7))) & 1 ? 255 : 0;
+            };
+
+            for (let y = 0; y < chunkHeight && top + y < height; y++) {
+                const row = y * rowBytes;
+                for (let x = 0; x < chunkWidth && left + x < width; x++) {
+                    const out = ((top + y) * width + left + x) * 4;
+                    if (photometric === 2) {
+                        pixels[out] = sample(row, x, 0);
+                        pixels[out + 1] = sample(row, x, 1);
+                        pixels[out + 2] = sample(row, x, 2);
+                    } else if (photometric === 3 && colorMap) {
+                        const index = bits === 1 ? sample(row, x, 0) / 255 : data[row + x * samples];
+                        const size = colorMap.length / 3;
+                        pixels[out] = colorMap[index] >> 8;
+                        pixels[out + 1] = colorMap[size + index] >> 8;
+                        pixels[out + 2] = colorMap[2 * size + index] >> 8;
+                    } else {
+                        const gray = photometric === 0 ? 255 - sample(row, x, 0) : sample(row, x, 0);
+                        pixels[out] = pixels[out + 1] = pixels[out + 2] = gray;
+                    }
+                    pixels[out + 3] = hasAlpha ? sample(row, x, colorSamples) : 255;
+                }
+            }
+        }
+
+        return { width, height, pixels, hasAlpha, orientation: tags.get(0x0112) || 1 };
+    }
+
+    static async decompress(input, compression, expected) {
+        switch (compression) {
+            case 1:
+                return input;
+            case 5:
+                return TiffDecoder.lzw(input, expected);
+            case 8:
+            case 32946:
+                return TiffDecoder.inflate(input);
+            case 32773:
+                return TiffDecoder.packBits(input, expected);
+            default:
+                throw new Error(`Unsupported TIFF compression ${compression}`);
+        }
+    }
+
+    // Horizontal differencing: each sample is stored as the difference to
+    // the same sample of the pixel before it
+    static undoPredictor(data, rowBytes, width, samples, bits, little) {
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        for (let row = 0; row + rowBytes <= data.length; row += rowBytes) {
+            for (let i = samples; i < width * samples; i++) {
+                if (bits === 8) {
+                    data[row + i] += data[row + i - samples];
+                } else if (bits === 16) {
+                    const at = row + i * 2;
+                    const before = view.getUint16(at - samples * 2, little);
+                    view.setUint16(at, (view.getUint16(at, little) + before) & 0xffff, little);
+                }
+            }
+        }
+    }
+
+    // TIFF's LZW: codes are read most significant bit first and grow one
+    // code early; 256 clears the table and 257 ends the data
+    static lzw(input, expected) {
+        const output = new Uint8Array(expected);
+        const prefix = new Int16Array(4096);
+        const suffix = new Uint8Array(4096);
+        const first = new Uint8Array(4096);
+        const length = new Uint16Array(4096);
+        for (let i = 0; i < 256; i++) {
+            prefix[i] = -1;
+            suffix[i] = i;
+            first[i] = i;
+            length[i] = 1;
+        }
+
+        let position = 0;
+        let bit = 0;
+        let width = 9;
+        let next = 258;
+        let previous = -1;
+
+        const read = () => {
+            const byte = bit >> 3;
+            const chunk = (input[byte] << 16) | ((input[byte + 1] || 0) << 8) | (input[byte + 2] || 0);
+            const code = (chunk >> (24 - (bit & 7) - width)) & ((1 << width) - 1);
+            bit += width;
+            return code;
+        };
+        const write = (code) => {
+            let at = position + length[code] - 1;
+            for (let entry = code; entry !== -1; entry = prefix[entry]) {
+                if (at < expected) output[at] = suffix[entry];
+                at--;
+            }
+            position += length[code];
+        };
+        const add = (code, byte) => {
+            if (next >= 4096) return;
+            prefix[next] = code;
+            suffix[next] = byte;
+            first[next] = first[code];
+            length[next] = length[code] + 1;
+            next++;
+        };
+
+        while (bit + width <= input.length * 8 && position < expected) {
+            const code = read();
+            if (code === 257) break;
+            if (code === 256) {
+                width = 9;
+                next = 258;
+                previous = -1;
+                continue;
+            }
+
+            if (previous === -1) {
+                if (code > 255) break;
+                write(code);
+            } else if (code < next) {
+                write(code);
+                add(previous, first[code]);
+            } else if (code === next) {
+                add(previous, first[previous]);
+                write(code);
+            } else {
+                break;
+            }
+            previous = code;
+
+            if (next === 511) width = 10;
+            else if (next === 1023) width = 11;
+            else if (next === 2047) width = 12;
+        }
+        return output;
+    }
+
+    static packBits(input, expected) {
+        const output = new Uint8Array(expected);
+        let i = 0;
+        let position = 0;
+        while (i < input.length && position < expected) {
+            const n = (input[i++] << 24) >> 24;
+            if (n >= 0) {
+                output.set(input.subarray(i, i + n + 1), position);
+                i += n + 1;
+                position += n + 1;
+            } else if (n !== -128) {
+                output.fill(input[i++], position, position + 1 - n);
+                position += 1 - n;
+            }
+        }
+        return output;
+    }
+
+    static async inflate(input) {
+        const stream = new Blob([input]).stream().pipeThrough(new DecompressionStream("deflate"));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+}
+
+// Worker entry point. Without OffscreenCanvas the pixels go back to the page
+// to be encoded there.
+if (
+    typeof WorkerGlobalScope !== "undefined" &&
+    self instanceof WorkerGlobalScope
+) {
+    self.onmessage = async (e) => {
+        const { id, buffer } = e.data;
+        try {
+            const image = await TiffDecoder.decode(buffer);
+            if (typeof OffscreenCanvas !== "undefined") {
+                self.postMessage({ id, blob: await TiffDecoder.encode(image) });
+            } else {
+                self.postMessage({ id, image }, [image.pixels.buffer]);
+            }
+        } catch (err) {
+            self.postMessage({ id, error: err.message });
+        }
+    };
+}